@@ -0,0 +1,80 @@
+/**
+ * Regression check: with a static scene and a camera that only rotates about its own centre, every surface must
+ * move like a point at infinity, whatever its depth, so ground-truth flow matches the sky flow everywhere. The
+ * camera is mounted on a moved and rotated parent, like the FPV camera on the drone, and the previous frame's
+ * render camera must keep its world pose when the renderer updates it.
+ *
+ * Run with `npm test`.
+ */
+import * as THREE from 'three';
+import OpticalFlow from '../src/sensors/OpticalFlow';
+
+const DEPTHS = [0.5, 5, 50, 500]; // m
+const GRID = 7; // Sample points per image axis
+const FLOW_TOLERANCE = 1e-6; // px
+const MATRIX_TOLERANCE = 1e-9;
+
+const failures = [];
+
+const scene = new THREE.Scene();
+const drone = new THREE.Group();
+drone.position.set(10, 5, -3);
+drone.rotation.set(0.2, -0.8, 0.1);
+scene.add(drone);
+scene.add(new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshBasicMaterial()));
+
+const camera = new THREE.PerspectiveCamera(90, 16 / 9, 0.01, 1000);
+camera.position.set(0, 0.02, 0.05); // Mount offset
+camera.rotation.set(-0.3, 0, 0); // Camera tilt
+drone.add(camera);
+
+const flow = new OpticalFlow(null);
+const { width, height } = flow.settings;
+scene.updateMatrixWorld();
+flow.rememberFrame(scene, camera);
+
+// Static points along the rays through a grid of pixels of the previous frame
+const points = [];
+for (let i = 0; i < GRID; i++) {
+  for (let j = 0; j < GRID; j++) {
+    const ndc = new THREE.Vector3(((i + 0.5) / GRID) * 2 - 1, ((j + 0.5) / GRID) * 2 - 1, 0.5).unproject(camera);
+    const direction = ndc.sub(camera.getWorldPosition(new THREE.Vector3())).normalize();
+    DEPTHS.forEach((depth) => {
+      points.push(camera.getWorldPosition(new THREE.Vector3()).addScaledVector(direction, depth));
+    });
+  }
+}
+
+// The renderer recomputes the world matrix of a camera without a parent from its own transform
+const renderCamera = flow.previousCamera;
+if (renderCamera.parent === null) renderCamera.updateMatrixWorld();
+const renderError = Math.max(...renderCamera.matrixWorld.elements.map((value, i) => (
+  Math.abs(value - camera.matrixWorld.elements[i]))));
+if (renderError > MATRIX_TOLERANCE) {
+  failures.push(`previous frame render camera is off its world pose by ${renderError}`);
+}
+
+// Pure rotation about the camera's centre
+camera.quaternion.multiply(new THREE.Quaternion().setFromEuler(new THREE.Euler(0.05, -0.08, 0.03)));
+scene.updateMatrixWorld();
+
+points.forEach((point) => {
+  const pointFlow = flow.getPointFlow(point, camera);
+  if (!pointFlow) {
+    failures.push(`point (${point.toArray().join(', ')}) left the view`);
+    return;
+  }
+  const sky = flow.getSkyFlow(pointFlow.x, pointFlow.y, camera);
+  const error = sky ? Math.hypot(pointFlow.u - sky.u, pointFlow.v - sky.v) : Infinity;
+  if (error > FLOW_TOLERANCE) {
+    failures.push(`at (${pointFlow.x.toFixed(1)}, ${pointFlow.y.toFixed(1)}) px the flow is `
+      + `(${pointFlow.u}, ${pointFlow.v}) but the sky flow is ${sky ? `(${sky.u}, ${sky.v})` : 'missing'}`);
+  }
+});
+
+if (failures.length > 0) {
+  console.error(`Optical flow check failed (${width}x${height}):`);
+  failures.slice(0, 10).forEach((failure) => console.error(`  ${failure}`));
+  process.exit(1);
+}
+console.log(`Optical flow check passed: ${points.length} static points match the rotation-only flow.`);
@@ -0,0 +1,79 @@
+/**
+ * Regression check: physics runs in fixed substeps whatever the frame rate, so the same seeded flight stepped in
+ * 60 Hz frames and in 144 Hz frames must reach bit-identical drone poses after every substep, not just at the end.
+ *
+ * Run with `npm test`.
+ */
+import Ammo from 'ammo.js';
+import SimulationCore from '../src/core/SimulationCore';
+import SeededRandom from '../src/utils/seededRandom';
+
+const SEED = 42;
+const DURATION = 1; // s of simulated time
+const FRAME_RATES = [60, 144]; // Hz
+const INPUT_INTERVAL = 50; // Substeps between stick changes
+
+/**
+ * Flies one seeded flight and records the drone pose after every physics substep.
+ * @param {number} frameRate - Frames per second `SimulationCore.step()` is called at (Hz).
+ * @returns {Promise<Object[]>} `{ position, quaternion }` per completed substep, from `getState()`.
+ */
+const fly = async (frameRate) => {
+  const core = new SimulationCore({
+    physicsSettings: {
+      wind: { steady: [2, 0, 1], turbulence: { model: 'dryden', windSpeedAt6m: 15, seed: SEED } },
+      sensors: { seed: SEED },
+    },
+  });
+  await core.init(Ammo);
+
+  // Inputs follow the substep count, so both flights get the same sticks at the same physics time
+  const sticks = new SeededRandom(SEED);
+  const poses = [];
+  core.physics.addPreTickCallback(() => {
+    const { stepCount, position, quaternion } = core.getState();
+    poses[stepCount] = { position, quaternion };
+    if (stepCount % INPUT_INTERVAL === 0) {
+      core.setInputs({
+        throttle: sticks.uniform(0.5, 0.75),
+        roll: sticks.uniform(-0.3, 0.3),
+        pitch: sticks.uniform(-0.3, 0.3),
+        yaw: sticks.uniform(-0.3, 0.3),
+      });
+    }
+  });
+
+  const frames = Math.round(DURATION * frameRate);
+  for (let i = 0; i < frames; i++) core.step(1 / frameRate);
+  const { stepCount, position, quaternion } = core.getState();
+  poses[stepCount] = { position, quaternion };
+  return poses;
+};
+
+/**
+ * @param {number[]} a - A state vector.
+ * @param {number[]} b - Another state vector.
+ * @returns {boolean} Whether both are exactly equal.
+ */
+const identical = (a, b) => a.length === b.length && a.every((value, i) => value === b[i]);
+
+(async () => {
+  const [expected, actual] = [await fly(FRAME_RATES[0]), await fly(FRAME_RATES[1])];
+  const label = `${FRAME_RATES[0]} Hz and ${FRAME_RATES[1]} Hz frames`;
+
+  if (expected.length !== actual.length) {
+    console.error(`Substep check failed: ${label} ran ${expected.length - 1} and ${actual.length - 1} substeps.`);
+    process.exit(1);
+  }
+  for (let step = 1; step < expected.length; step++) {
+    const a = expected[step];
+    const b = actual[step];
+    if (!identical(a.position, b.position) || !identical(a.quaternion, b.quaternion)) {
+      console.error(`Substep check failed: ${label} diverge after substep ${step}.`);
+      console.error(`  position:   ${a.position.join(', ')} vs ${b.position.join(', ')}`);
+      console.error(`  quaternion: ${a.quaternion.join(', ')} vs ${b.quaternion.join(', ')}`);
+      process.exit(1);
+    }
+  }
+  console.log(`Substep check passed: ${label} match after each of ${expected.length - 1} substeps.`);
+})();
@@ -0,0 +1,37 @@
+const path = require('path');
+
+// Bundles the headless regression checks in scripts/ for Node, with the same Babel setup as the app.
+module.exports = {
+  mode: 'development',
+  target: 'node',
+  devtool: false,
+  entry: {
+    determinism: './scripts/checkDeterminism.js',
+    opticalFlow: './scripts/checkOpticalFlow.js',
+    substeps: './scripts/checkSubsteps.js',
+  },
+  output: {
+    filename: '[name].js',
+    path: path.resolve(__dirname, '../dist/checks'),
+  },
+  externals: {
+    'ammo.js': 'commonjs ammo.js',
+  },
+  module: {
+    rules: [
+      {
+        test: /\.(js|jsx)$/,
+        exclude: /node_modules/,
+        use: {
+          loader: 'babel-loader',
+          options: {
+            presets: [['@babel/preset-env', { targets: { node: 'current' } }], '@babel/preset-react'],
+          },
+        },
+      },
+    ],
+  },
+  resolve: {
+    extensions: ['.js', '.jsx'],
+  },
+};
@@ -3,6 +3,7 @@ import Simulation from './components/Simulation';
 import ModelSlider from './components/ModelSlider';
 import ErrorBoundary from './components/ErrorBoundary'; // Ensure this import is correct
 import { LoadingContext, LoadingProvider } from './context/LoadingContext';
+import { SimulationProvider } from './context/SimulationContext';
 import LoadingScreen from './components/LoadingScreen';
 import SimulationHub from './components/SimulationHub';
 import * as styles from './App.module.css';
@@ -50,12 +51,14 @@ const AppContent = () => {
 
   return (
     <ErrorBoundary>
-      <div className={styles.appContainer}>
-        <SimulationHub />
-        <div className={styles.simulationContent}>
-          <Simulation />
+      <SimulationProvider>
+        <div className={styles.appContainer}>
+          <SimulationHub />
+          <div className={styles.simulationContent}>
+            <Simulation />
+          </div>
         </div>
-      </div>
+      </SimulationProvider>
     </ErrorBoundary>
   );
 };
@@ -3,7 +3,9 @@ import * as THREE from 'three';
 import DroneScene from '../scenes/DroneScene';
 //import ControlScript from '../controls/ControlScript';
 import DroneControls from '../controls/DroneControls';
-import PhysicsEngine from '../physics/PhysicsEngine';
+import SimulationCore from '../core/SimulationCore';
+import RangeSensorView from '../sensors/RangeSensorView';
+import CameraEffects from '../scenes/CameraEffects';
 import {
   createPositionDisplay,
   updatePositionDisplay,
@@ -24,12 +26,14 @@ import {
 } from '../utils/fpvUtils';
 import { runInferenceOnFrameCapture } from '../inference/modelHelper';
 import { LoadingContext } from '../context/LoadingContext';
+import { SimulationContext } from '../context/SimulationContext';
 
 /**
  * @component Simulation
  * @description A React component that renders a 3D drone simulation using Three.js.
  * It includes a main view, First Person View (FPV), axes display, and various UI elements
- * for displaying drone status and controls.
+ * for displaying drone status and controls. Scene, physics and inputs are owned by a
+ * {@link SimulationCore}; this component only renders it.
  * 
  * @example
  * <Simulation />
@@ -38,6 +42,7 @@ const Simulation = () => {
   const mountRef = useRef(null);
   const statsRef = useRef(null);
   const { addLog } = useContext(LoadingContext);
+  const { registerCore } = useContext(SimulationContext);
 
   useEffect(() => {
     if (!mountRef.current) return;
@@ -71,28 +76,71 @@ const Simulation = () => {
     addLog('Drone Scene and Camera initialized.');
 
     /**
-     * Initializes drone controls and physics engine.
+     * Initializes drone controls and the simulation core that owns scene, physics and inputs.
      * @type {DroneControls}
-     * @type {PhysicsEngine}
+     * @type {SimulationCore}
      */
     addLog('Initializing Drone Controls...');
     const controls = new DroneControls();
     addLog('Drone Controls initialized.');
 
-    addLog('Initializing Physics Engine...');
-    const physicsEngine = new PhysicsEngine(controls);
-    addLog('Physics Engine initialized.');
-
-    // Initialize the scene and physics engine
-    scene.init().then(() => {
-      addLog('Drone Scene initialized successfully.');
-      physicsEngine.init(scene).then(() => {
-        addLog('Physics Engine initialized successfully.');
-      }).catch((error) => {
-        addLog(`Error initializing Physics Engine: ${error.message}`);
+    // Airframe by name (see AIRFRAMES) or URL, e.g. ?airframe=cinewhoop3
+    const searchParams = new URLSearchParams(window.location.search);
+    const airframe = searchParams.get('airframe') || 'freestyle5';
+    // Range sensors by type (see RANGE_SENSOR_TYPES), e.g. ?rangeSensors=single,lidar3d
+    const rangeSensors = (searchParams.get('rangeSensors') || '').split(',').filter(Boolean).map((type) => ({ type }));
+    // Onboard camera shown in the FPV view, by mount name, e.g. ?camera=down
+    const fpvCameraName = searchParams.get('camera');
+    // Lens, rolling shutter, blur and noise on the FPV view, by lens model (see LENS_MODELS), e.g. ?cameraEffects=kannalaBrandt
+    const cameraEffectsModel = searchParams.get('cameraEffects');
+
+    addLog(`Initializing Simulation Core with airframe ${airframe}...`);
+    const core = new SimulationCore({
+      scene,
+      controls,
+      airframe,
+      physicsSettings: { sensors: { rangeSensors } },
+    });
+    registerCore(core);
+    addLog('Simulation Core initialized.');
+
+    // Report impacts, motor failures and payload drops in the log
+    const handleCrash = ({ contact }) => {
+      addLog(`Crash at ${contact.impactSpeed.toFixed(1)} m/s${contact.object ? ` into ${contact.object.name}` : ''}.`);
+    };
+    const handlePropStrike = ({ contact }) => {
+      addLog(`Prop strike on motor ${contact.motorIndex + 1} at ${contact.impactSpeed.toFixed(1)} m/s.`);
+    };
+    const handleMotorFailure = ({ motorIndex }) => {
+      addLog(`Motor ${motorIndex + 1} failed.`);
+    };
+    const handlePayloadRelease = ({ payload }) => {
+      addLog(`Payload ${payload} released.`);
+    };
+    core.physics.addEventListener('crash', handleCrash);
+    core.physics.addEventListener('propStrike', handlePropStrike);
+    core.physics.addEventListener('motorFailure', handleMotorFailure);
+    core.physics.addEventListener('payloadRelease', handlePayloadRelease);
+
+    // Initialize the scene and physics engine, then draw the range sensor scans in the main view
+    const rangeSensorViews = [];
+    core.init().then(() => {
+      addLog('Drone Scene and Physics Engine initialized successfully.');
+      if (fpvCameraName) {
+        try {
+          core.cameraRig.setActiveCamera(fpvCameraName);
+        } catch (error) {
+          addLog(error.message);
+        }
+      }
+      addLog(`FPV camera: ${core.cameraRig.getCamera().name} (cameras: ${core.cameraRig.getCameraNames().join(', ')}).`);
+      core.physics.sensors.rangeSensors.forEach((rangeSensor) => {
+        const view = new RangeSensorView(rangeSensor);
+        scene.add(view.object);
+        rangeSensorViews.push(view);
       });
     }).catch((error) => {
-      addLog(`Error initializing Drone Scene: ${error.message}`);
+      addLog(`Error initializing simulation: ${error.message}`);
     });
 
     /**
@@ -103,8 +151,17 @@ const Simulation = () => {
     mountRef.current.appendChild(positionDisplay);
     addLog('Position Display created.');
 
-    const { fpvRenderer, updateRendererSize } = createFPVDisplay(mountRef.current);
-    addLog('FPV Display created.');
+    const { fpvRenderer, updateRendererSize, setAspectRatio } = createFPVDisplay(mountRef.current);
+    let fpvAspect = 16 / 9; // Aspect ratio the FPV display is shaped to
+    let fpvEffects = null;
+    if (cameraEffectsModel) {
+      try {
+        fpvEffects = new CameraEffects(fpvRenderer, { model: cameraEffectsModel });
+      } catch (error) {
+        addLog(error.message);
+      }
+    }
+    addLog(`FPV Display created${fpvEffects ? ` with ${cameraEffectsModel} camera effects` : ''}.`);
 
     /**
      * Creates and sets up the axes view for showing drone orientation.
@@ -135,6 +192,11 @@ const Simulation = () => {
       pitch: createControlBar('Pitch', 1500, 0, 3000),
       yaw: createControlBar('Yaw', 1500, 0, 3000),
       throttle: createControlBar('Throttle', 0, 0, 3000),
+      mode: createControlBar('Mode', controls.flightMode.toUpperCase(), 0, 0),
+      rpm: createControlBar('kRPM', '-', 0, 0),
+      battery: createControlBar('Battery', '-', 0, 0),
+      wind: createControlBar('Wind', '-', 0, 0),
+      status: createControlBar('Status', '-', 0, 0),
     };
 
     Object.values(controlBars).forEach((bar) => controlDisplay.appendChild(bar.container));
@@ -177,26 +239,27 @@ const Simulation = () => {
 
       const deltaTime = clock.getDelta();
 
-      // Update physics engine
-      physicsEngine.update();
+      // Advance physics, scene animations and control inputs
+      core.step(deltaTime);
 
-      // Update drone scene (for animations)
-      scene.update(deltaTime);
+      rangeSensorViews.forEach((view) => view.update());
 
-      // Update controls with the drone's current orientation
-      if (scene.drone) {
-        controls.update(scene.drone.quaternion);
-      } else {
-        controls.update();
-      }
-
-      // Update camera positions
+      // Update the chase camera; the FPV camera is mounted on the drone
       updateCameraPosition(camera, scene.drone);
-      updateFPVCameraPosition(fpvRenderer, scene.drone);
 
       // Render main view, FPV, and axes
       renderer.render(scene, camera);
-      fpvRenderer.render(scene, camera);
+      const fpvCamera = core.cameraRig.getCamera();
+      if (fpvCamera && fpvCamera.aspect !== fpvAspect) {
+        fpvAspect = fpvCamera.aspect;
+        setAspectRatio(fpvAspect);
+      }
+      const droneState = core.physics.getDroneState();
+      if (fpvCamera && fpvEffects && droneState) {
+        fpvEffects.render(scene, fpvCamera, deltaTime, droneState.angularVelocity);
+      } else if (fpvCamera) {
+        fpvRenderer.render(scene, fpvCamera);
+      }
       if (scene.drone) {
         axesView.axesScene.quaternion.copy(scene.drone.quaternion);
         axesView.axesRenderer.render(axesView.axesScene, axesView.axesCamera);
@@ -204,10 +267,15 @@ const Simulation = () => {
 
       // Update UI elements
       if (scene.drone) {
-        updatePositionDisplay(positionDisplay, scene.drone.position);
-        updateCompass(compass, scene.drone.quaternion);
+        const { sensors } = core.physics;
+        updatePositionDisplay(positionDisplay, scene.drone.position, sensors && sensors.getTelemetry());
+        updateCompass(compass, scene.drone.quaternion, sensors && sensors.getHeading());
       }
       updateControlBarsDisplay(controlBars, controls.getControlInputs());
+      updateControlBar(controlBars.rpm, core.physics.motors.map((motor) => (motor.rpm / 1000).toFixed(1)).join(' / '));
+      updateBatteryDisplay(controlBars.battery, core.physics.battery.getTelemetry());
+      updateWindDisplay(controlBars.wind, core.physics.wind.getTelemetry());
+      updateStatusDisplay(controlBars.status, core.physics);
 
       // Update axes view
       if (scene.drone) {
@@ -226,6 +294,13 @@ const Simulation = () => {
     // Cleanup on Unmount
     return () => {
       window.removeEventListener('resize', handleResize);
+      core.physics.removeEventListener('crash', handleCrash);
+      core.physics.removeEventListener('propStrike', handlePropStrike);
+      core.physics.removeEventListener('motorFailure', handleMotorFailure);
+      core.physics.removeEventListener('payloadRelease', handlePayloadRelease);
+      rangeSensorViews.forEach((view) => view.dispose());
+      if (fpvEffects) fpvEffects.dispose();
+      registerCore(null);
       if (mountRef.current) {
         mountRef.current.removeChild(renderer.domElement);
         mountRef.current.removeChild(positionDisplay);
@@ -242,7 +317,7 @@ const Simulation = () => {
       }
       addLog('Cleanup completed on unmount.');
     };
-  }, [addLog]);
+  }, [addLog, registerCore]);
 
   /**
    * Updates the main camera position relative to the drone.
@@ -262,42 +337,57 @@ const Simulation = () => {
     }
   };
 
-  /**
-   * Updates the FPV camera position and orientation.
-   * @param {THREE.WebGLRenderer} fpvRenderer - The FPV renderer.
-   * @param {THREE.Object3D} drone - The drone object.
-   */
-  const updateFPVCameraPosition = (fpvRenderer, drone) => {
-    if (drone) {
-      const fpvCamera = new THREE.PerspectiveCamera(
-        90,
-        fpvRenderer.domElement.width / fpvRenderer.domElement.height,
-        0.1,
-        1000
-      );
-      fpvCamera.position.copy(drone.position);
-      const rotationY180 = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, Math.PI, 0));
-      const combinedRotation = new THREE.Quaternion().multiplyQuaternions(
-        drone.quaternion,
-        rotationY180
-      );
-      fpvCamera.setRotationFromQuaternion(combinedRotation);
-      const offset = new THREE.Vector3(0, 0.5, 0.5).applyQuaternion(combinedRotation);
-      fpvCamera.position.add(offset);
-    }
-  };
-
   /**
    * Updates the control bars display with current control inputs.
    * @param {Object} controlBars - The control bar elements.
    * @param {Object} channels - The current control input values.
    */
   const updateControlBarsDisplay = (controlBars, channels) => {
-    const { roll, pitch, yaw, throttle } = channels;
+    const { roll, pitch, yaw, throttle, flightMode } = channels;
     updateControlBar(controlBars.roll, roll * 1500 + 1500);
     updateControlBar(controlBars.pitch, pitch * 1500 + 1500);
     updateControlBar(controlBars.yaw, yaw * 1500 + 1500);
     updateControlBar(controlBars.throttle, throttle * 3000);
+    updateControlBar(controlBars.mode, flightMode.toUpperCase());
+  };
+
+  /**
+   * Updates the battery readout with voltage, current, charge used and remaining percent.
+   * @param {Object} batteryBar - The battery control bar element.
+   * @param {Object} battery - Battery telemetry from `BatteryModel.getTelemetry()`.
+   */
+  const updateBatteryDisplay = (batteryBar, battery) => {
+    const { voltage, current, mAhUsed, remaining, depleted } = battery;
+    updateControlBar(
+      batteryBar,
+      depleted
+        ? 'DEPLETED'
+        : `${voltage.toFixed(1)} V ${current.toFixed(1)} A ${Math.round(mAhUsed)} mAh ${Math.round(remaining)}%`
+    );
+  };
+
+  /**
+   * Updates the wind readout with horizontal speed, heading and vertical component.
+   * @param {Object} windBar - The wind control bar element.
+   * @param {Object} wind - Wind telemetry from `WindField.getTelemetry()`.
+   */
+  const updateWindDisplay = (windBar, wind) => {
+    const { speed, heading, velocity } = wind;
+    updateControlBar(windBar, `${speed.toFixed(1)} m/s ${Math.round(heading)}° ${velocity[1] >= 0 ? '+' : ''}${velocity[1].toFixed(1)} up`);
+  };
+
+  /**
+   * Updates the status readout with the crash state, the last contact and damaged motors.
+   * @param {Object} statusBar - The status control bar element.
+   * @param {PhysicsEngine} physics - The physics engine.
+   */
+  const updateStatusDisplay = (statusBar, physics) => {
+    const damaged = physics.motors
+      .map((motor, i) => (motor.health < 1 ? `M${i + 1} ${Math.round(motor.health * 100)}%` : null))
+      .filter(Boolean);
+    let status = physics.crashed ? 'CRASHED' : 'OK';
+    if (!physics.crashed && physics.lastContact) status = physics.lastContact.type.toUpperCase();
+    updateControlBar(statusBar, [status, ...damaged].join(' '));
   };
 
   return (
@@ -1,7 +1,8 @@
-import React, { useEffect, useState } from 'react';
+import React, { useContext, useEffect, useState } from 'react';
 import * as styles from './SimulationHub.module.css';
 import GamepadHandler from '../utils/gamepadHandler';
 import { FaBrain, FaRedo, FaGlobe, FaRobot, FaChartLine } from 'react-icons/fa';
+import { SimulationContext } from '../context/SimulationContext';
 
 /**
  * @component SimulationHub
@@ -9,6 +10,7 @@ import { FaBrain, FaRedo, FaGlobe, FaRobot, FaChartLine } from 'react-icons/fa';
  */
 const SimulationHub = () => {
   const [gamepadConnected, setGamepadConnected] = useState(false);
+  const { resetSimulation } = useContext(SimulationContext);
 
   useEffect(() => {
     const gamepadHandler = new GamepadHandler();
@@ -33,7 +35,7 @@ const SimulationHub = () => {
             <FaBrain />
             <span className={styles.buttonText}>Models</span>
           </button>
-          <button className={styles.navButton} title="Reset Parameters">
+          <button className={styles.navButton} title="Reset Drone" onClick={resetSimulation}>
             <FaRedo />
             <span className={styles.buttonText}>Reset</span>
           </button>
@@ -0,0 +1,53 @@
+import React, { createContext, useRef, useCallback } from 'react';
+
+/**
+ * @context SimulationContext
+ * @description Context giving UI components outside the Simulation view access to the running simulation.
+ */
+export const SimulationContext = createContext();
+
+/**
+ * @component SimulationProvider
+ * @description Provider component for the SimulationContext.
+ * Holds the active SimulationCore and provides actions that operate on it.
+ *
+ * @param {Object} props - The component props.
+ * @param {React.ReactNode} props.children - The child components to be wrapped by this provider.
+ *
+ * @example
+ * <SimulationProvider>
+ *   <SimulationHub />
+ *   <Simulation />
+ * </SimulationProvider>
+ */
+export const SimulationProvider = ({ children }) => {
+  /**
+   * @ref {SimulationCore|null} coreRef - The simulation registered by the Simulation view.
+   */
+  const coreRef = useRef(null);
+
+  /**
+   * @function registerCore
+   * @description Makes a simulation available to the context's consumers.
+   * @param {SimulationCore|null} core - The simulation, or null when it is torn down.
+   */
+  const registerCore = useCallback((core) => {
+    coreRef.current = core;
+  }, []);
+
+  /**
+   * @function resetSimulation
+   * @description Puts the drone back at its spawn pose with repaired motors, a charged battery and cleared crash state.
+   */
+  const resetSimulation = useCallback(() => {
+    if (coreRef.current) {
+      coreRef.current.reset();
+    }
+  }, []);
+
+  return (
+    <SimulationContext.Provider value={{ registerCore, resetSimulation }}>
+      {children}
+    </SimulationContext.Provider>
+  );
+};
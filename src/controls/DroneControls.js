@@ -1,4 +1,7 @@
 import GamepadHandler from '../utils/gamepadHandler';
+import { FLIGHT_MODES } from './FlightController';
+import { commandFromProtocol } from '../physics/MotorModel';
+import { GIMBAL_MODES } from '../scenes/Gimbal';
 
 /**
  * @class DroneControls
@@ -9,8 +12,19 @@ class DroneControls {
     /**
      * @constructor
      * Initializes the DroneControls with default values and sets up input handlers.
+     * @param {Object} [options] - Configuration options.
+     * @param {boolean} [options.enableInput=true] - Attach keyboard and gamepad handlers. Disable for headless use,
+     * where channels are driven through `setInputs()` instead.
+     * @param {number} [options.motorCount=4] - Number of individually controllable motors (`motor1`..`motorN`).
      */
-    constructor() {
+    constructor(options = {}) {
+        const { enableInput = true, motorCount = 4 } = options;
+
+        /**
+         * @property {boolean} enableInput - Whether keyboard and gamepad input drive the channels.
+         */
+        this.enableInput = enableInput;
+
         /**
          * @property {Object} channels - Stores the current values for each control channel.
          * @property {number} channels.roll - Roll control value (-1 to 1).
@@ -26,18 +40,41 @@ class DroneControls {
         };
 
         /**
-         * @property {Object} motorThrusts - Stores the current thrust values for each motor.
-         * @property {number} motorThrusts.motor1 - Thrust for Motor 1 (0 to 1).
-         * @property {number} motorThrusts.motor2 - Thrust for Motor 2 (0 to 1).
-         * @property {number} motorThrusts.motor3 - Thrust for Motor 3 (0 to 1).
-         * @property {number} motorThrusts.motor4 - Thrust for Motor 4 (0 to 1).
+         * @property {Object} motorThrusts - Stores the current thrust values for each motor,
+         * keyed `motor1`..`motorN` (0 to 1).
          */
-        this.motorThrusts = {
-            motor1: 0.6125, // Updated for hover stability
-            motor2: 0.6125,
-            motor3: 0.6125,
-            motor4: 0.6125,
-        };
+        this.motorThrusts = {};
+        this.setMotorCount(motorCount);
+
+        /**
+         * @property {string} flightMode - Flight controller mode, one of FLIGHT_MODES (acts like an AUX switch).
+         */
+        this.flightMode = FLIGHT_MODES.ANGLE;
+
+        /**
+         * @property {boolean} payloadRelease - Payload release switch (an AUX channel); payloads drop when it turns on.
+         */
+        this.payloadRelease = false;
+
+        /**
+         * @property {string} gimbalMode - Camera gimbal mode, one of GIMBAL_MODES (see `Gimbal`).
+         * @property {number} gimbalPitch - Camera gimbal pitch target (deg, up positive).
+         * @property {number} gimbalYaw - Camera gimbal heading offset target (deg).
+         * The camera rig applies these to its gimbals when they change.
+         */
+        this.gimbalMode = GIMBAL_MODES.FOLLOW;
+        this.gimbalPitch = 0;
+        this.gimbalYaw = 0;
+
+        /**
+         * @property {number} gimbalRate - Rate at which the gamepad's D-pad moves the gimbal targets (deg/s).
+         */
+        this.gimbalRate = 45;
+
+        /**
+         * @property {boolean[]} previousButtons - Gamepad button states at the last update, for press detection.
+         */
+        this.previousButtons = [];
 
         /**
          * @property {Object} keyStates - Tracks the current state of keyboard inputs.
@@ -52,7 +89,7 @@ class DroneControls {
         /**
          * @property {GamepadHandler} gamepadHandler - Handles gamepad input.
          */
-        this.gamepadHandler = new GamepadHandler();
+        this.gamepadHandler = enableInput ? new GamepadHandler() : null;
 
         /**
          * @property {Object} scripts - Stores registered scripts with unique identifiers.
@@ -69,7 +106,9 @@ class DroneControls {
          */
         this.activeScripts = [];
 
-        this.initControls();
+        if (enableInput) {
+            this.initControls();
+        }
         this.registerDefaultScripts();
     }
 
@@ -126,8 +165,10 @@ class DroneControls {
      * @param {number} deltaTime - Time elapsed since the last update (in milliseconds).
      */
     update(deltaTime) {
-        this.gamepadHandler.update();
-        this.updateControlChannels(deltaTime);
+        if (this.enableInput) {
+            this.gamepadHandler.update();
+            this.updateControlChannels(deltaTime);
+        }
         this.updateActiveScripts(deltaTime);
     }
 
@@ -146,12 +187,31 @@ class DroneControls {
             this.channels.pitch = this.clampValue(gamepadAxes[1], -1, 1);
             this.channels.yaw = this.clampValue(gamepadAxes[2], -1, 1);
             this.channels.throttle = this.clampValue((gamepadAxes[3] + 1) / 2, 0, 1); // Normalize throttle to 0-1
+            this.updateGimbalButtons(deltaTime);
         } else {
             // Use keyboard input
             this.updateKeyboardControls();
         }
     }
 
+    /**
+     * @method updateGimbalButtons
+     * @private
+     * Moves the gimbal targets with the D-pad (up/down: pitch, left/right: yaw) and cycles the gimbal mode on the
+     * top face button, in the standard gamepad mapping.
+     * @param {number} deltaTime - Time elapsed since the last update (in milliseconds).
+     */
+    updateGimbalButtons(deltaTime) {
+        const buttons = this.gamepadHandler.getButtons();
+        const step = (this.gimbalRate * deltaTime) / 1000;
+        if (buttons[12]) this.gimbalPitch = this.clampValue(this.gimbalPitch + step, -90, 90);
+        if (buttons[13]) this.gimbalPitch = this.clampValue(this.gimbalPitch - step, -90, 90);
+        if (buttons[14]) this.gimbalYaw = this.clampValue(this.gimbalYaw - step, -180, 180);
+        if (buttons[15]) this.gimbalYaw = this.clampValue(this.gimbalYaw + step, -180, 180);
+        if (buttons[3] && !this.previousButtons[3]) this.cycleGimbalMode();
+        this.previousButtons = [...buttons];
+    }
+
     /**
      * @method updateKeyboardControls
      * @private
@@ -169,45 +229,20 @@ class DroneControls {
         if (this.keyStates['KeyX']) this.channels.throttle = this.clampValue(this.channels.throttle - this.controlRate, 0, 1); // Moved throttle down to KeyX
 
         // === Simplified Individual Motor Controls ===
-        // Increase Thrust: Press and hold Motor keys (1, 2, 3, 4)
+        // Increase Thrust: Press and hold Motor keys (1 to N, up to 9)
         // Decrease Thrust: Release Motor keys (thrust decreases gradually)
-
-        // Motor 1
-        if (this.keyStates['Digit1']) {
-            this.motorThrusts.motor1 = this.clampValue(this.motorThrusts.motor1 + this.controlRate, 0, 1);
-        } else {
-            this.motorThrusts.motor1 = this.clampValue(this.motorThrusts.motor1 - this.controlRate, 0, 1);
-        }
-
-        // Motor 2
-        if (this.keyStates['Digit2']) {
-            this.motorThrusts.motor2 = this.clampValue(this.motorThrusts.motor2 + this.controlRate, 0, 1);
-        } else {
-            this.motorThrusts.motor2 = this.clampValue(this.motorThrusts.motor2 - this.controlRate, 0, 1);
-        }
-
-        // Motor 3
-        if (this.keyStates['Digit3']) {
-            this.motorThrusts.motor3 = this.clampValue(this.motorThrusts.motor3 + this.controlRate, 0, 1);
-        } else {
-            this.motorThrusts.motor3 = this.clampValue(this.motorThrusts.motor3 - this.controlRate, 0, 1);
-        }
-
-        // Motor 4
-        if (this.keyStates['Digit4']) {
-            this.motorThrusts.motor4 = this.clampValue(this.motorThrusts.motor4 + this.controlRate, 0, 1);
-        } else {
-            this.motorThrusts.motor4 = this.clampValue(this.motorThrusts.motor4 - this.controlRate, 0, 1);
-        }
+        Object.keys(this.motorThrusts).forEach((motorKey, i) => {
+            const delta = this.keyStates[`Digit${i + 1}`] ? this.controlRate : -this.controlRate;
+            this.motorThrusts[motorKey] = this.clampValue(this.motorThrusts[motorKey] + delta, 0, 1);
+        });
 
         // Optional: Prevent motor thrusts from decreasing below hover thrust
         // Uncomment the following lines if you want motor thrusts to not fall below hover thrust
         /*
         const hoverThrust = 0.6125; // As per PhysicsEngine settings
-        this.motorThrusts.motor1 = Math.max(this.motorThrusts.motor1, hoverThrust);
-        this.motorThrusts.motor2 = Math.max(this.motorThrusts.motor2, hoverThrust);
-        this.motorThrusts.motor3 = Math.max(this.motorThrusts.motor3, hoverThrust);
-        this.motorThrusts.motor4 = Math.max(this.motorThrusts.motor4, hoverThrust);
+        Object.keys(this.motorThrusts).forEach((motorKey) => {
+            this.motorThrusts[motorKey] = Math.max(this.motorThrusts[motorKey], hoverThrust);
+        });
         */
 
         // Reset unused controls towards center
@@ -279,6 +314,9 @@ class DroneControls {
      * - yaw: -1 to 1
      * - throttle: 0 to 1
      * - motorThrusts: Each motor's thrust (0 to 1)
+     * - flightMode: The selected flight controller mode
+     * - payloadRelease: Whether the payload release switch is on
+     * - gimbalMode, gimbalPitch, gimbalYaw: Camera gimbal mode and angle targets (deg)
      */
     getControlInputs() {
         return {
@@ -286,15 +324,93 @@ class DroneControls {
             pitch: this.channels.pitch,        // -1 to 1
             yaw: this.channels.yaw,            // -1 to 1
             throttle: this.channels.throttle,  // 0 to 1
-            motorThrusts: {                     // 0 to 1
-                motor1: this.motorThrusts.motor1,
-                motor2: this.motorThrusts.motor2,
-                motor3: this.motorThrusts.motor3,
-                motor4: this.motorThrusts.motor4,
-            },
+            flightMode: this.flightMode,
+            payloadRelease: this.payloadRelease,
+            gimbalMode: this.gimbalMode,
+            gimbalPitch: this.gimbalPitch,
+            gimbalYaw: this.gimbalYaw,
+            motorThrusts: { ...this.motorThrusts }, // 0 to 1
         };
     }
 
+    /**
+     * @method setInputs
+     * @public
+     * @param {Object} inputs - Partial control inputs, in the same ranges as `getControlInputs()`.
+     * @param {number} [inputs.roll] - Roll (-1 to 1).
+     * @param {number} [inputs.pitch] - Pitch (-1 to 1).
+     * @param {number} [inputs.yaw] - Yaw (-1 to 1).
+     * @param {number} [inputs.throttle] - Throttle (0 to 1).
+     * @param {Object} [inputs.motorThrusts] - Per-motor thrusts keyed `motor1`..`motorN` (0 to 1, or raw ESC values with `motorProtocol`).
+     * @param {string} [inputs.motorProtocol='normalized'] - Units of `motorThrusts`: `normalized`, `pwm` (µs) or `dshot`,
+     * see MOTOR_PROTOCOLS.
+     * @param {string} [inputs.flightMode] - Flight controller mode, one of FLIGHT_MODES.
+     * @param {boolean} [inputs.payloadRelease] - Payload release switch; payloads drop when it turns on.
+     * @param {string} [inputs.gimbalMode] - Camera gimbal mode, one of GIMBAL_MODES.
+     * @param {number} [inputs.gimbalPitch] - Camera gimbal pitch target (deg, up positive).
+     * @param {number} [inputs.gimbalYaw] - Camera gimbal heading offset target (deg).
+     * Sets control channels programmatically. Channels that are not given keep their current value.
+     */
+    setInputs(inputs = {}) {
+        const {
+            roll, pitch, yaw, throttle, motorThrusts, motorProtocol, flightMode, payloadRelease, gimbalMode, gimbalPitch, gimbalYaw,
+        } = inputs;
+        if (flightMode !== undefined) this.flightMode = flightMode;
+        if (payloadRelease !== undefined) this.payloadRelease = Boolean(payloadRelease);
+        if (gimbalMode !== undefined) this.gimbalMode = gimbalMode;
+        if (gimbalPitch !== undefined) this.gimbalPitch = gimbalPitch;
+        if (gimbalYaw !== undefined) this.gimbalYaw = gimbalYaw;
+        if (roll !== undefined) this.channels.roll = this.clampValue(roll, -1, 1);
+        if (pitch !== undefined) this.channels.pitch = this.clampValue(pitch, -1, 1);
+        if (yaw !== undefined) this.channels.yaw = this.clampValue(yaw, -1, 1);
+        if (throttle !== undefined) this.channels.throttle = this.clampValue(throttle, 0, 1);
+
+        if (motorThrusts) {
+            Object.keys(motorThrusts).forEach((motorKey) => {
+                if (motorKey in this.motorThrusts) {
+                    this.motorThrusts[motorKey] = commandFromProtocol(motorThrusts[motorKey], motorProtocol);
+                }
+            });
+        }
+    }
+
+    /**
+     * @method setMotorCount
+     * @public
+     * @param {number} motorCount - Number of motors of the airframe.
+     * Resizes `motorThrusts` to `motor1`..`motorN`, keeping the thrusts of motors that remain.
+     */
+    setMotorCount(motorCount) {
+        const motorThrusts = {};
+        for (let i = 1; i <= motorCount; i++) {
+            const motorKey = `motor${i}`;
+            motorThrusts[motorKey] = motorKey in this.motorThrusts ? this.motorThrusts[motorKey] : 0.6125; // Updated for hover stability
+        }
+        this.motorThrusts = motorThrusts;
+    }
+
+    /**
+     * @method cycleFlightMode
+     * @public
+     * Switches to the next flight mode (angle -> horizon -> acro -> angle).
+     */
+    cycleFlightMode() {
+        const order = [FLIGHT_MODES.ANGLE, FLIGHT_MODES.HORIZON, FLIGHT_MODES.ACRO];
+        this.flightMode = order[(order.indexOf(this.flightMode) + 1) % order.length];
+        console.log(`Flight mode: ${this.flightMode}`);
+    }
+
+    /**
+     * @method cycleGimbalMode
+     * @public
+     * Switches the camera gimbal to the next mode (fpv -> follow -> lock -> fpv).
+     */
+    cycleGimbalMode() {
+        const order = Object.values(GIMBAL_MODES);
+        this.gimbalMode = order[(order.indexOf(this.gimbalMode) + 1) % order.length];
+        console.log(`Gimbal mode: ${this.gimbalMode}`);
+    }
+
     /**
      * @method registerScript
      * @public
@@ -435,6 +551,25 @@ class DroneControls {
         ]);
         this.bindKeyToScript('KeyY', 'yawSpin');
 
+        // Flight Mode Switch
+        this.registerScript('cycleFlightMode', [
+            { time: 0, action: (controls) => controls.cycleFlightMode() },
+        ]);
+        this.bindKeyToScript('KeyM', 'cycleFlightMode');
+
+        // Payload Release: flips the release switch on and back off
+        this.registerScript('releasePayload', [
+            { time: 0, action: (controls) => { controls.payloadRelease = true; } },
+            { time: 250, action: (controls) => { controls.payloadRelease = false; } },
+        ]);
+        this.bindKeyToScript('KeyR', 'releasePayload');
+
+        // Gimbal Mode Switch
+        this.registerScript('cycleGimbalMode', [
+            { time: 0, action: (controls) => controls.cycleGimbalMode() },
+        ]);
+        this.bindKeyToScript('KeyG', 'cycleGimbalMode');
+
         // Add more default scripts as needed
     }
 }
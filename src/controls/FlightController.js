@@ -0,0 +1,169 @@
+import * as THREE from 'three';
+import PID from './PID';
+
+/**
+ * Flight modes supported by the {@link FlightController}.
+ * - `acro`: sticks command body rates; attitude is not held.
+ * - `angle`: roll/pitch sticks command a tilt angle that is held, self-levelling at center stick.
+ * - `horizon`: angle mode around center stick, blending into acro towards full deflection.
+ * @enum {string}
+ */
+export const FLIGHT_MODES = {
+  ACRO: 'acro',
+  ANGLE: 'angle',
+  HORIZON: 'horizon',
+};
+
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * @class FlightController
+ * @description Cascaded flight controller sitting between {@link DroneControls} and the physics engine.
+ * An outer attitude loop (angle/horizon modes) turns tilt errors into rate setpoints, and an inner
+ * rate PID loop turns rate errors into normalized roll/pitch/yaw demands for the motor mixer.
+ *
+ * Body axes follow the physics engine: roll about body X, pitch about body Z, yaw about body Y,
+ * with the yaw stick inverted (positive yaw stick turns about -Y).
+ */
+class FlightController {
+  /**
+   * @constructor
+   * @param {Object} [settings] - Overrides for the default tuning, see `this.settings`.
+   */
+  constructor(settings = {}) {
+    // === Setting Variables === //
+    this.settings = {
+      mode: FLIGHT_MODES.ANGLE,
+      rates: { roll: 400, pitch: 400, yaw: 300 }, // deg/s at full stick
+      maxAngle: 45, // deg, tilt at full stick in angle mode
+      angleGain: 6, // (rad/s) of rate setpoint per rad of attitude error
+      horizonTransition: 0.75, // Stick deflection at which horizon mode becomes pure acro
+      minThrottle: 0.05, // Below this, PID integrators are held at zero (landed/disarmed)
+      ratePID: {
+        roll: { kp: 0.02, ki: 0.03, kd: 0.0003, integralLimit: 0.2, outputLimit: 1 },
+        pitch: { kp: 0.02, ki: 0.03, kd: 0.0003, integralLimit: 0.2, outputLimit: 1 },
+        yaw: { kp: 0.3, ki: 0.15, kd: 0, integralLimit: 0.3, outputLimit: 1 },
+      },
+      ...settings,
+    };
+    // === End of Setting Variables === //
+
+    this.ratePID = {
+      roll: new PID(this.settings.ratePID.roll),
+      pitch: new PID(this.settings.ratePID.pitch),
+      yaw: new PID(this.settings.ratePID.yaw),
+    };
+
+    this.inverseQuaternion = new THREE.Quaternion();
+    this.bodyRates = new THREE.Vector3();
+    this.bodyUp = new THREE.Vector3();
+    this.rateSetpoint = { roll: 0, pitch: 0, yaw: 0 };
+    this.attitude = { roll: 0, pitch: 0 };
+  }
+
+  /**
+   * @method setMode
+   * @public
+   * @param {string} mode - One of FLIGHT_MODES.
+   * @description Switches the flight mode, resetting the rate loop to avoid transients from stale integrators.
+   */
+  setMode(mode) {
+    if (!Object.values(FLIGHT_MODES).includes(mode)) {
+      console.warn(`Unknown flight mode "${mode}". Keeping "${this.settings.mode}".`);
+      return;
+    }
+    if (mode !== this.settings.mode) {
+      this.settings.mode = mode;
+      this.reset();
+    }
+  }
+
+  /**
+   * @method reset
+   * @public
+   * @description Clears all PID state.
+   */
+  reset() {
+    Object.values(this.ratePID).forEach((pid) => pid.reset());
+  }
+
+  /**
+   * @method update
+   * @public
+   * @param {Object} inputs - Stick inputs from `DroneControls.getControlInputs()`.
+   * @param {THREE.Quaternion} quaternion - Body orientation (world from body), as estimated from the sensors.
+   * @param {THREE.Vector3} bodyRates - Gyro rates about the body axes (rad/s).
+   * @param {number} dt - Time since the previous update (s).
+   * @returns {{roll: number, pitch: number, yaw: number, throttle: number}} Normalized demands for the mixer:
+   * torques in [-1, 1] about the body axes and collective throttle in [0, 1].
+   */
+  update(inputs, quaternion, bodyRates, dt) {
+    if (inputs.flightMode && inputs.flightMode !== this.settings.mode) {
+      this.setMode(inputs.flightMode);
+    }
+
+    this.bodyRates.copy(bodyRates);
+    this.inverseQuaternion.copy(quaternion).invert();
+
+    // Attitude from the world up vector seen in body axes
+    this.bodyUp.set(0, 1, 0).applyQuaternion(this.inverseQuaternion);
+    this.attitude.roll = Math.atan2(-this.bodyUp.z, this.bodyUp.y);
+    this.attitude.pitch = Math.atan2(this.bodyUp.x, this.bodyUp.y);
+
+    this.computeRateSetpoints(inputs);
+
+    const throttle = Math.max(0, Math.min(1, inputs.throttle));
+    if (throttle < this.settings.minThrottle) {
+      this.reset();
+    }
+
+    return {
+      roll: this.ratePID.roll.update(this.rateSetpoint.roll, this.bodyRates.x, dt),
+      pitch: this.ratePID.pitch.update(this.rateSetpoint.pitch, this.bodyRates.z, dt),
+      yaw: this.ratePID.yaw.update(this.rateSetpoint.yaw, this.bodyRates.y, dt),
+      throttle,
+    };
+  }
+
+  /**
+   * @method computeRateSetpoints
+   * @private
+   * @param {Object} inputs - Stick inputs.
+   * @description Runs the outer loop for the current mode and stores body rate setpoints (rad/s).
+   */
+  computeRateSetpoints(inputs) {
+    const { mode, rates, maxAngle, angleGain, horizonTransition } = this.settings;
+
+    const acro = {
+      roll: inputs.roll * rates.roll * DEG_TO_RAD,
+      pitch: inputs.pitch * rates.pitch * DEG_TO_RAD,
+    };
+    this.rateSetpoint.yaw = -inputs.yaw * rates.yaw * DEG_TO_RAD;
+
+    if (mode === FLIGHT_MODES.ACRO) {
+      this.rateSetpoint.roll = acro.roll;
+      this.rateSetpoint.pitch = acro.pitch;
+      return;
+    }
+
+    const clampRate = (value, limit) => Math.max(-limit, Math.min(limit, value));
+    const level = {
+      roll: clampRate(angleGain * (inputs.roll * maxAngle * DEG_TO_RAD - this.attitude.roll), rates.roll * DEG_TO_RAD),
+      pitch: clampRate(angleGain * (inputs.pitch * maxAngle * DEG_TO_RAD - this.attitude.pitch), rates.pitch * DEG_TO_RAD),
+    };
+
+    if (mode === FLIGHT_MODES.ANGLE) {
+      this.rateSetpoint.roll = level.roll;
+      this.rateSetpoint.pitch = level.pitch;
+      return;
+    }
+
+    // Horizon: weight acro by stick deflection
+    const deflection = Math.max(Math.abs(inputs.roll), Math.abs(inputs.pitch));
+    const acroWeight = Math.min(1, deflection / horizonTransition);
+    this.rateSetpoint.roll = (1 - acroWeight) * level.roll + acroWeight * acro.roll;
+    this.rateSetpoint.pitch = (1 - acroWeight) * level.pitch + acroWeight * acro.pitch;
+  }
+}
+
+export default FlightController;
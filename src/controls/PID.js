@@ -0,0 +1,64 @@
+/**
+ * @class PID
+ * @description Proportional-integral-derivative controller with integral clamping and a
+ * low-pass filtered derivative taken on the measurement (no derivative kick on setpoint steps).
+ */
+class PID {
+  /**
+   * @constructor
+   * @param {Object} gains - Controller gains and limits.
+   * @param {number} gains.kp - Proportional gain.
+   * @param {number} [gains.ki=0] - Integral gain.
+   * @param {number} [gains.kd=0] - Derivative gain.
+   * @param {number} [gains.integralLimit=Infinity] - Absolute limit of the integral term's contribution.
+   * @param {number} [gains.outputLimit=Infinity] - Absolute limit of the controller output.
+   * @param {number} [gains.derivativeCutoff=100] - Derivative low-pass cutoff frequency (Hz).
+   */
+  constructor({ kp, ki = 0, kd = 0, integralLimit = Infinity, outputLimit = Infinity, derivativeCutoff = 100 }) {
+    this.kp = kp;
+    this.ki = ki;
+    this.kd = kd;
+    this.integralLimit = integralLimit;
+    this.outputLimit = outputLimit;
+    this.derivativeCutoff = derivativeCutoff;
+    this.reset();
+  }
+
+  /**
+   * @method reset
+   * @public
+   * Clears the integral and derivative history.
+   */
+  reset() {
+    this.integral = 0;
+    this.derivative = 0;
+    this.previousMeasurement = null;
+  }
+
+  /**
+   * @method update
+   * @public
+   * @param {number} setpoint - Desired value.
+   * @param {number} measurement - Measured value.
+   * @param {number} dt - Time since the previous update (s).
+   * @returns {number} The controller output.
+   */
+  update(setpoint, measurement, dt) {
+    const error = setpoint - measurement;
+
+    this.integral += this.ki * error * dt;
+    this.integral = Math.max(-this.integralLimit, Math.min(this.integralLimit, this.integral));
+
+    if (this.previousMeasurement !== null && dt > 0) {
+      const rawDerivative = -(measurement - this.previousMeasurement) / dt;
+      const rc = 1 / (2 * Math.PI * this.derivativeCutoff);
+      this.derivative += (dt / (rc + dt)) * (rawDerivative - this.derivative);
+    }
+    this.previousMeasurement = measurement;
+
+    const output = this.kp * error + this.integral + this.kd * this.derivative;
+    return Math.max(-this.outputLimit, Math.min(this.outputLimit, output));
+  }
+}
+
+export default PID;
@@ -0,0 +1,202 @@
+import * as THREE from 'three';
+import DroneControls from '../controls/DroneControls';
+import PhysicsEngine from '../physics/PhysicsEngine';
+import CameraRig from '../scenes/CameraRig';
+import { resolveFrame } from '../physics/frames';
+import { createAirframe, loadAirframe } from '../physics/airframes';
+
+/**
+ * @class SimulationCore
+ * @description Owns the scene graph, physics and control inputs of a single drone simulation.
+ * It has no DOM or WebGL dependency, so it runs in Node for CI and batch experiments;
+ * the React `Simulation` component renders on top of it in the browser.
+ *
+ * @example
+ * const core = new SimulationCore();
+ * await core.init(require('ammo.js'));
+ * core.setInputs({ throttle: 0.62 });
+ * for (let i = 0; i < 1000; i++) core.step(1 / 100);
+ * console.log(core.getState().position);
+ */
+class SimulationCore {
+  /**
+   * @constructor
+   * @param {Object} [options] - Configuration options.
+   * @param {THREE.Scene} [options.scene] - Scene holding a `drone` object. A headless scene is created when omitted.
+   * @param {DroneControls} [options.controls] - Control input source. Defaults to controls with keyboard/gamepad disabled.
+   * @param {string|Object} [options.airframe] - Airframe description (see `airframes.js`): a key of `AIRFRAMES` or
+   * a URL, loaded in `init()`, or a parsed description object. `physicsSettings` and `frame` override its values.
+   * @param {Object} [options.physicsSettings] - Overrides merged into `PhysicsEngine.settings`.
+   * @param {string|Object} [options.frame] - Airframe layout, a preset from `FRAME_TYPES` or a definition (see `frames.js`).
+   * @param {THREE.Vector3} [options.spawnPosition] - Initial drone position for the headless scene.
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.scene = options.scene || SimulationCore.createHeadlessScene(options.spawnPosition);
+    this.controls = options.controls || new DroneControls({ enableInput: false });
+    this.physics = new PhysicsEngine(this.controls);
+    this.airframe = null;
+    this.configurePhysics(options.airframe && typeof options.airframe === 'object' ? createAirframe(options.airframe) : null);
+    this.physics.setWind(this.physics.settings.wind);
+    this.cameraRig = new CameraRig();
+
+    this.spawnPosition = null;
+    this.spawnQuaternion = null;
+    this.ready = false;
+  }
+
+  /**
+   * @method createHeadlessScene
+   * @static
+   * @param {THREE.Vector3} [spawnPosition] - Initial drone position.
+   * @returns {THREE.Scene} A scene with an empty drone group and no loaders or lights.
+   * @description Builds a minimal scene graph for running the simulation without a renderer.
+   */
+  static createHeadlessScene(spawnPosition = new THREE.Vector3(0, 5, 0)) {
+    const scene = new THREE.Scene();
+    scene.drone = new THREE.Group();
+    scene.drone.name = 'drone';
+    scene.drone.position.copy(spawnPosition);
+    scene.add(scene.drone);
+    return scene;
+  }
+
+  /**
+   * @method configurePhysics
+   * @private
+   * @param {Object|null} airframe - Airframe to build the drone from, see `createAirframe()`.
+   * @description Applies the airframe, then the `physicsSettings` and `frame` options on top of it, and sizes the
+   * controls to the resulting motor count.
+   */
+  configurePhysics(airframe) {
+    const { physicsSettings = {}, frame } = this.options;
+    if (airframe) {
+      this.airframe = airframe;
+      this.scene.airframe = airframe;
+      this.physics.setAirframe(airframe);
+    }
+    Object.assign(this.physics.settings, physicsSettings);
+
+    const resolvedFrame = resolveFrame(frame || physicsSettings.frame || (airframe ? airframe.frame : 'quadX'));
+    this.physics.setFrame(resolvedFrame);
+    this.physics.setBattery(this.physics.settings.battery);
+    this.controls.setMotorCount(resolvedFrame.motors.length);
+  }
+
+  /**
+   * @method init
+   * @async
+   * @param {Object} [Ammo] - A loaded Ammo.js module. Required outside the browser.
+   * @description Loads the airframe when it was given by name or URL, then initializes the scene (when it has an
+   * `init` method), mounts the airframe's cameras on the drone and initializes the physics world.
+   */
+  async init(Ammo = null) {
+    if (typeof this.options.airframe === 'string') {
+      this.configurePhysics(await loadAirframe(this.options.airframe));
+    }
+    if (typeof this.scene.init === 'function') {
+      await this.scene.init();
+    }
+    if (this.scene.drone) {
+      this.cameraRig.attach(this.scene.drone, this.airframe ? this.airframe.cameras : undefined);
+    }
+    await this.physics.init(this.scene, Ammo);
+
+    if (this.scene.drone) {
+      this.spawnPosition = this.scene.drone.position.clone();
+      this.spawnQuaternion = this.scene.drone.quaternion.clone();
+    }
+    this.ready = true;
+  }
+
+  /**
+   * @method step
+   * @public
+   * @param {number} [dt] - Time to advance in seconds. Defaults to one physics step.
+   * @returns {Object} The simulation state after stepping, see `getState()`.
+   * @description Advances physics, scene animations, camera gimbals and control inputs by `dt`.
+   */
+  step(dt = this.physics.settings.fixedTimeStep) {
+    this.physics.update(dt);
+
+    if (typeof this.scene.setPropellerSpeeds === 'function') {
+      this.scene.setPropellerSpeeds(
+        this.physics.motors.map((motor) => motor.rpm),
+        this.physics.settings.frame.motors.map((motor) => motor.spin)
+      );
+    }
+    if (typeof this.scene.update === 'function') {
+      this.scene.update(dt);
+    }
+    if (this.scene.drone) {
+      this.cameraRig.update(dt, this.scene.drone.quaternion, this.controls.getControlInputs());
+    }
+
+    this.controls.update(dt * 1000);
+
+    return this.getState();
+  }
+
+  /**
+   * @method setInputs
+   * @public
+   * @param {Object} inputs - Partial control inputs, see `DroneControls.setInputs()`.
+   * @description Sets the control inputs applied on the following steps.
+   */
+  setInputs(inputs) {
+    this.controls.setInputs(inputs);
+  }
+
+  /**
+   * @method getState
+   * @public
+   * @returns {Object} Plain-data snapshot with `time`, `stepCount`, `position`, `quaternion`,
+   * `linearVelocity`, `angularVelocity` (arrays, world frame), per-motor `motors` telemetry
+   * (see `PhysicsEngine.getMotorTelemetry()`), `battery` and `wind` telemetry (see `BatteryModel.getTelemetry()`
+   * and `WindField.getTelemetry()`), `rotorAerodynamics` telemetry (see `RotorAerodynamics.getTelemetry()`, null
+   * before `init()`), `crashed` and `inContact` flags, the `lastContact` (see `PhysicsEngine`
+   * contact events, with the scenery object replaced by its name), `payloads` telemetry (see
+   * `PayloadManager.getTelemetry()`), `sensors` telemetry (see `SensorSuite.getTelemetry()`, null before `init()`),
+   * camera `gimbals` telemetry (see `CameraRig.getGimbalTelemetry()`) and the current `inputs`.
+   * Pose and velocities are null until the drone body exists.
+   */
+  getState() {
+    const drone = this.physics.getDroneState();
+    const { lastContact, contactMonitor, rotorAerodynamics, sensors } = this.physics;
+
+    return {
+      time: this.physics.simulationTime,
+      stepCount: this.physics.stepCount,
+      position: drone ? drone.position.toArray() : null,
+      quaternion: drone ? drone.quaternion.toArray() : null,
+      linearVelocity: drone ? drone.linearVelocity.toArray() : null,
+      angularVelocity: drone ? drone.angularVelocity.toArray() : null,
+      motors: this.physics.getMotorTelemetry(),
+      battery: this.physics.battery.getTelemetry(),
+      wind: this.physics.wind.getTelemetry(),
+      rotorAerodynamics: rotorAerodynamics ? rotorAerodynamics.getTelemetry() : null,
+      crashed: this.physics.crashed,
+      inContact: contactMonitor ? contactMonitor.inContact : false,
+      lastContact: lastContact ? { ...lastContact, object: lastContact.object ? lastContact.object.name : null } : null,
+      payloads: this.physics.getPayloadTelemetry(),
+      sensors: sensors ? sensors.getTelemetry() : null,
+      gimbals: this.cameraRig.getGimbalTelemetry(),
+      inputs: this.controls.getControlInputs(),
+    };
+  }
+
+  /**
+   * @method reset
+   * @public
+   * @param {THREE.Vector3} [position] - Pose to reset to. Defaults to the spawn position.
+   * @param {THREE.Quaternion} [quaternion] - Orientation to reset to. Defaults to the spawn orientation.
+   * @description Puts the drone back at rest at the given pose and re-centres the camera gimbals.
+   */
+  reset(position = this.spawnPosition, quaternion = this.spawnQuaternion) {
+    if (!this.ready || !position) return;
+    this.physics.resetDrone(position, quaternion);
+    this.cameraRig.reset();
+  }
+}
+
+export default SimulationCore;
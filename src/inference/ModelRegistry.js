@@ -0,0 +1,290 @@
+import * as ort from 'onnxruntime-web/webgpu';
+import { imagePreprocess } from './processing';
+
+/**
+ * Logs the input and output names of a loaded model.
+ * @param {string} name - Model name.
+ * @param {ort.InferenceSession} session - The ONNX inference session.
+ */
+const logModelInfo = (name, session) => {
+  console.log(`Model "${name}" input names:`, session.inputNames);
+  console.log(`Model "${name}" output names:`, session.outputNames);
+};
+
+/**
+ * @param {Object|Function} [preprocess] - A preprocessing step, a `process` function, or `imagePreprocess()` options.
+ * @returns {Object} The preprocessing step.
+ */
+const toPreprocessStep = (preprocess) => {
+  if (typeof preprocess === 'function') return { name: 'custom', reset() {}, process: preprocess };
+  if (preprocess && typeof preprocess.process === 'function') return preprocess;
+  return imagePreprocess(preprocess);
+};
+
+/**
+ * @param {Tensor} tensor - A tensor, possibly created by another ONNX Runtime bundle, e.g. `RenderPasses.toTensors()`.
+ * @returns {ort.Tensor} A tensor the sessions of this bundle accept.
+ */
+const toSessionTensor = (tensor) => (
+  tensor instanceof ort.Tensor ? tensor : new ort.Tensor(tensor.type, tensor.data, tensor.dims)
+);
+
+/**
+ * @class ModelRegistry
+ * @description Loads and runs ONNX models side by side, e.g. a detector, a depth model and a flow model. Each entry
+ * declares where its model lives and how frames go in and results come out:
+ *
+ * - `name` - Key the model is run by.
+ * - `url` - Model file URL.
+ * - `executionProviders` - ONNX Runtime providers in order of preference, e.g. `['webgpu', 'wasm']`.
+ * - `sessionOptions` - Further `InferenceSession.create()` options.
+ * - `inputs` - `{ name, shape }` per input. A missing name takes the session's input at that position; symbolic
+ *   dimensions (strings or -1) follow the frame.
+ * - `preprocess` - A preprocessing step (see `processing.js`), a `process(frame, inputs)` function, or options for
+ *   `imagePreprocess()`.
+ * - `postprocess` - A postprocessing step `(outputs, context) => result`; the raw output tensors if omitted.
+ *
+ * Sessions load on first use, once per model. Runs on the same model are queued, as a session can't run twice
+ * at once; different models run concurrently.
+ */
+class ModelRegistry {
+  /**
+   * @constructor
+   * @param {Object} [settings] - Overrides for the default settings, see `this.settings`.
+   */
+  constructor(settings = {}) {
+    // === Setting Variables === //
+    this.settings = {
+      executionProviders: ['cpu'], // Used by entries that don't declare their own
+      logModelInfo: true, // Log input and output names when a model loads
+      ...settings,
+    };
+    // === End of Setting Variables === //
+
+    this.entries = new Map(); // name -> entry with its preprocessing step
+    this.sessions = new Map(); // name -> Promise<ort.InferenceSession>
+    this.inputs = new Map(); // name -> [{ name, shape }], once loaded
+    this.queues = new Map(); // name -> Promise settling when the model's last run ends
+  }
+
+  /**
+   * @method register
+   * @public
+   * @param {Object} entry - Model entry, see the class description.
+   * @returns {ModelRegistry} This registry, for chaining.
+   */
+  register(entry) {
+    if (!entry.name || !entry.url) {
+      throw new Error('A model entry needs a name and a url.');
+    }
+    if (this.entries.has(entry.name)) {
+      throw new Error(`Model "${entry.name}" is already registered.`);
+    }
+    this.entries.set(entry.name, {
+      executionProviders: this.settings.executionProviders,
+      sessionOptions: {},
+      inputs: [],
+      ...entry,
+      preprocess: toPreprocessStep(entry.preprocess),
+      postprocess: entry.postprocess || ((outputs) => outputs),
+    });
+    return this;
+  }
+
+  /**
+   * @method unregister
+   * @public
+   * @param {string} name - Model name.
+   * @description Removes the model and releases its session.
+   */
+  unregister(name) {
+    const session = this.sessions.get(name);
+    if (session) session.then((loaded) => loaded.release()).catch(() => {});
+    this.entries.delete(name);
+    this.sessions.delete(name);
+    this.inputs.delete(name);
+    this.queues.delete(name);
+  }
+
+  /**
+   * @method has
+   * @public
+   * @param {string} name - Model name.
+   * @returns {boolean} Whether a model of that name is registered.
+   */
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  /**
+   * @method getModelNames
+   * @public
+   * @returns {string[]} Names of the registered models.
+   */
+  getModelNames() {
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * @method getEntry
+   * @public
+   * @param {string} name - Model name.
+   * @returns {Object} The model's entry.
+   */
+  getEntry(name) {
+    if (!this.entries.has(name)) {
+      throw new Error(`Unknown model "${name}". Registered models: ${this.getModelNames().join(', ') || 'none'}.`);
+    }
+    return this.entries.get(name);
+  }
+
+  /**
+   * @method isLoaded
+   * @public
+   * @param {string} name - Model name.
+   * @returns {boolean} Whether the model's session has finished loading.
+   */
+  isLoaded(name) {
+    return this.inputs.has(name);
+  }
+
+  /**
+   * @method getInputs
+   * @public
+   * @param {string} name - Model name.
+   * @returns {Object[]} The model's inputs as `{ name, shape }`, with names resolved from the session.
+   */
+  getInputs(name) {
+    if (!this.isLoaded(name)) {
+      throw new Error(`Model "${name}" is not loaded. Call load() first.`);
+    }
+    return this.inputs.get(name);
+  }
+
+  /**
+   * @method load
+   * @public
+   * @param {string} name - Model name.
+   * @returns {Promise<ort.InferenceSession>} The model's session, created on the first call.
+   */
+  load(name) {
+    const entry = this.getEntry(name);
+    if (!this.sessions.has(name)) {
+      console.log(`Loading ONNX model "${name}" from ${entry.url}...`);
+      const session = ort.InferenceSession.create(entry.url, {
+        ...entry.sessionOptions,
+        executionProviders: entry.executionProviders,
+      })
+        .then((loaded) => {
+          this.inputs.set(name, this.resolveInputs(entry, loaded));
+          if (this.settings.logModelInfo) logModelInfo(name, loaded);
+          return loaded;
+        })
+        .catch((error) => {
+          // Forget the failed load so the next call retries
+          if (this.sessions.get(name) === session) this.sessions.delete(name);
+          console.error(`Error loading ONNX model "${name}":`, error);
+          throw error;
+        });
+      this.sessions.set(name, session);
+    }
+    return this.sessions.get(name);
+  }
+
+  /**
+   * @method loadAll
+   * @public
+   * @returns {Promise<ort.InferenceSession[]>} The sessions of all registered models, loaded in parallel.
+   */
+  loadAll() {
+    return Promise.all(this.getModelNames().map((name) => this.load(name)));
+  }
+
+  /**
+   * @method resolveInputs
+   * @private
+   * @param {Object} entry - Model entry.
+   * @param {ort.InferenceSession} session - The model's session.
+   * @returns {Object[]} The declared inputs with names filled in, or every session input if none are declared.
+   */
+  resolveInputs(entry, session) {
+    const declared = entry.inputs.length > 0 ? entry.inputs : session.inputNames.map(() => ({}));
+    return declared.map((input, i) => {
+      const inputName = input.name || session.inputNames[i];
+      if (!session.inputNames.includes(inputName)) {
+        console.warn(`Model "${entry.name}" has no input "${inputName}". Its inputs are: ${session.inputNames.join(', ')}.`);
+      }
+      return { name: inputName, shape: input.shape || [] };
+    });
+  }
+
+  /**
+   * @method run
+   * @public
+   * @param {string} name - Model name.
+   * @param {Object} frame - RGBA frame `{ width, height, pixels }`, e.g. from `CameraRig.capture()`.
+   * @returns {Promise<*>} The postprocessed result, or `null` while a multi-frame model is still collecting frames.
+   */
+  async run(name, frame) {
+    const entry = this.getEntry(name);
+    await this.load(name);
+    const prepared = entry.preprocess.process(frame, this.getInputs(name));
+    if (!prepared) return null;
+
+    const outputs = await this.runFeeds(name, prepared.feeds);
+    return entry.postprocess(outputs, {
+      entry,
+      frame,
+      width: prepared.width || frame.width,
+      height: prepared.height || frame.height,
+    });
+  }
+
+  /**
+   * @method runFeeds
+   * @public
+   * @param {string} name - Model name.
+   * @param {Object<string, Tensor>} feeds - Input tensors by input name, bypassing preprocessing.
+   * @returns {Promise<Object<string, ort.Tensor>>} The raw output tensors by output name.
+   */
+  async runFeeds(name, feeds) {
+    const session = await this.load(name);
+    const sessionFeeds = {};
+    Object.entries(feeds).forEach(([inputName, tensor]) => {
+      sessionFeeds[inputName] = toSessionTensor(tensor);
+    });
+
+    const previous = this.queues.get(name) || Promise.resolve();
+    const outputs = previous.then(() => session.run(sessionFeeds));
+    this.queues.set(name, outputs.catch(() => {}));
+    try {
+      return await outputs;
+    } catch (error) {
+      console.error(`Error running ONNX model "${name}":`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * @method reset
+   * @public
+   * @param {string} [name] - Model name; all models if omitted.
+   * @description Clears the preprocessing frame history, e.g. after the drone is reset, so multi-frame models don't
+   * stack frames from before and after a jump.
+   */
+  reset(name) {
+    const names = name ? [name] : this.getModelNames();
+    names.forEach((modelName) => this.getEntry(modelName).preprocess.reset());
+  }
+
+  /**
+   * @method dispose
+   * @public
+   * @description Unregisters every model and releases the sessions.
+   */
+  dispose() {
+    this.getModelNames().forEach((name) => this.unregister(name));
+  }
+}
+
+export default ModelRegistry;
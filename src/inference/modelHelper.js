@@ -1,86 +1,47 @@
-import * as ort from 'onnxruntime-web';
+import ModelRegistry from './ModelRegistry';
+import { densePostprocess } from './processing';
 
 /**
- * Initialize the ONNX Inference Session.
- * This function ensures that the session is created only once.
+ * NeuFlow optical flow: two consecutive RGB frames in [0, 1], each on its own input, to flow `[1, 2, 432, 768]`.
+ * @type {Object}
  */
-let sessionPromise = null;
+export const NEUFLOW_MODEL = {
+  name: 'neuflow',
+  url: './neuflow_things.onnx',
+  executionProviders: ['cpu'],
+  inputs: [{ shape: [1, 3, 432, 768] }, { shape: [1, 3, 432, 768] }],
+  preprocess: { frames: 2, stack: 'inputs' },
+  postprocess: densePostprocess(),
+};
 
 /**
- * Loads the ONNX model and initializes the inference session.
- * @returns {Promise<ort.InferenceSession>} A promise that resolves to the ONNX inference session.
+ * Registry shared by the app's inference code. Register further models on it to run them alongside NeuFlow.
+ * @type {ModelRegistry}
  */
-export const initializeSession = () => {
-  if (!sessionPromise) {
-    console.log('Initializing ONNX Inference Session...');
-    sessionPromise = ort.InferenceSession.create('./neuflow_things.onnx', {
-      executionProviders: ['cpu'], // Add other execution providers if needed
-    })
-      .then((sess) => {
-        console.log('ONNX Inference Session initialized successfully.');
-        logModelInfo(sess);
-        return sess;
-      })
-      .catch((err) => {
-        console.error('Error initializing ONNX Inference Session:', err);
-        throw err;
-      });
-  }
-  return sessionPromise;
-};
+export const modelRegistry = new ModelRegistry();
+modelRegistry.register(NEUFLOW_MODEL);
 
 /**
- * Logs information about the loaded model.
- * @param {ort.InferenceSession} session - The ONNX inference session.
+ * Loads the NeuFlow model. The session is created only once.
+ * @returns {Promise<ort.InferenceSession>} A promise that resolves to the ONNX inference session.
  */
-const logModelInfo = (session) => {
-  const inputNames = session.inputNames;
-  const outputNames = session.outputNames;
-  const inputShapes = inputNames.map((name) => session.input(name).dims);
-  const outputShapes = outputNames.map((name) => session.output(name).dims);
-
-  console.log('Model input names:', inputNames);
-  console.log('Model input shapes:', inputShapes);
-  console.log('Model output names:', outputNames);
-  console.log('Model output shapes:', outputShapes);
-};
+export const initializeSession = () => modelRegistry.load(NEUFLOW_MODEL.name);
 
 /**
- * Runs the ONNX model on the preprocessed data.
+ * Runs a model on an already preprocessed tensor, fed to the model's first input.
  * @param {ort.Tensor} preprocessedData - The preprocessed input data as a tensor.
- * @returns {Promise<ort.Tensor>} A promise that resolves to the model's output tensor.
+ * @param {string} [name='neuflow'] - Name of a registered model.
+ * @returns {Promise<Object<string, ort.Tensor>>} A promise that resolves to the model's output tensors.
  */
-export const runSessionModel = async (preprocessedData) => {
-  try {
-    const session = await initializeSession();
-    console.log('Running inference...');
-    const feeds = { [session.inputNames[0]]: preprocessedData };
-
-    // If your model has multiple inputs with the same data, uncomment the following line
-    // feeds[session.inputNames[1]] = preprocessedData;
-
-    const outputData = await session.run(feeds);
-    console.log('Inference completed:', outputData);
-    return outputData;
-  } catch (error) {
-    console.error('Error during inference:', error);
-    throw error;
-  }
+export const runSessionModel = async (preprocessedData, name = NEUFLOW_MODEL.name) => {
+  await modelRegistry.load(name);
+  const [input] = modelRegistry.getInputs(name);
+  return modelRegistry.runFeeds(name, { [input.name]: preprocessedData });
 };
 
 /**
  * Runs inference on a frame captured from the livestream.
  * @param {ort.Tensor} inputTensor - The tensor containing the captured frame.
- * @returns {Promise<ort.Tensor>} A promise that resolves to the model's output tensor.
+ * @returns {Promise<Object<string, ort.Tensor>>} A promise that resolves to the model's output tensors.
  */
-export const runInferenceOnFrameCapture = async (inputTensor) => {
-  try {
-    console.log('Running model inference on captured frame...');
-    const outputData = await runSessionModel(inputTensor);
-    console.log('Model inference on captured frame completed:', outputData);
-    return outputData;
-  } catch (error) {
-    console.error('Error during livestream inference:', error);
-    throw error;
-  }
-};
+export const runInferenceOnFrameCapture = (inputTensor) => runSessionModel(inputTensor);
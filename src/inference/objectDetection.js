@@ -1,62 +1,51 @@
-import * as ort from 'onnxruntime-web/webgpu';
-
-let session;
+import { modelRegistry } from './modelHelper';
+import { detectionPostprocess } from './processing';
 
 /**
- * Loads the ONNX model using ONNX Runtime Web.
- * @returns {Promise<ort.InferenceSession>} A promise that resolves to the loaded ONNX session.
- * @throws {Error} If there's an error loading the model.
+ * Object detector: a YOLOv8-style export taking a 640x640 RGB frame in [0, 1]. Place the model in `public/` or
+ * register an entry with another `url`.
+ * @type {Object}
  */
-export async function loadModelONNX() {
-  console.log('Starting to load ONNX model using ONNX Runtime Web...');
-  try {
-    const modelPath = '/neuflow_things.onnx'; 
-    session = await ort.InferenceSession.create(modelPath);
-    console.log('Neuflow ONNX model loaded successfully');
-    
-    logModelInfo(session);
-    return session;
-  } catch (error) {
-    console.error('Error loading ONNX model:', error);
-    throw error;
-  }
-}
+export const DETECTOR_MODEL = {
+  name: 'detector',
+  url: '/yolov8n.onnx',
+  executionProviders: ['webgpu', 'wasm'],
+  inputs: [{ shape: [1, 3, 640, 640] }],
+  postprocess: detectionPostprocess(),
+};
 
 /**
- * Logs information about the loaded model.
- * @param {ort.InferenceSession} session - The ONNX inference session.
+ * Registers the detector on the shared registry, if it isn't yet, and loads it.
+ * @param {Object} [entry=DETECTOR_MODEL] - Detector entry, see `ModelRegistry`.
+ * @returns {Promise<ort.InferenceSession>} A promise that resolves to the loaded ONNX session.
+ * @throws {Error} If there's an error loading the model.
  */
-function logModelInfo(session) {
-  const inputNames = session.inputNames;
-  const outputNames = session.outputNames;
-  const inputShapes = inputNames.map(name => session.input(name).dims);
-  const outputShapes = outputNames.map(name => session.output(name).dims);
-  
-  console.log('Model input names:', inputNames);
-  console.log('Model input shapes:', inputShapes);
-  console.log('Model output names:', outputNames);
-  console.log('Model output shapes:', outputShapes);
+export async function loadModelONNX(entry = DETECTOR_MODEL) {
+  if (!modelRegistry.has(entry.name)) modelRegistry.register(entry);
+  return modelRegistry.load(entry.name);
 }
 
 /**
- * Runs inference on the loaded model with the given input tensor.
+ * Runs the detector on a preprocessed input tensor.
  * @param {ort.Tensor} inputTensor - The input tensor for the model.
- * @returns {Promise<ort.Tensor>} A promise that resolves to the model's output tensor.
+ * @param {string} [name='detector'] - Name the detector was registered under.
+ * @returns {Promise<Object<string, ort.Tensor>>} A promise that resolves to the model's raw output tensors.
  * @throws {Error} If the model is not loaded or if there's an error during inference.
  */
-export async function runInference(inputTensor) {
-  if (!session) {
+export async function runInference(inputTensor, name = DETECTOR_MODEL.name) {
+  if (!modelRegistry.has(name) || !modelRegistry.isLoaded(name)) {
     throw new Error('Model not loaded. Please load the model before running inference.');
   }
-
-  try {
-    const feeds = { [session.inputNames[0]]: inputTensor };
-    const outputData = await session.run(feeds);
-    return outputData;
-  } catch (error) {
-    console.error('Error during inference:', error);
-    throw error;
-  }
+  const [input] = modelRegistry.getInputs(name);
+  return modelRegistry.runFeeds(name, { [input.name]: inputTensor });
 }
 
-// Additional helper functions for preprocessing or postprocessing can be added here
+/**
+ * Detects objects in a camera frame, with the detector's preprocessing and postprocessing.
+ * @param {Object} frame - RGBA frame `{ width, height, pixels }`, e.g. from `CameraRig.capture()`.
+ * @param {string} [name='detector'] - Name the detector was registered under.
+ * @returns {Promise<Object[]>} Detections `{ x, y, width, height, score, classId, label }` in frame pixels.
+ */
+export async function detectObjects(frame, name = DETECTOR_MODEL.name) {
+  return modelRegistry.run(name, frame);
+}
@@ -0,0 +1,324 @@
+import * as ort from 'onnxruntime-web/webgpu';
+
+/**
+ * Pre- and postprocessing steps for {@link ModelRegistry} entries.
+ *
+ * A preprocessing step is an object with:
+ * - `name` - Identifier for logs.
+ * - `reset()` - Forgets the frame history, e.g. when the drone is reset.
+ * - `process(frame, inputs)` - Turns a frame into `{ feeds, width, height }`: ONNX Runtime tensors keyed by input
+ *   name, and the image size the model sees. `inputs` are the entry's inputs as `{ name, shape }`. Returns `null`
+ *   while the step is still collecting frames.
+ *
+ * A postprocessing step is a function `(outputs, context) => result`. `outputs` are the session's output tensors by
+ * name; `context` holds the `entry`, the input `frame` and the model's input `width` and `height`.
+ *
+ * Frames are RGBA images `{ width, height, pixels }` like `CameraRig.capture()`, or `ImageData` (`data` instead of
+ * `pixels`).
+ */
+
+const LAYOUTS = ['NCHW', 'NHWC'];
+const CHANNEL_ORDERS = { rgb: [0, 1, 2], bgr: [2, 1, 0], gray: null };
+const STACKING = ['inputs', 'channels', 'batch'];
+const RESIZE_MODES = ['bilinear', 'nearest'];
+
+/**
+ * @param {string} value - Option value.
+ * @param {string[]} allowed - Allowed values.
+ * @param {string} option - Option name for the error message.
+ */
+const checkOption = (value, allowed, option) => {
+  if (!allowed.includes(value)) {
+    throw new Error(`Unknown ${option} "${value}". Use one of: ${allowed.join(', ')}.`);
+  }
+};
+
+/**
+ * @param {number|string|null} dim - A dimension from a declared shape.
+ * @returns {boolean} Whether the dimension is a fixed size rather than a symbolic or dynamic one.
+ */
+const isFixed = (dim) => Number.isInteger(dim) && dim > 0;
+
+/**
+ * Resizes a frame and converts it to normalized channel planes.
+ * @param {Object} frame - RGBA frame.
+ * @param {number} width - Output width (px).
+ * @param {number} height - Output height (px).
+ * @param {Object} options - Options of `imagePreprocess()`.
+ * @returns {Float32Array} One `height * width` plane per channel.
+ */
+const toPlanes = (frame, width, height, options) => {
+  const { width: sourceWidth, height: sourceHeight } = frame;
+  const pixels = frame.pixels || frame.data;
+  const { channels, scale, mean, std, flipY, resize } = options;
+  const order = CHANNEL_ORDERS[channels];
+  const planeSize = width * height;
+  const planes = new Float32Array((order ? 3 : 1) * planeSize);
+  const nearest = resize === 'nearest';
+  const rgb = [0, 0, 0];
+
+  // Samples at pixel centres; rows are read top to bottom, from the bottom of WebGL-ordered frames
+  const sample = (position, outputSize, sourceSize) => {
+    const source = Math.min(Math.max(((position + 0.5) * sourceSize) / outputSize - 0.5, 0), sourceSize - 1);
+    const low = nearest ? Math.round(source) : Math.floor(source);
+    return [low, Math.min(low + 1, sourceSize - 1), nearest ? 0 : source - low];
+  };
+
+  for (let y = 0; y < height; y++) {
+    const [y0, y1, fy] = sample(y, height, sourceHeight);
+    const row0 = (flipY ? sourceHeight - 1 - y0 : y0) * sourceWidth;
+    const row1 = (flipY ? sourceHeight - 1 - y1 : y1) * sourceWidth;
+    for (let x = 0; x < width; x++) {
+      const [x0, x1, fx] = sample(x, width, sourceWidth);
+      for (let c = 0; c < 3; c++) {
+        const top = pixels[(row0 + x0) * 4 + c] * (1 - fx) + pixels[(row0 + x1) * 4 + c] * fx;
+        const bottom = pixels[(row1 + x0) * 4 + c] * (1 - fx) + pixels[(row1 + x1) * 4 + c] * fx;
+        rgb[c] = top * (1 - fy) + bottom * fy;
+      }
+
+      const i = y * width + x;
+      if (order) {
+        for (let k = 0; k < 3; k++) {
+          planes[k * planeSize + i] = (rgb[order[k]] * scale - mean[k]) / std[k];
+        }
+      } else {
+        const luma = 0.299 * rgb[0] + 0.587 * rgb[1] + 0.114 * rgb[2];
+        planes[i] = (luma * scale - mean[0]) / std[0];
+      }
+    }
+  }
+  return planes;
+};
+
+/**
+ * Packs frames into one float32 tensor.
+ * @param {Float32Array[]} frames - Channel planes per frame, oldest first.
+ * @param {number} channels - Channels per frame.
+ * @param {number} width - Image width (px).
+ * @param {number} height - Image height (px).
+ * @param {string} layout - `NCHW` or `NHWC`.
+ * @param {string} stacking - `channels` to concatenate the frames' channels, otherwise one batch entry per frame.
+ * @returns {ort.Tensor} The tensor.
+ */
+const packFrames = (frames, channels, width, height, layout, stacking) => {
+  const planeSize = width * height;
+  const batch = stacking === 'channels' ? 1 : frames.length;
+  const depth = stacking === 'channels' ? frames.length * channels : channels;
+  const data = new Float32Array(frames.length * channels * planeSize);
+
+  if (layout === 'NCHW') {
+    // Planes of consecutive frames are already in channel-first order for both stackings
+    frames.forEach((planes, f) => data.set(planes, f * channels * planeSize));
+    return new ort.Tensor('float32', data, [batch, depth, height, width]);
+  }
+
+  let index = 0;
+  for (let b = 0; b < batch; b++) {
+    for (let i = 0; i < planeSize; i++) {
+      for (let k = 0; k < depth; k++) {
+        const f = stacking === 'channels' ? Math.floor(k / channels) : b;
+        data[index++] = frames[f][(k % channels) * planeSize + i];
+      }
+    }
+  }
+  return new ort.Tensor('float32', data, [batch, height, width, depth]);
+};
+
+/**
+ * Image preprocessing: resize, channel order, normalization, layout and multi-frame stacking.
+ * The output size is read from the first input's declared shape, or taken from the frame where the shape is dynamic.
+ * @param {Object} [options] - Preprocessing options.
+ * @param {string} [options.layout='NCHW'] - Tensor layout, `NCHW` or `NHWC`.
+ * @param {string} [options.channels='rgb'] - `rgb`, `bgr` or `gray`.
+ * @param {number} [options.scale=1/255] - Factor from 8-bit values to the model's range.
+ * @param {number[]} [options.mean=[0, 0, 0]] - Per-channel mean subtracted after scaling.
+ * @param {number[]} [options.std=[1, 1, 1]] - Per-channel standard deviation divided by after the mean.
+ * @param {string} [options.resize='bilinear'] - `bilinear` or `nearest`.
+ * @param {boolean} [options.flipY=true] - Whether frame rows are in WebGL order (bottom to top), as from
+ * `CameraRig.capture()` and `captureFPVSnapshot()`. Set to `false` for `ImageData`.
+ * @param {number} [options.frames=1] - Number of consecutive frames the model takes, oldest first.
+ * @param {string} [options.stack='inputs'] - How frames are stacked: one per input (`inputs`), concatenated along
+ * the channels (`channels`), or along the batch (`batch`).
+ * @returns {Object} The preprocessing step.
+ */
+export const imagePreprocess = (options = {}) => {
+  const settings = {
+    layout: 'NCHW',
+    channels: 'rgb',
+    scale: 1 / 255,
+    mean: [0, 0, 0],
+    std: [1, 1, 1],
+    resize: 'bilinear',
+    flipY: true,
+    frames: 1,
+    stack: 'inputs',
+    ...options,
+  };
+  checkOption(settings.layout, LAYOUTS, 'layout');
+  checkOption(settings.channels, Object.keys(CHANNEL_ORDERS), 'channel order');
+  checkOption(settings.resize, RESIZE_MODES, 'resize mode');
+  checkOption(settings.stack, STACKING, 'frame stacking');
+  const channels = settings.channels === 'gray' ? 1 : 3;
+  let history = [];
+
+  return {
+    name: 'image',
+    reset() {
+      history = [];
+    },
+    process(frame, inputs) {
+      const shape = inputs[0].shape;
+      const [shapeHeight, shapeWidth] = settings.layout === 'NCHW' ? shape.slice(2, 4) : shape.slice(1, 3);
+      const width = isFixed(shapeWidth) ? shapeWidth : frame.width;
+      const height = isFixed(shapeHeight) ? shapeHeight : frame.height;
+
+      const planes = toPlanes(frame, width, height, settings);
+      // A dynamic input size follows the frames, so older frames of another size can't be stacked with this one
+      if (history.length > 0 && history[0].length !== planes.length) history = [];
+      history.push(planes);
+      if (history.length > settings.frames) history.shift();
+      if (history.length < settings.frames) return null;
+
+      const feeds = {};
+      if (settings.stack === 'inputs') {
+        if (inputs.length < settings.frames) {
+          throw new Error(`Stacking ${settings.frames} frames as inputs needs ${settings.frames} inputs, not ${inputs.length}.`);
+        }
+        history.forEach((framePlanes, i) => {
+          feeds[inputs[i].name] = packFrames([framePlanes], channels, width, height, settings.layout, 'batch');
+        });
+      } else {
+        feeds[inputs[0].name] = packFrames(history, channels, width, height, settings.layout, settings.stack);
+      }
+      return { feeds, width, height };
+    },
+  };
+};
+
+/**
+ * @param {Object<string, ort.Tensor>} outputs - Session outputs.
+ * @param {string} [name] - Output name; the first output if omitted.
+ * @returns {ort.Tensor} The output tensor.
+ */
+const pickOutput = (outputs, name) => {
+  const outputName = name || Object.keys(outputs)[0];
+  if (!outputs[outputName]) {
+    throw new Error(`Model has no output "${outputName}". Its outputs are: ${Object.keys(outputs).join(', ')}.`);
+  }
+  return outputs[outputName];
+};
+
+/**
+ * Dense postprocessing for per-pixel outputs such as depth, flow or segmentation logits.
+ * @param {Object} [options] - Postprocessing options.
+ * @param {string} [options.output] - Output name; the first output if omitted.
+ * @param {string} [options.layout='NCHW'] - Layout of the output, `NCHW` or `NHWC`.
+ * @returns {Function} The postprocessing step. It returns `{ width, height, channels, data, tensor }`, with `data`
+ * channel-first (one plane per channel, rows top to bottom) like `RenderPasses.toTensors()`, so flow goes straight
+ * into `OpticalFlow.endpointError()`.
+ */
+export const densePostprocess = (options = {}) => {
+  const { output, layout = 'NCHW' } = options;
+  checkOption(layout, LAYOUTS, 'layout');
+
+  return (outputs) => {
+    const tensor = pickOutput(outputs, output);
+    let channels = 1;
+    let height;
+    let width;
+    if (tensor.dims.length === 2) [height, width] = tensor.dims;
+    else if (layout === 'NCHW') [channels, height, width] = tensor.dims.slice(-3);
+    else [height, width, channels] = tensor.dims.slice(-3);
+    if (layout === 'NCHW' || channels === 1) return { width, height, channels, data: tensor.data, tensor };
+
+    const planeSize = width * height;
+    const data = new Float32Array(channels * planeSize);
+    for (let i = 0; i < planeSize; i++) {
+      for (let k = 0; k < channels; k++) data[k * planeSize + i] = tensor.data[i * channels + k];
+    }
+    return { width, height, channels, data, tensor };
+  };
+};
+
+/**
+ * @param {Object} a - Box `{ x, y, width, height }`.
+ * @param {Object} b - Box `{ x, y, width, height }`.
+ * @returns {number} Intersection over union of the boxes.
+ */
+const intersectionOverUnion = (a, b) => {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) return 0;
+  const intersection = width * height;
+  return intersection / (a.width * a.height + b.width * b.height - intersection);
+};
+
+/**
+ * Detection postprocessing for YOLOv5u/v8/v11-style heads: boxes as centre x, centre y, width and height in input
+ * pixels followed by one score per class. Applies a score threshold and per-class non-maximum suppression.
+ * @param {Object} [options] - Postprocessing options.
+ * @param {string} [options.output] - Output name; the first output if omitted.
+ * @param {boolean} [options.transposed=false] - `true` for `[1, boxes, 4 + classes]` outputs, `false` for
+ * `[1, 4 + classes, boxes]`.
+ * @param {number} [options.scoreThreshold=0.25] - Minimum class score.
+ * @param {number} [options.iouThreshold=0.45] - Overlap above which the weaker box of a class is dropped.
+ * @param {number} [options.maxDetections=100] - Maximum number of detections returned.
+ * @param {string[]} [options.labels=[]] - Class names by class ID.
+ * @returns {Function} The postprocessing step. It returns detections sorted by score, as `{ x, y, width, height,
+ * score, classId, label }` with the box in frame pixels (top-left corner, rows top to bottom).
+ */
+export const detectionPostprocess = (options = {}) => {
+  const {
+    output,
+    transposed = false,
+    scoreThreshold = 0.25,
+    iouThreshold = 0.45,
+    maxDetections = 100,
+    labels = [],
+  } = options;
+
+  return (outputs, { frame, width, height }) => {
+    const tensor = pickOutput(outputs, output);
+    const [rows, columns] = tensor.dims.slice(-2);
+    const attributes = transposed ? columns : rows;
+    const count = transposed ? rows : columns;
+    const value = transposed ? (box, a) => tensor.data[box * attributes + a] : (box, a) => tensor.data[a * count + box];
+    const scaleX = frame.width / width;
+    const scaleY = frame.height / height;
+
+    const candidates = [];
+    for (let box = 0; box < count; box++) {
+      let classId = 0;
+      let score = -Infinity;
+      for (let c = 0; c < attributes - 4; c++) {
+        if (value(box, 4 + c) > score) {
+          score = value(box, 4 + c);
+          classId = c;
+        }
+      }
+      if (score < scoreThreshold) continue;
+
+      const boxWidth = value(box, 2) * scaleX;
+      const boxHeight = value(box, 3) * scaleY;
+      candidates.push({
+        x: value(box, 0) * scaleX - boxWidth / 2,
+        y: value(box, 1) * scaleY - boxHeight / 2,
+        width: boxWidth,
+        height: boxHeight,
+        score,
+        classId,
+        label: labels[classId] || `${classId}`,
+      });
+    }
+
+    candidates.sort((a, b) => b.score - a.score);
+    const detections = [];
+    for (const candidate of candidates) {
+      if (detections.length >= maxDetections) break;
+      const suppressed = detections.some((kept) => kept.classId === candidate.classId
+        && intersectionOverUnion(kept, candidate) > iouThreshold);
+      if (!suppressed) detections.push(candidate);
+    }
+    return detections;
+  };
+};
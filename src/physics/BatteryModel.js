@@ -0,0 +1,130 @@
+/**
+ * @class BatteryModel
+ * @description LiPo pack model: open-circuit voltage from a state-of-charge curve, voltage sag across the
+ * pack's internal resistance under load, and coulomb counting of the charge drawn.
+ *
+ * The pack is depleted once its open-circuit cell voltage reaches the cutoff, so short punches that sag the
+ * loaded voltage below it do not end the flight. A depleted pack stays depleted until `reset()`.
+ */
+class BatteryModel {
+  /**
+   * @constructor
+   * @param {Object} [settings] - Overrides for the default pack parameters, see `this.settings`.
+   */
+  constructor(settings = {}) {
+    // === Setting Variables === //
+    this.settings = {
+      cellCount: 4, // Cells in series (4S)
+      capacity: 1500, // mAh
+      internalResistance: 0.01, // Ω per cell
+      cutoffVoltage: 3.3, // V per cell, open-circuit voltage at which the flight ends
+      baseCurrent: 0.5, // A, flight controller, VTX and receiver
+      voltageCurve: [ // [state of charge (0 to 1), open-circuit cell voltage (V)], sorted by state of charge
+        [0, 3.0],
+        [0.05, 3.3],
+        [0.1, 3.55],
+        [0.2, 3.68],
+        [0.5, 3.82],
+        [0.8, 4.0],
+        [1, 4.2],
+      ],
+      ...settings,
+    };
+    // === End of Setting Variables === //
+
+    this.reset();
+  }
+
+  /**
+   * @method reset
+   * @public
+   * @param {number} [stateOfCharge=1] - Charge to restart from (0 to 1).
+   * @description Recharges the pack.
+   */
+  reset(stateOfCharge = 1) {
+    this.mAhUsed = (1 - stateOfCharge) * this.settings.capacity;
+    this.current = 0;
+    this.depleted = false;
+    this.updateVoltage();
+  }
+
+  /**
+   * @method update
+   * @public
+   * @param {number} loadCurrent - Current drawn by the motors (A), excluding `baseCurrent`.
+   * @param {number} dt - Time step (s).
+   * @description Draws charge for one step and updates the pack voltage.
+   */
+  update(loadCurrent, dt) {
+    this.current = this.depleted ? 0 : loadCurrent + this.settings.baseCurrent;
+    this.mAhUsed = Math.min(this.settings.capacity, this.mAhUsed + (this.current * dt * 1000) / 3600);
+    this.updateVoltage();
+
+    if (this.openCircuitVoltage <= this.settings.cutoffVoltage * this.settings.cellCount) {
+      this.depleted = true;
+    }
+  }
+
+  /**
+   * @method updateVoltage
+   * @private
+   * @description Recomputes the open-circuit and loaded pack voltage from the charge used and current.
+   */
+  updateVoltage() {
+    const { cellCount, internalResistance } = this.settings;
+    this.openCircuitVoltage = this.lookupCellVoltage(this.stateOfCharge) * cellCount;
+    this.voltage = Math.max(0, this.openCircuitVoltage - this.current * internalResistance * cellCount);
+  }
+
+  /**
+   * @method lookupCellVoltage
+   * @private
+   * @param {number} stateOfCharge - State of charge (0 to 1).
+   * @returns {number} Open-circuit cell voltage, linearly interpolated from the voltage curve (V).
+   */
+  lookupCellVoltage(stateOfCharge) {
+    const curve = this.settings.voltageCurve;
+    if (stateOfCharge <= curve[0][0]) return curve[0][1];
+
+    for (let i = 1; i < curve.length; i++) {
+      const [x1, y1] = curve[i];
+      if (stateOfCharge <= x1) {
+        const [x0, y0] = curve[i - 1];
+        return y0 + ((stateOfCharge - x0) / (x1 - x0)) * (y1 - y0);
+      }
+    }
+    return curve[curve.length - 1][1];
+  }
+
+  /**
+   * @property {number} stateOfCharge - Remaining charge (0 to 1).
+   */
+  get stateOfCharge() {
+    return Math.max(0, 1 - this.mAhUsed / this.settings.capacity);
+  }
+
+  /**
+   * @property {number} fullVoltage - Open-circuit voltage of a fully charged pack (V), the reference for motor speed.
+   */
+  get fullVoltage() {
+    return this.lookupCellVoltage(1) * this.settings.cellCount;
+  }
+
+  /**
+   * @method getTelemetry
+   * @public
+   * @returns {{voltage: number, current: number, mAhUsed: number, remaining: number, depleted: boolean}}
+   * Loaded pack voltage (V), current (A), charge used (mAh) and remaining charge (percent).
+   */
+  getTelemetry() {
+    return {
+      voltage: this.voltage,
+      current: this.current,
+      mAhUsed: this.mAhUsed,
+      remaining: this.stateOfCharge * 100,
+      depleted: this.depleted,
+    };
+  }
+}
+
+export default BatteryModel;
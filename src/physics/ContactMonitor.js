@@ -0,0 +1,236 @@
+import * as THREE from 'three';
+
+/**
+ * Impact classes reported by the {@link ContactMonitor}, in order of severity.
+ * - `touchdown`: gentle contact on the underside, e.g. a landing.
+ * - `bump`: any other contact below the crash speed.
+ * - `propStrike`: side or top contact near a spinning propeller.
+ * - `crash`: contact at or above the crash speed.
+ * @enum {string}
+ */
+export const CONTACT_TYPES = {
+  TOUCHDOWN: 'touchdown',
+  BUMP: 'bump',
+  PROP_STRIKE: 'propStrike',
+  CRASH: 'crash',
+};
+
+/**
+ * @class ContactMonitor
+ * @description Reads the drone's contacts from the Ammo dispatcher manifolds after every physics step
+ * and classifies each new contact by the approach speed of the contact point just before the step, relative to the
+ * other body's surface at that point, so a moving payload hitting a hovering drone is an impact too.
+ */
+class ContactMonitor {
+  /**
+   * @constructor
+   * @param {Object} Ammo - The loaded Ammo.js module.
+   * @param {Ammo.btCollisionDispatcher} dispatcher - The world's collision dispatcher.
+   * @param {Object} [settings] - Overrides for the default thresholds, see `this.settings`.
+   */
+  constructor(Ammo, dispatcher, settings = {}) {
+    this.Ammo = Ammo;
+    this.dispatcher = dispatcher;
+
+    // === Setting Variables === //
+    this.settings = {
+      contactDistance: 0.01, // m, manifold points closer than this count as touching
+      touchdownMaxSpeed: 1.5, // m/s, underside contacts up to this approach speed are touchdowns
+      crashSpeed: 4, // m/s, approach speed at which any contact is a crash
+      underSideNormal: 0.7, // Body-frame up component of the contact normal above which a contact is on the underside
+      sideNormal: 0.5, // Body-frame up component of the contact normal below which a contact is on a side (or the top)
+      propStrikeMinRPM: 1000, // Props slower than this do not strike
+      separationTime: 0.1, // s, a body must stay apart this long before touching it again counts as a new contact
+      ...settings,
+    };
+    // === End of Setting Variables === //
+
+    this.lastTouched = new Map(); // Other body's pointer -> time it was last touched (s)
+    this.preStepVelocity = new THREE.Vector3();
+    this.preStepAngularVelocity = new THREE.Vector3();
+    this.otherBodyStates = new Map(); // Other body's pointer -> { velocity, angularVelocity, centerOfMass } before the step
+    this.inContact = false;
+  }
+
+  /**
+   * @method reset
+   * @public
+   * @description Forgets ongoing contacts, so touching surfaces are reported again.
+   */
+  reset() {
+    this.lastTouched.clear();
+    this.inContact = false;
+  }
+
+  /**
+   * @method recordPreStep
+   * @public
+   * @param {Ammo.btRigidBody} body - The drone body.
+   * @param {Object[]} [entries] - Dynamic bodies the drone may hit, as `{ body }` entries like the engine's
+   * `rigidBodies`. The drone itself is skipped; bodies not listed count as static.
+   * @description Stores the velocities of the drone and the other dynamic bodies before the solver resolves this
+   * step's contacts.
+   */
+  recordPreStep(body, entries = []) {
+    const v = body.getLinearVelocity();
+    const w = body.getAngularVelocity();
+    this.preStepVelocity.set(v.x(), v.y(), v.z());
+    this.preStepAngularVelocity.set(w.x(), w.y(), w.z());
+
+    const dronePointer = this.Ammo.getPointer(body);
+    let recorded = 0;
+    for (let i = 0; i < entries.length; i++) {
+      const other = entries[i].body;
+      const pointer = this.Ammo.getPointer(other);
+      if (pointer === dronePointer) continue;
+
+      let state = this.otherBodyStates.get(pointer);
+      if (!state) {
+        state = { velocity: new THREE.Vector3(), angularVelocity: new THREE.Vector3(), centerOfMass: new THREE.Vector3() };
+        this.otherBodyStates.set(pointer, state);
+      }
+      const otherV = other.getLinearVelocity();
+      const otherW = other.getAngularVelocity();
+      const origin = other.getCenterOfMassTransform().getOrigin();
+      state.velocity.set(otherV.x(), otherV.y(), otherV.z());
+      state.angularVelocity.set(otherW.x(), otherW.y(), otherW.z());
+      state.centerOfMass.set(origin.x(), origin.y(), origin.z());
+      state.body = other;
+      recorded++;
+    }
+
+    // Forget bodies that have left the world, e.g. released payloads
+    if (this.otherBodyStates.size > recorded) {
+      const current = new Set(entries.map((entry) => entry.body));
+      this.otherBodyStates.forEach((state, pointer) => {
+        if (!current.has(state.body)) this.otherBodyStates.delete(pointer);
+      });
+    }
+  }
+
+  /**
+   * @method update
+   * @public
+   * @param {Ammo.btRigidBody} body - The drone body.
+   * @param {THREE.Vector3} position - The drone's centre of mass (world).
+   * @param {THREE.Quaternion} quaternion - The drone's orientation.
+   * @param {Object[]} frameMotors - Motor definitions of the airframe (positions in body axes).
+   * @param {number[]} motorRPMs - Current rotor speed per motor.
+   * @param {number} time - Simulation time after this step (s).
+   * @returns {Object[]} Contacts that began during this step, `{ type, impactSpeed, point, normal, motorIndex, bodyPointer }`.
+   * `point` is in world coordinates, `normal` points from the other surface into the drone, and `motorIndex`
+   * is the motor nearest the contact.
+   */
+  update(body, position, quaternion, frameMotors, motorRPMs, time) {
+    const dronePointer = this.Ammo.getPointer(body);
+    const inverseQuaternion = quaternion.clone().invert();
+    const contacts = [];
+    let touching = false;
+
+    const manifoldCount = this.dispatcher.getNumManifolds();
+    for (let i = 0; i < manifoldCount; i++) {
+      const manifold = this.dispatcher.getManifoldByIndexInternal(i);
+      const pointer0 = this.Ammo.getPointer(manifold.getBody0());
+      const pointer1 = this.Ammo.getPointer(manifold.getBody1());
+      if (pointer0 !== dronePointer && pointer1 !== dronePointer) continue;
+
+      const droneIsA = pointer0 === dronePointer;
+      const otherPointer = droneIsA ? pointer1 : pointer0;
+
+      // Deepest touching point of this manifold
+      let deepest = null;
+      for (let j = 0; j < manifold.getNumContacts(); j++) {
+        const point = manifold.getContactPoint(j);
+        const distance = point.getDistance();
+        if (distance <= this.settings.contactDistance && (!deepest || distance < deepest.getDistance())) {
+          deepest = point;
+        }
+      }
+      if (!deepest) continue;
+
+      // Bodies touched recently are still the same contact, so bouncing and scraping are not reported every step
+      touching = true;
+      const lastTouched = this.lastTouched.get(otherPointer);
+      this.lastTouched.set(otherPointer, time);
+      if (lastTouched !== undefined && time - lastTouched <= this.settings.separationTime) continue;
+
+      const p = droneIsA ? deepest.getPositionWorldOnA() : deepest.getPositionWorldOnB();
+      const n = deepest.get_m_normalWorldOnB();
+      const point = new THREE.Vector3(p.x(), p.y(), p.z());
+      // normalWorldOnB points from B towards A
+      const normal = new THREE.Vector3(n.x(), n.y(), n.z()).multiplyScalar(droneIsA ? 1 : -1);
+
+      contacts.push(this.classify(point, normal, otherPointer, position, inverseQuaternion, frameMotors, motorRPMs));
+    }
+
+    // Forget bodies the drone has been apart from for longer than the separation time
+    this.lastTouched.forEach((lastTouched, pointer) => {
+      if (time - lastTouched > this.settings.separationTime) this.lastTouched.delete(pointer);
+    });
+
+    this.inContact = touching;
+    return contacts;
+  }
+
+  /**
+   * @method classify
+   * @private
+   * @param {THREE.Vector3} point - Contact point on the drone (world).
+   * @param {THREE.Vector3} normal - Contact normal pointing into the drone (world).
+   * @param {number} otherPointer - Pointer of the other body.
+   * @param {THREE.Vector3} position - The drone's centre of mass (world).
+   * @param {THREE.Quaternion} inverseQuaternion - Rotation from world into body axes.
+   * @param {Object[]} frameMotors - Motor definitions of the airframe.
+   * @param {number[]} motorRPMs - Current rotor speed per motor.
+   * @returns {Object} The classified contact, see `update()`.
+   */
+  classify(point, normal, otherPointer, position, inverseQuaternion, frameMotors, motorRPMs) {
+    const { touchdownMaxSpeed, crashSpeed, underSideNormal, sideNormal, propStrikeMinRPM } = this.settings;
+
+    // Velocity of the contact point on the drone before the step, v + ω × r, relative to the other body's surface
+    const offset = point.clone().sub(position);
+    const pointVelocity = this.preStepAngularVelocity.clone().cross(offset).add(this.preStepVelocity);
+    const other = this.otherBodyStates.get(otherPointer);
+    if (other) {
+      const otherOffset = point.clone().sub(other.centerOfMass);
+      pointVelocity.sub(other.angularVelocity.clone().cross(otherOffset).add(other.velocity));
+    }
+    const impactSpeed = Math.max(0, -pointVelocity.dot(normal));
+
+    // Nearest motor by direction in the body's horizontal plane
+    const offsetBody = offset.clone().applyQuaternion(inverseQuaternion);
+    let motorIndex = 0;
+    let best = -Infinity;
+    frameMotors.forEach((motor, i) => {
+      const alignment = (offsetBody.x * motor.position.x + offsetBody.z * motor.position.z)
+        / (Math.hypot(motor.position.x, motor.position.z) || 1);
+      if (alignment > best) {
+        best = alignment;
+        motorIndex = i;
+      }
+    });
+
+    // Up component of the surface normal in body axes: 1 when pushing straight up into the underside
+    const normalUp = normal.clone().applyQuaternion(inverseQuaternion).y;
+
+    let type = CONTACT_TYPES.BUMP;
+    if (impactSpeed >= crashSpeed) {
+      type = CONTACT_TYPES.CRASH;
+    } else if (normalUp < sideNormal && motorRPMs[motorIndex] > propStrikeMinRPM) {
+      type = CONTACT_TYPES.PROP_STRIKE;
+    } else if (normalUp > underSideNormal && impactSpeed <= touchdownMaxSpeed) {
+      type = CONTACT_TYPES.TOUCHDOWN;
+    }
+
+    return {
+      type,
+      impactSpeed,
+      point: point.toArray(),
+      normal: normal.toArray(),
+      motorIndex,
+      bodyPointer: otherPointer,
+    };
+  }
+}
+
+export default ContactMonitor;
@@ -0,0 +1,53 @@
+import { CONTACT_TYPES } from './ContactMonitor';
+
+/**
+ * @class DamageModel
+ * @description Turns classified impacts from the {@link ContactMonitor} into motor damage.
+ * Prop strikes chip the propeller that hit; crashes damage the motor nearest the impact by
+ * the impact's severity and the others by half of it. Touchdowns and bumps are harmless.
+ */
+class DamageModel {
+  /**
+   * @constructor
+   * @param {Object} [settings] - Overrides for the default settings, see `this.settings`.
+   */
+  constructor(settings = {}) {
+    // === Setting Variables === //
+    this.settings = {
+      enabled: true,
+      propStrikeDamage: 0.3, // Health lost by the striking motor (0 to 1)
+      crashDamage: 0.5, // Health lost by the nearest motor in a crash at the crash speed; scales with impact speed
+      disableBelow: 0.1, // Motors with less health stop
+      ...settings,
+    };
+    // === End of Setting Variables === //
+  }
+
+  /**
+   * @method apply
+   * @public
+   * @param {Object} contact - A classified contact from the ContactMonitor.
+   * @param {MotorModel[]} motors - The drone's motor models.
+   * @param {number} crashSpeed - Impact speed at which contacts count as crashes (m/s).
+   * @returns {number[]} Indices of motors that were disabled by this contact.
+   */
+  apply(contact, motors, crashSpeed) {
+    if (!this.settings.enabled) return [];
+
+    const { propStrikeDamage, crashDamage, disableBelow } = this.settings;
+    const wasDisabled = motors.map((motor) => motor.disabled);
+
+    if (contact.type === CONTACT_TYPES.PROP_STRIKE) {
+      motors[contact.motorIndex].damage(propStrikeDamage, disableBelow);
+    } else if (contact.type === CONTACT_TYPES.CRASH) {
+      const severity = crashDamage * (contact.impactSpeed / crashSpeed);
+      motors.forEach((motor, i) => {
+        motor.damage(i === contact.motorIndex ? severity : severity / 2, disableBelow);
+      });
+    }
+
+    return motors.map((motor, i) => i).filter((i) => motors[i].disabled && !wasDisabled[i]);
+  }
+}
+
+export default DamageModel;
@@ -0,0 +1,252 @@
+import * as THREE from 'three';
+
+/**
+ * Collider types that can be requested per object through GLTF `extras` (`userData` in Three.js).
+ * - `mesh`: static `btBvhTriangleMeshShape`, exact but only for static scenery.
+ * - `hull`: `btConvexHullShape` around the mesh's vertices.
+ * - `box`: `btBoxShape` fitted to the mesh's local bounding box.
+ * - `none`: no collider for this object and, unless overridden, its descendants.
+ * @enum {string}
+ */
+export const COLLIDER_TYPES = {
+  MESH: 'mesh',
+  HULL: 'hull',
+  BOX: 'box',
+  NONE: 'none',
+};
+
+/**
+ * @class EnvironmentColliders
+ * @description Turns the meshes of a loaded environment into static Ammo collision bodies.
+ *
+ * The collider type of a mesh is taken from the closest `extras.collider` on it or its ancestors.
+ * Meshes without one get a type from their triangle count in `auto` mode (boxes for flat or trivial
+ * pieces, convex hulls for small props, triangle meshes for everything else, such as hangars that
+ * must stay hollow) and are skipped in `optIn` mode.
+ *
+ * @example
+ * // In Blender: Object Properties > Custom Properties > collider = "hull"
+ * const colliders = new EnvironmentColliders(Ammo, physicsWorld);
+ * colliders.addFromObject(scene.environment);
+ */
+class EnvironmentColliders {
+  /**
+   * @constructor
+   * @param {Object} Ammo - The loaded Ammo.js module.
+   * @param {Ammo.btDiscreteDynamicsWorld} physicsWorld - World the static bodies are added to.
+   * @param {Object} [settings] - Overrides for the default settings, see `this.settings`.
+   */
+  constructor(Ammo, physicsWorld, settings = {}) {
+    this.Ammo = Ammo;
+    this.physicsWorld = physicsWorld;
+
+    // === Setting Variables === //
+    this.settings = {
+      mode: 'auto', // 'auto' builds colliders for every mesh, 'optIn' only for meshes with an `extras.collider`
+      boxMaxTriangles: 12, // Meshes up to this many triangles (walls, floor tiles, lattices) get a box
+      hullMaxTriangles: 200, // Meshes up to this many triangles get a convex hull, larger ones a triangle mesh
+      minBoxHalfExtent: 0.02, // m, thickness given to flat boxes so they do not tunnel
+      friction: 0.8,
+      restitution: 0.1,
+      ...settings,
+    };
+    // === End of Setting Variables === //
+
+    /**
+     * @property {Object[]} colliders - `{ object, type, body, shape }` per created collider.
+     */
+    this.colliders = [];
+
+    /**
+     * @property {Map<number, THREE.Object3D>} objectsByBody - Source object per body pointer (`Ammo.getPointer(body)`),
+     * for resolving contacts and ray hits back to scenery.
+     */
+    this.objectsByBody = new Map();
+
+    this.tmpVertices = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  }
+
+  /**
+   * @method addFromObject
+   * @public
+   * @param {THREE.Object3D} root - The environment's root object, e.g. a GLTF scene.
+   * @returns {number} The number of colliders created.
+   * @description Creates static colliders for every mesh under `root`, using the world transforms at call time.
+   */
+  addFromObject(root) {
+    root.updateMatrixWorld(true);
+    const before = this.colliders.length;
+
+    const visit = (object, inheritedType) => {
+      const type = object.userData && object.userData.collider ? object.userData.collider : inheritedType;
+      if (type && !Object.values(COLLIDER_TYPES).includes(type)) {
+        console.warn(`EnvironmentColliders: Unknown collider "${type}" on "${object.name}". Use one of: ${Object.values(COLLIDER_TYPES).join(', ')}.`);
+      } else if (object.isMesh && object.visible && type !== COLLIDER_TYPES.NONE) {
+        this.addMesh(object, type);
+      }
+      object.children.forEach((child) => visit(child, type));
+    };
+    visit(root, null);
+
+    return this.colliders.length - before;
+  }
+
+  /**
+   * @method addMesh
+   * @private
+   * @param {THREE.Mesh} mesh - The mesh to build a collider for.
+   * @param {string|null} type - Requested collider type, or null to choose one.
+   */
+  addMesh(mesh, type) {
+    const geometry = mesh.geometry;
+    if (!geometry || !geometry.attributes.position) return;
+
+    const triangleCount = (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+    let resolvedType = type;
+    if (!resolvedType) {
+      if (this.settings.mode !== 'auto') return;
+      if (triangleCount <= this.settings.boxMaxTriangles) {
+        resolvedType = COLLIDER_TYPES.BOX;
+      } else if (triangleCount <= this.settings.hullMaxTriangles) {
+        resolvedType = COLLIDER_TYPES.HULL;
+      } else {
+        resolvedType = COLLIDER_TYPES.MESH;
+      }
+    }
+
+    const transform = new this.Ammo.btTransform();
+    transform.setIdentity();
+
+    let shape;
+    if (resolvedType === COLLIDER_TYPES.BOX) {
+      shape = this.createBoxShape(mesh, transform);
+    } else if (resolvedType === COLLIDER_TYPES.HULL) {
+      shape = this.createHullShape(mesh);
+    } else {
+      shape = this.createTriangleMeshShape(mesh);
+    }
+
+    const localInertia = new this.Ammo.btVector3(0, 0, 0);
+    const motionState = new this.Ammo.btDefaultMotionState(transform);
+    const rbInfo = new this.Ammo.btRigidBodyConstructionInfo(0, motionState, shape, localInertia);
+    const body = new this.Ammo.btRigidBody(rbInfo);
+    body.setFriction(this.settings.friction);
+    body.setRestitution(this.settings.restitution);
+    this.Ammo.destroy(rbInfo);
+    this.Ammo.destroy(localInertia);
+    this.Ammo.destroy(transform);
+
+    this.physicsWorld.addRigidBody(body);
+    this.colliders.push({ object: mesh, type: resolvedType, body, shape });
+    this.objectsByBody.set(this.Ammo.getPointer(body), mesh);
+  }
+
+  /**
+   * @method createBoxShape
+   * @private
+   * @param {THREE.Mesh} mesh - Source mesh.
+   * @param {Ammo.btTransform} transform - Receives the box's world pose.
+   * @returns {Ammo.btBoxShape} A box fitted to the mesh's local bounding box and world scale.
+   */
+  createBoxShape(mesh, transform) {
+    if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+    const box = mesh.geometry.boundingBox;
+
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    mesh.matrixWorld.decompose(position, quaternion, scale);
+
+    const center = box.getCenter(new THREE.Vector3()).applyMatrix4(mesh.matrixWorld);
+    const halfExtents = box.getSize(new THREE.Vector3()).multiply(scale).multiplyScalar(0.5);
+    const minHalfExtent = this.settings.minBoxHalfExtent;
+
+    const origin = new this.Ammo.btVector3(center.x, center.y, center.z);
+    const rotation = new this.Ammo.btQuaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    transform.setOrigin(origin);
+    transform.setRotation(rotation);
+    this.Ammo.destroy(origin);
+    this.Ammo.destroy(rotation);
+
+    const extents = new this.Ammo.btVector3(
+      Math.max(Math.abs(halfExtents.x), minHalfExtent),
+      Math.max(Math.abs(halfExtents.y), minHalfExtent),
+      Math.max(Math.abs(halfExtents.z), minHalfExtent)
+    );
+    const shape = new this.Ammo.btBoxShape(extents);
+    this.Ammo.destroy(extents);
+    return shape;
+  }
+
+  /**
+   * @method createHullShape
+   * @private
+   * @param {THREE.Mesh} mesh - Source mesh.
+   * @returns {Ammo.btConvexHullShape} A convex hull of the mesh's vertices in world coordinates.
+   */
+  createHullShape(mesh) {
+    const positions = mesh.geometry.attributes.position;
+    const shape = new this.Ammo.btConvexHullShape();
+    const point = new this.Ammo.btVector3(0, 0, 0);
+    const vertex = this.tmpVertices[0];
+
+    for (let i = 0; i < positions.count; i++) {
+      vertex.fromBufferAttribute(positions, i).applyMatrix4(mesh.matrixWorld);
+      point.setValue(vertex.x, vertex.y, vertex.z);
+      shape.addPoint(point, i === positions.count - 1);
+    }
+    this.Ammo.destroy(point);
+    return shape;
+  }
+
+  /**
+   * @method createTriangleMeshShape
+   * @private
+   * @param {THREE.Mesh} mesh - Source mesh.
+   * @returns {Ammo.btBvhTriangleMeshShape} The mesh's triangles in world coordinates.
+   */
+  createTriangleMeshShape(mesh) {
+    const { index, attributes } = mesh.geometry;
+    const positions = attributes.position;
+    const triangleMesh = new this.Ammo.btTriangleMesh(true, true);
+    const corners = [new this.Ammo.btVector3(0, 0, 0), new this.Ammo.btVector3(0, 0, 0), new this.Ammo.btVector3(0, 0, 0)];
+    const count = index ? index.count : positions.count;
+
+    for (let i = 0; i < count; i += 3) {
+      for (let k = 0; k < 3; k++) {
+        const vertexIndex = index ? index.getX(i + k) : i + k;
+        const vertex = this.tmpVertices[k].fromBufferAttribute(positions, vertexIndex).applyMatrix4(mesh.matrixWorld);
+        corners[k].setValue(vertex.x, vertex.y, vertex.z);
+      }
+      triangleMesh.addTriangle(corners[0], corners[1], corners[2], false);
+    }
+    corners.forEach((corner) => this.Ammo.destroy(corner));
+
+    const shape = new this.Ammo.btBvhTriangleMeshShape(triangleMesh, true, true);
+    shape.triangleMesh = triangleMesh; // Keep the mesh referenced; the shape does not own it
+    return shape;
+  }
+
+  /**
+   * @method getObjectForBody
+   * @public
+   * @param {Ammo.btCollisionObject} body - A body from a contact or ray test.
+   * @returns {THREE.Object3D|null} The scenery object the body was built from, if any.
+   */
+  getObjectForBody(body) {
+    return this.objectsByBody.get(this.Ammo.getPointer(body)) || null;
+  }
+
+  /**
+   * @method clear
+   * @public
+   * @description Removes every collider created by this instance from the world.
+   */
+  clear() {
+    this.colliders.forEach(({ body }) => this.physicsWorld.removeRigidBody(body));
+    this.colliders = [];
+    this.objectsByBody.clear();
+  }
+}
+
+export default EnvironmentColliders;
@@ -0,0 +1,78 @@
+/**
+ * @class MotorMixer
+ * @description Mixes normalized roll/pitch/yaw/throttle demands into per-motor thrust commands
+ * for an arbitrary multirotor frame (see `frames.js`).
+ *
+ * Mixing factors are the torque each motor produces per unit command, normalized per axis:
+ * - roll (torque about body +X) from a thrust at `(x, y, z)` is `-z`,
+ * - pitch (torque about body +Z) is `x`,
+ * - yaw (torque about body +Y) comes from propeller reaction torque, `-spin * torqueCoefficient`
+ *   (a counter-clockwise prop seen from above, `spin = 1`, pushes the body clockwise),
+ * each scaled by the motor's thrust coefficient. Frames with a yaw servo (tricopter) yaw
+ * with the servo instead of reaction torque.
+ */
+class MotorMixer {
+  /**
+   * @constructor
+   * @param {{motors: Object[]}} frame - Frame definition from `createFrame()`/`resolveFrame()`.
+   */
+  constructor(frame) {
+    const { motors } = frame;
+    this.motorCount = motors.length;
+    this.hasYawServo = motors.some((motor) => motor.servo);
+
+    const raw = motors.map((motor) => ({
+      roll: -motor.position.z * motor.thrustCoefficient,
+      pitch: motor.position.x * motor.thrustCoefficient,
+      yaw: this.hasYawServo ? 0 : -motor.spin * motor.torqueCoefficient * motor.thrustCoefficient,
+    }));
+    const maxAbs = (axis) => Math.max(...raw.map((f) => Math.abs(f[axis]))) || 1;
+    const scale = { roll: maxAbs('roll'), pitch: maxAbs('pitch'), yaw: maxAbs('yaw') };
+
+    this.factors = raw.map((f) => ({
+      roll: f.roll / scale.roll,
+      pitch: f.pitch / scale.pitch,
+      yaw: f.yaw / scale.yaw,
+    }));
+    this.servoMaxAngles = motors.map((motor) => (motor.servo ? motor.servo.maxAngle : 0));
+    this.outputs = new Array(this.motorCount).fill(0);
+    this.servoOutputs = new Array(this.motorCount).fill(0);
+  }
+
+  /**
+   * @method mix
+   * @public
+   * @param {{roll: number, pitch: number, yaw: number, throttle: number}} demands - Normalized demands,
+   * torques in [-1, 1] and throttle in [0, 1].
+   * @returns {number[]} Motor commands in [0, 1]. The returned array is reused between calls.
+   * Servo tilt angles (deg) for servo-mounted motors are left in `servoOutputs`.
+   * @description When commands saturate, the attitude part is scaled to fit first and the collective is
+   * shifted second, so stabilization takes priority over throttle.
+   */
+  mix({ roll, pitch, yaw, throttle }) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < this.motorCount; i++) {
+      const f = this.factors[i];
+      const value = roll * f.roll + pitch * f.pitch + yaw * f.yaw;
+      this.outputs[i] = value;
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    }
+
+    const span = max - min;
+    const scale = span > 1 ? 1 / span : 1;
+    let shift = throttle;
+    if (throttle + max * scale > 1) shift = 1 - max * scale;
+    if (shift + min * scale < 0) shift = -min * scale;
+
+    const servoDemand = Math.max(-1, Math.min(1, yaw));
+    for (let i = 0; i < this.motorCount; i++) {
+      this.outputs[i] = Math.max(0, Math.min(1, this.outputs[i] * scale + shift));
+      this.servoOutputs[i] = servoDemand * this.servoMaxAngles[i];
+    }
+    return this.outputs;
+  }
+}
+
+export default MotorMixer;
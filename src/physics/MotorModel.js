@@ -0,0 +1,178 @@
+/**
+ * Motor command protocols understood by {@link commandFromProtocol} and {@link commandToProtocol}.
+ * - `normalized`: 0 to 1.
+ * - `pwm`: 1000 to 2000 µs pulse width.
+ * - `dshot`: 48 to 2047 throttle values; 0 to 47 are special commands and stop the motor.
+ * @enum {string}
+ */
+export const MOTOR_PROTOCOLS = {
+  NORMALIZED: 'normalized',
+  PWM: 'pwm',
+  DSHOT: 'dshot',
+};
+
+const PWM_MIN = 1000; // µs
+const PWM_MAX = 2000; // µs
+const DSHOT_MIN = 48;
+const DSHOT_MAX = 2047;
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+/**
+ * Converts a raw ESC command to a normalized 0 to 1 command.
+ * @param {number} value - Command in the protocol's units.
+ * @param {string} [protocol='normalized'] - One of MOTOR_PROTOCOLS.
+ * @returns {number} The normalized command.
+ */
+export const commandFromProtocol = (value, protocol = MOTOR_PROTOCOLS.NORMALIZED) => {
+  switch (protocol) {
+    case MOTOR_PROTOCOLS.PWM:
+      return clamp01((value - PWM_MIN) / (PWM_MAX - PWM_MIN));
+    case MOTOR_PROTOCOLS.DSHOT:
+      return value < DSHOT_MIN ? 0 : clamp01((value - DSHOT_MIN) / (DSHOT_MAX - DSHOT_MIN));
+    case MOTOR_PROTOCOLS.NORMALIZED:
+      return clamp01(value);
+    default:
+      throw new Error(`Unknown motor protocol "${protocol}". Use one of: ${Object.values(MOTOR_PROTOCOLS).join(', ')}.`);
+  }
+};
+
+/**
+ * Converts a normalized 0 to 1 command to a raw ESC command.
+ * @param {number} command - Normalized command.
+ * @param {string} protocol - One of MOTOR_PROTOCOLS.
+ * @returns {number} The command in the protocol's units (integer for PWM and DShot).
+ */
+export const commandToProtocol = (command, protocol) => {
+  const value = clamp01(command);
+  switch (protocol) {
+    case MOTOR_PROTOCOLS.PWM:
+      return Math.round(PWM_MIN + value * (PWM_MAX - PWM_MIN));
+    case MOTOR_PROTOCOLS.DSHOT:
+      return Math.round(DSHOT_MIN + value * (DSHOT_MAX - DSHOT_MIN));
+    case MOTOR_PROTOCOLS.NORMALIZED:
+      return value;
+    default:
+      throw new Error(`Unknown motor protocol "${protocol}". Use one of: ${Object.values(MOTOR_PROTOCOLS).join(', ')}.`);
+  }
+};
+
+/**
+ * @class MotorModel
+ * @description First-order model of a brushless motor, its ESC and propeller.
+ *
+ * A command (0 to 1) is raised to the idle throttle, looked up in the thrust curve to get the
+ * steady-state thrust fraction, and turned into a target RPM with `thrust ∝ RPM²`. The rotor
+ * approaches that RPM with separate spin-up and spin-down time constants, and thrust and
+ * propeller torque follow from the current RPM squared.
+ *
+ * The RPM a command reaches scales with the supply voltage (`voltageScale`, 1 on a full pack), and the
+ * current drawn follows the propeller's mechanical power, `∝ RPM³`, divided by the voltage.
+ *
+ * Damage lowers `health` (1 intact, 0 destroyed), which scales the thrust of a bent or chipped propeller;
+ * a motor at zero health produces nothing.
+ *
+ * The default thrust curve is linear in thrust, so steady-state behaviour matches a motor whose
+ * thrust is `command * maxThrust` and the mixer stays linear. Measured thrust-stand data can be
+ * dropped in as `thrustCurve`.
+ */
+class MotorModel {
+  /**
+   * @constructor
+   * @param {Object} [settings] - Overrides for the default motor parameters, see `this.settings`.
+   */
+  constructor(settings = {}) {
+    // === Setting Variables === //
+    this.settings = {
+      maxRPM: 30000, // RPM at full command
+      timeConstantUp: 0.025, // s, ESC + rotor spin-up time constant
+      timeConstantDown: 0.04, // s, spin-down is slower without active braking
+      idleThrottle: 0.05, // Command floor while armed (0 to 1)
+      thrustCurve: [[0, 0], [1, 1]], // [command, steady-state thrust fraction] pairs, sorted by command
+      maxCurrent: 10, // A drawn at full RPM on a full pack
+      ...settings,
+    };
+    // === End of Setting Variables === //
+
+    this.reset();
+  }
+
+  /**
+   * @method reset
+   * @public
+   * @param {number} [rpm=0] - RPM to restart from.
+   * @description Sets the rotor state and repairs the motor.
+   */
+  reset(rpm = 0) {
+    this.health = 1;
+    this.command = 0;
+    this.output = 0;
+    this.rpm = rpm;
+    this.thrustFraction = (rpm / this.settings.maxRPM) ** 2;
+    this.current = 0;
+  }
+
+  /**
+   * @method update
+   * @public
+   * @param {number} command - Normalized command (0 to 1).
+   * @param {number} dt - Time step (s).
+   * @param {number} [voltageScale=1] - Supply voltage relative to a full pack; 0 cuts the motor.
+   * @returns {number} Thrust as a fraction of the motor's full thrust on a full pack.
+   */
+  update(command, dt, voltageScale = 1) {
+    const { maxRPM, timeConstantUp, timeConstantDown, idleThrottle, maxCurrent } = this.settings;
+
+    this.command = clamp01(command);
+    this.output = idleThrottle + (1 - idleThrottle) * this.command;
+    const targetRPM = this.disabled ? 0 : maxRPM * voltageScale * Math.sqrt(this.lookupThrust(this.output));
+
+    const tau = targetRPM > this.rpm ? timeConstantUp : timeConstantDown;
+    this.rpm += (targetRPM - this.rpm) * (tau > 0 ? 1 - Math.exp(-dt / tau) : 1);
+    this.thrustFraction = this.health * (this.rpm / maxRPM) ** 2;
+    this.current = voltageScale > 0 ? (maxCurrent * (this.rpm / maxRPM) ** 3) / voltageScale : 0;
+
+    return this.thrustFraction;
+  }
+
+  /**
+   * @method damage
+   * @public
+   * @param {number} amount - Health to remove (0 to 1).
+   * @param {number} [disableBelow=0] - Health under which the motor is treated as destroyed.
+   * @description Degrades the motor. Below `disableBelow` health the motor is disabled and stops.
+   */
+  damage(amount, disableBelow = 0) {
+    this.health = Math.max(0, this.health - amount);
+    if (this.health <= disableBelow) this.health = 0;
+  }
+
+  /**
+   * @property {boolean} disabled - Whether the motor is destroyed.
+   */
+  get disabled() {
+    return this.health <= 0;
+  }
+
+  /**
+   * @method lookupThrust
+   * @private
+   * @param {number} output - Command after idle mapping (0 to 1).
+   * @returns {number} Steady-state thrust fraction, linearly interpolated from the thrust curve.
+   */
+  lookupThrust(output) {
+    const curve = this.settings.thrustCurve;
+    if (output <= curve[0][0]) return clamp01(curve[0][1]);
+
+    for (let i = 1; i < curve.length; i++) {
+      const [x1, y1] = curve[i];
+      if (output <= x1) {
+        const [x0, y0] = curve[i - 1];
+        return clamp01(y0 + ((output - x0) / (x1 - x0)) * (y1 - y0));
+      }
+    }
+    return clamp01(curve[curve.length - 1][1]);
+  }
+}
+
+export default MotorModel;
@@ -0,0 +1,521 @@
+import * as THREE from 'three';
+import { COLLISION_GROUPS } from './collisionGroups';
+
+/**
+ * Kinds of payload.
+ * - `rigid`: fixed to the frame. Adds its mass and inertia and moves the centre of gravity.
+ * - `slung`: hangs below an attach point on a winch rope made of point-to-point constraints.
+ * @enum {string}
+ */
+export const PAYLOAD_TYPES = {
+  RIGID: 'rigid',
+  SLUNG: 'slung',
+};
+
+const GRAVITY = 9.81; // m/s², matches the physics world
+
+/**
+ * @class PayloadManager
+ * @description Builds and tracks the payloads carried by the drone.
+ *
+ * Rigid payloads have no body of their own: their mass and inertia (about the drone's body origin) are folded
+ * into the drone body by the physics engine, which also applies the torque of their weight about the centre of
+ * gravity. Slung payloads are a load body hanging on a chain of rope segments, each joined to the next by a
+ * `btPoint2PointConstraint`. The rope can go slack, swings, and is winched by moving the constraint pivots.
+ *
+ * Releasing a rigid payload turns it into a free body; releasing a slung payload opens the hook at the end of
+ * the rope, which stays on the winch.
+ */
+class PayloadManager {
+  /**
+   * @constructor
+   * @param {Object} Ammo - The loaded Ammo.js module.
+   * @param {Ammo.btDiscreteDynamicsWorld} physicsWorld - World the payload bodies are added to.
+   * @param {THREE.Scene} scene - Scene the payload meshes are added to.
+   * @param {Ammo.btRigidBody} droneBody - The drone's body.
+   * @param {THREE.Object3D} droneMesh - The drone's object; rigid payload meshes become its children.
+   * @param {Object} [settings] - Overrides for the default settings, see `this.settings`.
+   */
+  constructor(Ammo, physicsWorld, scene, droneBody, droneMesh, settings = {}) {
+    this.Ammo = Ammo;
+    this.physicsWorld = physicsWorld;
+    this.scene = scene;
+    this.droneBody = droneBody;
+    this.droneMesh = droneMesh;
+
+    // === Setting Variables === //
+    this.settings = {
+      ropeSegments: 8, // Bodies per rope; more swing more smoothly but cost solver iterations
+      ropeLinearDensity: 0.02, // kg/m
+      minSegmentMass: 0.005, // kg, floor that keeps the mass ratio along the chain solvable
+      ropeRadius: 0.004, // m, collision and display radius of the segments
+      ropeLengthRange: [0.1, 20], // m, winch limits
+      winchSpeed: 0.5, // m/s
+      defaultSize: [0.08, 0.06, 0.08], // m, payload box when a payload gives no size
+      defaultAttachPoint: [0, -0.03, 0], // m, body axes relative to the centre of gravity
+      friction: 0.6,
+      restitution: 0.1,
+      ...settings,
+    };
+    // === End of Setting Variables === //
+
+    /**
+     * @property {Object[]} payloads - Attached and released payloads, in attach order.
+     */
+    this.payloads = [];
+
+    /**
+     * @property {{mass: number, centerOfMass: THREE.Vector3, inertia: THREE.Vector3}} rigidMassProperties -
+     * Combined mass (kg), centre of mass (body axes) and inertia about the body origin (kg·m²) of the attached
+     * rigid payloads.
+     */
+    this.rigidMassProperties = { mass: 0, centerOfMass: new THREE.Vector3(), inertia: new THREE.Vector3() };
+
+    this.tmpVector = new this.Ammo.btVector3(0, 0, 0);
+  }
+
+  /**
+   * @method attach
+   * @public
+   * @param {Object} spec - Payload description.
+   * @param {string} spec.id - Unique identifier.
+   * @param {string} [spec.type='rigid'] - One of PAYLOAD_TYPES.
+   * @param {number} spec.mass - kg.
+   * @param {number[]} [spec.size] - Box size (m).
+   * @param {number[]} [spec.position] - Body axes, relative to the centre of gravity (m): the payload's centre
+   * when rigid, the rope's attach point when slung.
+   * @param {number} [spec.ropeLength=1] - Initial rope length of a slung payload (m).
+   * @param {number} [spec.segments] - Rope segments, `settings.ropeSegments` by default.
+   * @returns {Object} The payload record.
+   * @description Attaches a payload at the drone's current pose. Slung loads start hanging straight down at rest.
+   */
+  attach(spec) {
+    const { id, type = PAYLOAD_TYPES.RIGID, mass } = spec;
+    if (!Object.values(PAYLOAD_TYPES).includes(type)) {
+      throw new Error(`Unknown payload type "${type}". Use one of: ${Object.values(PAYLOAD_TYPES).join(', ')}.`);
+    }
+    if (!(mass > 0)) {
+      throw new Error(`Payload "${id}" needs a positive "mass" (kg).`);
+    }
+
+    const [minLength, maxLength] = this.settings.ropeLengthRange;
+    const ropeLength = THREE.MathUtils.clamp(spec.ropeLength ?? 1, minLength, maxLength);
+    const payload = {
+      id,
+      type,
+      mass,
+      size: new THREE.Vector3().fromArray(spec.size || this.settings.defaultSize),
+      position: new THREE.Vector3().fromArray(spec.position || this.settings.defaultAttachPoint),
+      attached: true,
+      mesh: null,
+      loadBody: null, // Free body of a slung or released payload
+      segments: [], // `{ mesh, body }` per rope segment
+      constraints: [], // Drone to first segment, between segments, last segment to load (the hook)
+      ropeLength,
+      targetRopeLength: ropeLength,
+      segmentCount: spec.segments || this.settings.ropeSegments,
+    };
+
+    payload.mesh = this.createBoxMesh(payload.size, 0xd9822b);
+    if (type === PAYLOAD_TYPES.RIGID) {
+      payload.mesh.position.copy(payload.position);
+      this.droneMesh.add(payload.mesh);
+    } else {
+      this.createSlungLoad(payload);
+    }
+
+    this.payloads.push(payload);
+    this.updateRigidMassProperties();
+    return payload;
+  }
+
+  /**
+   * @method createSlungLoad
+   * @private
+   * @param {Object} payload - A slung payload record.
+   * @description Creates the rope segments and load body straight below the attach point and chains them up.
+   */
+  createSlungLoad(payload) {
+    const { position: dronePosition, quaternion } = this.getDronePose();
+    const attachPoint = payload.position.clone().applyQuaternion(quaternion).add(dronePosition);
+    const { ropeRadius, ropeLinearDensity, minSegmentMass } = this.settings;
+    const segmentLength = payload.ropeLength / payload.segmentCount;
+    const segmentMass = Math.max(ropeLinearDensity * segmentLength, minSegmentMass);
+    // Segments are thin rods between their pivots; a sphere keeps collisions cheap while the winch changes length
+    const rodInertia = (segmentMass * segmentLength * segmentLength) / 12;
+    const spinInertia = 0.4 * segmentMass * ropeRadius * ropeRadius;
+
+    let previousBody = this.droneBody;
+    let previousPivot = payload.position;
+    for (let i = 0; i < payload.segmentCount; i++) {
+      const center = attachPoint.clone();
+      center.y -= (i + 0.5) * segmentLength;
+      const body = this.createBody(
+        new this.Ammo.btSphereShape(ropeRadius),
+        segmentMass,
+        center,
+        new THREE.Vector3(rodInertia, spinInertia, rodInertia)
+      );
+      const mesh = new THREE.Mesh(
+        new THREE.CylinderGeometry(ropeRadius, ropeRadius, 1, 6),
+        new THREE.MeshStandardMaterial({ color: 0x222222 })
+      );
+      mesh.scale.y = segmentLength;
+      mesh.position.copy(center);
+
+      payload.constraints.push(this.connect(previousBody, body, previousPivot, new THREE.Vector3(0, segmentLength / 2, 0)));
+      payload.segments.push({ mesh, body });
+      this.scene.add(mesh);
+      previousBody = body;
+      previousPivot = new THREE.Vector3(0, -segmentLength / 2, 0);
+    }
+
+    const loadCenter = attachPoint.clone();
+    loadCenter.y -= payload.ropeLength + payload.size.y / 2;
+    payload.loadBody = this.createBody(this.createBoxShape(payload.size), payload.mass, loadCenter);
+    payload.mesh.position.copy(loadCenter);
+    this.scene.add(payload.mesh);
+    payload.constraints.push(
+      this.connect(previousBody, payload.loadBody, previousPivot, new THREE.Vector3(0, payload.size.y / 2, 0))
+    );
+  }
+
+  /**
+   * @method createBody
+   * @private
+   * @param {Ammo.btCollisionShape} shape - The body's shape.
+   * @param {number} mass - kg.
+   * @param {THREE.Vector3} position - World position.
+   * @param {THREE.Vector3} [inertia] - Principal moments (kg·m²). Computed from the shape when omitted.
+   * @returns {Ammo.btRigidBody} A dynamic body in the payload collision group.
+   */
+  createBody(shape, mass, position, inertia) {
+    const transform = new this.Ammo.btTransform();
+    transform.setIdentity();
+    this.tmpVector.setValue(position.x, position.y, position.z);
+    transform.setOrigin(this.tmpVector);
+
+    const localInertia = new this.Ammo.btVector3(0, 0, 0);
+    if (inertia) {
+      localInertia.setValue(inertia.x, inertia.y, inertia.z);
+    } else {
+      shape.calculateLocalInertia(mass, localInertia);
+    }
+
+    const motionState = new this.Ammo.btDefaultMotionState(transform);
+    const rbInfo = new this.Ammo.btRigidBodyConstructionInfo(mass, motionState, shape, localInertia);
+    const body = new this.Ammo.btRigidBody(rbInfo);
+    body.setFriction(this.settings.friction);
+    body.setRestitution(this.settings.restitution);
+    body.setActivationState(4); // Never sleep: a resting load must still react to the rope
+
+    // Payloads collide with scenery and the ground, but not with the drone or each other
+    this.physicsWorld.addRigidBody(
+      body,
+      COLLISION_GROUPS.PAYLOAD,
+      COLLISION_GROUPS.ALL & ~(COLLISION_GROUPS.DRONE | COLLISION_GROUPS.PAYLOAD)
+    );
+
+    this.Ammo.destroy(rbInfo);
+    this.Ammo.destroy(localInertia);
+    this.Ammo.destroy(transform);
+    return body;
+  }
+
+  /**
+   * @method createBoxShape
+   * @private
+   * @param {THREE.Vector3} size - Box size (m).
+   * @returns {Ammo.btBoxShape} The box.
+   */
+  createBoxShape(size) {
+    this.tmpVector.setValue(size.x / 2, size.y / 2, size.z / 2);
+    return new this.Ammo.btBoxShape(this.tmpVector);
+  }
+
+  /**
+   * @method createBoxMesh
+   * @private
+   * @param {THREE.Vector3} size - Box size (m).
+   * @param {number} color - Hex colour.
+   * @returns {THREE.Mesh} The payload's visual box.
+   */
+  createBoxMesh(size, color) {
+    const mesh = new THREE.Mesh(
+      new THREE.BoxGeometry(size.x, size.y, size.z),
+      new THREE.MeshStandardMaterial({ color })
+    );
+    mesh.castShadow = true;
+    return mesh;
+  }
+
+  /**
+   * @method connect
+   * @private
+   * @param {Ammo.btRigidBody} bodyA - First body.
+   * @param {Ammo.btRigidBody} bodyB - Second body.
+   * @param {THREE.Vector3} pivotA - Joint position in `bodyA`'s frame.
+   * @param {THREE.Vector3} pivotB - Joint position in `bodyB`'s frame.
+   * @returns {Ammo.btPoint2PointConstraint} The joint, added to the world with collisions between the pair disabled.
+   */
+  connect(bodyA, bodyB, pivotA, pivotB) {
+    const a = new this.Ammo.btVector3(pivotA.x, pivotA.y, pivotA.z);
+    const b = new this.Ammo.btVector3(pivotB.x, pivotB.y, pivotB.z);
+    const constraint = new this.Ammo.btPoint2PointConstraint(bodyA, bodyB, a, b);
+    this.physicsWorld.addConstraint(constraint, true);
+    this.Ammo.destroy(a);
+    this.Ammo.destroy(b);
+    return constraint;
+  }
+
+  /**
+   * @method getBodyEntries
+   * @public
+   * @param {Object} payload - A payload record.
+   * @returns {{mesh: THREE.Object3D, body: Ammo.btRigidBody}[]} The payload's bodies and the meshes they drive.
+   */
+  getBodyEntries(payload) {
+    const entries = [...payload.segments];
+    if (payload.loadBody) entries.push({ mesh: payload.mesh, body: payload.loadBody });
+    return entries;
+  }
+
+  /**
+   * @method release
+   * @public
+   * @param {Object} payload - An attached payload record.
+   * @returns {{mesh: THREE.Object3D, body: Ammo.btRigidBody}|null} The body created for a released rigid
+   * payload, which the physics engine must start synchronizing, or null.
+   * @description Drops the payload. A rigid payload leaves with the velocity of its point on the frame.
+   */
+  release(payload) {
+    payload.attached = false;
+
+    if (payload.type === PAYLOAD_TYPES.SLUNG) {
+      const hook = payload.constraints.pop();
+      this.physicsWorld.removeConstraint(hook);
+      this.Ammo.destroy(hook);
+      return null;
+    }
+
+    const { position: dronePosition, quaternion } = this.getDronePose();
+    const offset = payload.position.clone().applyQuaternion(quaternion);
+    const v = this.droneBody.getLinearVelocity();
+    const w = this.droneBody.getAngularVelocity();
+    const velocity = new THREE.Vector3(w.x(), w.y(), w.z()).cross(offset).add(new THREE.Vector3(v.x(), v.y(), v.z()));
+
+    payload.loadBody = this.createBody(this.createBoxShape(payload.size), payload.mass, offset.clone().add(dronePosition));
+    const transform = payload.loadBody.getWorldTransform();
+    const rotation = new this.Ammo.btQuaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    transform.setRotation(rotation);
+    payload.loadBody.getMotionState().setWorldTransform(transform);
+    this.Ammo.destroy(rotation);
+    this.tmpVector.setValue(velocity.x, velocity.y, velocity.z);
+    payload.loadBody.setLinearVelocity(this.tmpVector);
+    payload.loadBody.setAngularVelocity(w);
+
+    this.droneMesh.remove(payload.mesh);
+    payload.mesh.position.copy(offset.add(dronePosition));
+    payload.mesh.quaternion.copy(quaternion);
+    this.scene.add(payload.mesh);
+
+    this.updateRigidMassProperties();
+    return { mesh: payload.mesh, body: payload.loadBody };
+  }
+
+  /**
+   * @method setRopeLength
+   * @public
+   * @param {Object} payload - A slung payload record.
+   * @param {number} length - Rope length to winch to (m), clamped to `ropeLengthRange`.
+   * @description The winch pays out or reels in towards the length at `winchSpeed` on each update.
+   */
+  setRopeLength(payload, length) {
+    const [minLength, maxLength] = this.settings.ropeLengthRange;
+    payload.targetRopeLength = THREE.MathUtils.clamp(length, minLength, maxLength);
+  }
+
+  /**
+   * @method update
+   * @public
+   * @param {number} dt - Time step (s).
+   * @description Runs the winches.
+   */
+  update(dt) {
+    const maxChange = this.settings.winchSpeed * dt;
+    for (let i = 0; i < this.payloads.length; i++) {
+      const payload = this.payloads[i];
+      if (payload.type !== PAYLOAD_TYPES.SLUNG || payload.ropeLength === payload.targetRopeLength) continue;
+
+      payload.ropeLength += THREE.MathUtils.clamp(payload.targetRopeLength - payload.ropeLength, -maxChange, maxChange);
+      this.updateRopePivots(payload);
+    }
+  }
+
+  /**
+   * @method updateRopePivots
+   * @private
+   * @param {Object} payload - A slung payload record.
+   * @description Spaces the rope's joints for its current length.
+   */
+  updateRopePivots(payload) {
+    const halfLength = payload.ropeLength / payload.segmentCount / 2;
+    payload.constraints.forEach((constraint, i) => {
+      if (i > 0) {
+        this.tmpVector.setValue(0, -halfLength, 0);
+        constraint.setPivotA(this.tmpVector);
+      }
+      if (i < payload.segmentCount) {
+        this.tmpVector.setValue(0, halfLength, 0);
+        constraint.setPivotB(this.tmpVector);
+      }
+    });
+    payload.segments.forEach(({ mesh }) => {
+      mesh.scale.y = 2 * halfLength;
+    });
+  }
+
+  /**
+   * @method updateRigidMassProperties
+   * @private
+   * @description Recomputes `rigidMassProperties` from the attached rigid payloads, treating each as a solid box.
+   */
+  updateRigidMassProperties() {
+    const properties = this.rigidMassProperties;
+    properties.mass = 0;
+    properties.centerOfMass.set(0, 0, 0);
+    properties.inertia.set(0, 0, 0);
+
+    this.payloads.forEach(({ type, attached, mass, size, position: r }) => {
+      if (type !== PAYLOAD_TYPES.RIGID || !attached) return;
+      properties.mass += mass;
+      properties.centerOfMass.addScaledVector(r, mass);
+      // Box about its own centre, moved to the body origin with the parallel axis theorem
+      properties.inertia.x += mass * ((size.y ** 2 + size.z ** 2) / 12 + r.y ** 2 + r.z ** 2);
+      properties.inertia.y += mass * ((size.x ** 2 + size.z ** 2) / 12 + r.x ** 2 + r.z ** 2);
+      properties.inertia.z += mass * ((size.x ** 2 + size.y ** 2) / 12 + r.x ** 2 + r.y ** 2);
+    });
+
+    if (properties.mass > 0) properties.centerOfMass.divideScalar(properties.mass);
+  }
+
+  /**
+   * @method getGravityTorque
+   * @public
+   * @param {THREE.Quaternion} quaternion - The drone's orientation.
+   * @param {THREE.Vector3} target - Receives the torque (world, N·m).
+   * @returns {THREE.Vector3} `target`: the torque of the rigid payloads' weight about the body origin. Bullet
+   * applies the combined weight at the origin, so this is what moves the centre of gravity.
+   */
+  getGravityTorque(quaternion, target) {
+    const { mass, centerOfMass } = this.rigidMassProperties;
+    target.copy(centerOfMass).applyQuaternion(quaternion);
+    return target.set(target.z * mass * GRAVITY, 0, -target.x * mass * GRAVITY);
+  }
+
+  /**
+   * @property {number} attachedMass - Mass hanging on the drone (kg): attached payloads and every rope.
+   */
+  get attachedMass() {
+    return this.payloads.reduce((sum, payload) => {
+      const segmentMass = Math.max(
+        this.settings.ropeLinearDensity * (payload.ropeLength / payload.segmentCount),
+        this.settings.minSegmentMass
+      );
+      const ropeMass = payload.type === PAYLOAD_TYPES.SLUNG ? segmentMass * payload.segmentCount : 0;
+      return sum + ropeMass + (payload.attached ? payload.mass : 0);
+    }, 0);
+  }
+
+  /**
+   * @method removeAll
+   * @public
+   * @returns {Ammo.btRigidBody[]} The removed bodies, so callers can drop references to them.
+   * @description Removes every payload, its constraints, bodies and meshes.
+   */
+  removeAll() {
+    const removedBodies = [];
+    this.payloads.forEach((payload) => {
+      payload.constraints.forEach((constraint) => {
+        this.physicsWorld.removeConstraint(constraint);
+        this.Ammo.destroy(constraint);
+      });
+      this.getBodyEntries(payload).forEach(({ mesh, body }) => {
+        this.physicsWorld.removeRigidBody(body);
+        this.Ammo.destroy(body.getMotionState());
+        this.Ammo.destroy(body.getCollisionShape());
+        this.Ammo.destroy(body);
+        removedBodies.push(body);
+        this.disposeMesh(mesh);
+      });
+      if (!payload.loadBody) this.disposeMesh(payload.mesh);
+    });
+
+    this.payloads = [];
+    this.updateRigidMassProperties();
+    return removedBodies;
+  }
+
+  /**
+   * @method disposeMesh
+   * @private
+   * @param {THREE.Mesh} mesh - A payload or rope mesh.
+   */
+  disposeMesh(mesh) {
+    mesh.removeFromParent();
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+  }
+
+  /**
+   * @method getDronePose
+   * @private
+   * @returns {{position: THREE.Vector3, quaternion: THREE.Quaternion}} The drone body's pose.
+   */
+  getDronePose() {
+    const transform = this.droneBody.getWorldTransform();
+    const p = transform.getOrigin();
+    const q = transform.getRotation();
+    return {
+      position: new THREE.Vector3(p.x(), p.y(), p.z()),
+      quaternion: new THREE.Quaternion(q.x(), q.y(), q.z(), q.w()),
+    };
+  }
+
+  /**
+   * @method getTelemetry
+   * @public
+   * @returns {Object[]} Per payload `{ id, type, mass, attached, position, ropeLength, swingAngle }`: world
+   * position of the payload's centre (array), and for slung payloads the rope length (m) and, while attached,
+   * the rope's angle from the vertical (rad).
+   */
+  getTelemetry() {
+    const { position: dronePosition, quaternion } = this.getDronePose();
+
+    return this.payloads.map((payload) => {
+      let position;
+      if (payload.loadBody) {
+        const p = payload.loadBody.getWorldTransform().getOrigin();
+        position = new THREE.Vector3(p.x(), p.y(), p.z());
+      } else {
+        position = payload.position.clone().applyQuaternion(quaternion).add(dronePosition);
+      }
+
+      const telemetry = {
+        id: payload.id,
+        type: payload.type,
+        mass: payload.mass,
+        attached: payload.attached,
+        position: position.toArray(),
+      };
+      if (payload.type === PAYLOAD_TYPES.SLUNG) {
+        const rope = position.sub(payload.position.clone().applyQuaternion(quaternion).add(dronePosition));
+        telemetry.ropeLength = payload.ropeLength;
+        telemetry.swingAngle = payload.attached ? rope.angleTo(new THREE.Vector3(0, -1, 0)) : null;
+      }
+      return telemetry;
+    });
+  }
+}
+
+export default PayloadManager;
@@ -1,16 +1,39 @@
 import * as THREE from 'three';
+import FlightController from '../controls/FlightController';
+import MotorMixer from './MotorMixer';
+import MotorModel, { MOTOR_PROTOCOLS, commandToProtocol } from './MotorModel';
+import BatteryModel from './BatteryModel';
+import WindField from './WindField';
+import EnvironmentColliders from './EnvironmentColliders';
+import ContactMonitor, { CONTACT_TYPES } from './ContactMonitor';
+import DamageModel from './DamageModel';
+import RotorAerodynamics from './RotorAerodynamics';
+import PayloadManager, { PAYLOAD_TYPES } from './PayloadManager';
+import SensorSuite from '../sensors/SensorSuite';
+import { COLLISION_GROUPS } from './collisionGroups';
+import { createFrame, resolveFrame } from './frames';
 
 /**
  * @class PhysicsEngine
+ * @extends THREE.EventDispatcher
  * @description Manages the physics simulation for the drone and its environment.
  * This class handles the integration of Ammo.js physics with Three.js rendering.
+ *
+ * Dispatches `contact` for every new drone contact, plus one event named after the contact's
+ * type (`touchdown`, `bump`, `propStrike` or `crash`) and `motorFailure` when damage disables a motor.
+ * Contact events carry `contact: { type, impactSpeed, point, normal, motorIndex, ground, object, time }`.
+ * Dispatches `payloadRelease` with `{ payload, time }` when a payload is dropped.
+ *
+ * @example
+ * physics.addEventListener('crash', ({ contact }) => console.log(`Crashed at ${contact.impactSpeed} m/s`));
  */
-class PhysicsEngine {
+class PhysicsEngine extends THREE.EventDispatcher {
   /**
    * @constructor
    * @param {DroneControls} controls - The drone controls instance.
    */
   constructor(controls) {
+    super();
     this.controls = controls;
     this.rigidBodies = [];
     this.physicsWorld = null;
@@ -19,51 +42,184 @@ class PhysicsEngine {
     this.clockDelta = 0;
     this.lastTime = performance.now();
 
+    // Fixed-step integration state
+    this.accumulator = 0;
+    this.stepCount = 0;
+    this.simulationTime = 0;
+    this.preTickCallbacks = [];
+
+    // Contact and damage state
+    this.crashed = false;
+    this.lastContact = null;
+
+    this.airVelocity = new THREE.Vector3(); // m/s, drone velocity relative to the wind at the last step
+
+    // Onboard sensors, created in init(); the flight controller reads their estimates
+    this.sensors = null;
+    this.preStepVelocity = new THREE.Vector3(); // m/s, for the acceleration the IMU senses
+    this.sensorTruth = {
+      position: new THREE.Vector3(),
+      velocity: new THREE.Vector3(),
+      quaternion: new THREE.Quaternion(),
+      angularVelocity: new THREE.Vector3(),
+      acceleration: new THREE.Vector3(),
+      motorRPMs: [],
+      thrustFraction: 0,
+    };
+
+    // Payloads, created with the drone body
+    this.payloadManager = null;
+    this.payloadReleaseSwitch = false; // Release input at the last step; payloads drop on its rising edge
+
     // === Setting Variables === //
     // These variables can later be integrated with the UI for dynamic adjustments
     this.settings = {
       droneMass: 0.25, // kg (250g)
-      dragCoefficient: 0.47, // Approximate for a cube
-      liftCoefficient: 0.3, // Example value, should be based on drone's design
-      frontalArea: 0.25, // m^2 (for a cube with side 1m)
+      dragCoefficients: new THREE.Vector3(1.0, 1.2, 1.0), // Body drag coefficients along body X (sideways), Y (vertical) and Z (forward)
+      dragAreas: new THREE.Vector3(0.03, 0.09, 0.03), // m^2, projected area facing airflow along each body axis
+      liftCoefficient: 0.3, // Lift from airflow across the body plane, over dragAreas.y
+      rotorDragCoefficient: 4e-7, // N per (m/s) of airspeed across the rotor disks, per RPM summed over all rotors
+      angularDamping: new THREE.Vector3(0.002, 0.002, 0.002), // N·m·s/rad, linear rotational damping about body X, Y, Z
+      angularDrag: new THREE.Vector3(0.0002, 0.0002, 0.0002), // N·m·s^2/rad^2, quadratic rotational drag about body X, Y, Z
       airDensity: 1.225, // kg/m^3 at sea level
       maxThrust: 1, // N per motor (adjusted for hover)
       torqueStrength: 0.5, // Adjust as needed for responsiveness
       maxVelocity: 50, // m/s
       maxAngularVelocity: 10, // rad/s
+      droneDimensions: new THREE.Vector3(0.3, 0.1, 0.3), // m, collision box used when the drone object has no geometry (headless)
+      fixedTimeStep: 1 / 1000, // s (1 kHz physics, independent of the render rate)
+      maxFrameTime: 0.25, // s, frame deltas above this are clamped to avoid a spiral of death
+      interpolate: true, // Interpolate mesh transforms between the last two physics states
       useIndividualMotors: false, // Flag to switch control modes
-      motorPositions: [ // Positions of the motors relative to the drone's center
-        new THREE.Vector3(1, 0, 1),   // Motor 1: Front-Right
-        new THREE.Vector3(-1, 0, 1),  // Motor 2: Front-Left
-        new THREE.Vector3(-1, 0, -1), // Motor 3: Rear-Left
-        new THREE.Vector3(1, 0, -1)   // Motor 4: Rear-Right
-      ],
-      motorThrusts: [0.6125, 0.6125, 0.6125, 0.6125] // Initial thrust values for each motor (0 to 1)
+      useFlightController: true, // Stabilize stick inputs through the cascaded flight controller and motor mixer
+      useSensors: true, // Fly the flight controller on simulated IMU readings and attitude estimates instead of ground truth
+      sensors: {}, // Overrides for SensorSuite settings (`imu`, `barometer`, `magnetometer`, `gnss`, `attitudeEstimator`, `rangeSensors`, `seed`, `origin`)
+      // Motor layout, spin directions and thrust/torque coefficients (see frames.js).
+      // The default X quad puts motors at (±1, 0, ±1): Front-Right, Front-Left, Rear-Left, Rear-Right.
+      frame: createFrame('quadX'),
+      airframe: null, // Airframe description from airframes.js, applied with setAirframe(); null keeps the settings above
+      motorModel: {}, // Overrides for MotorModel settings (RPM, ESC time constants, idle, thrust curve), applied on setFrame()
+      useBattery: true, // Scale motor speed with pack voltage and end the flight at cutoff
+      battery: {}, // Overrides for BatteryModel settings (cells, capacity, resistance, voltage curve), applied on setBattery()
+      wind: {}, // WindField configuration (steady wind, gusts, turbulence), applied on setWind()
+      environmentColliders: {}, // Overrides for EnvironmentColliders settings (mode, type thresholds, friction)
+      contacts: {}, // Overrides for ContactMonitor thresholds (touchdown and crash speeds, side/underside normals)
+      damage: {}, // Overrides for DamageModel settings (prop strike and crash damage, or `enabled: false`)
+      rotorAerodynamics: {}, // Overrides for RotorAerodynamics settings (rotor radius, ground/ceiling/wall effects, vortex ring state)
+      payloads: [], // Payloads attached with the drone body and again on every reset, see PayloadManager.attach()
+      payloadManager: {}, // Overrides for PayloadManager settings (rope segments and density, winch speed and limits)
     };
     // === End of Setting Variables === //
     
     this.droneMass = this.settings.droneMass;
+    this.flightController = new FlightController();
+    this.setBattery(this.settings.battery);
+    this.setWind(this.settings.wind);
+    this.setFrame(this.settings.frame);
+  }
+
+  /**
+   * @method setFrame
+   * @public
+   * @param {string|Object} frame - A preset name from FRAME_TYPES or a frame definition (see frames.js).
+   * @description Switches the airframe's motor layout and rebuilds the mixer and motor models. Control inputs
+   * must provide one `motorN` thrust per motor when individual motor mode is used.
+   */
+  setFrame(frame) {
+    this.settings.frame = resolveFrame(frame);
+    this.motorMixer = new MotorMixer(this.settings.frame);
+    this.motorCommands = new Array(this.settings.frame.motors.length).fill(0);
+    this.motors = this.settings.frame.motors.map(() => new MotorModel(this.settings.motorModel));
+    this.motorThrusts = new Array(this.motors.length).fill(0); // N, per motor at the last step
+  }
+
+  /**
+   * @method setAirframe
+   * @public
+   * @param {Object} airframe - An airframe from `createAirframe()`/`loadAirframe()` (see airframes.js).
+   * @description Takes mass, inertia, collision shape, motor layout and models, rotor size, battery and drag
+   * from an airframe description. Call before `init()`: the drone body is built from it.
+   */
+  setAirframe(airframe) {
+    const { aerodynamics, propeller } = airframe;
+    this.settings.airframe = airframe;
+    this.settings.droneMass = airframe.mass;
+    this.droneMass = airframe.mass;
+    this.settings.maxThrust = airframe.maxThrust;
+    this.settings.motorModel = airframe.motorModel;
+    Object.assign(this.settings, aerodynamics);
+    this.settings.rotorAerodynamics = { ...this.settings.rotorAerodynamics, rotorRadius: propeller.radius };
+
+    this.setFrame(airframe.frame);
+    this.setBattery(airframe.battery);
+  }
+
+  /**
+   * @method setBattery
+   * @public
+   * @param {Object} [battery] - Overrides for the BatteryModel settings.
+   * @description Replaces the battery with a freshly charged pack.
+   */
+  setBattery(battery = {}) {
+    this.settings.battery = battery;
+    this.battery = new BatteryModel(battery);
+  }
+
+  /**
+   * @method setWind
+   * @public
+   * @param {Object} [wind] - WindField configuration, see `WindField.configure()`.
+   * @description Sets the wind for the current scenario.
+   */
+  setWind(wind = {}) {
+    this.settings.wind = wind;
+    if (this.wind) {
+      this.wind.configure(wind);
+    } else {
+      this.wind = new WindField(wind);
+    }
   }
 
   /**
    * @method init
    * @async
    * @param {THREE.Scene} scene - The Three.js scene to which physics objects will be added.
+   * @param {Object} [Ammo] - An already loaded Ammo.js module. When omitted, the global `window.Ammo` is awaited.
    * @description Initializes the physics engine, loading Ammo.js and setting up the physics world.
    */
-  async init(scene) {
+  async init(scene, Ammo = null) {
     this.scene = scene;
     
-    await this.loadAmmo();
+    if (Ammo) {
+      this.Ammo = Ammo;
+    } else {
+      await this.loadAmmo();
+    }
     
     if (!this.Ammo) {
       console.error('Ammo.js could not be loaded!');
       return;
     }
 
+    this.tmpTransformation = new this.Ammo.btTransform();
+    // Scratch vectors reused every substep: Ammo objects live on a fixed-size heap that is never garbage collected
+    this.tmpForce = new this.Ammo.btVector3(0, 0, 0);
+    this.tmpRelativePosition = new this.Ammo.btVector3(0, 0, 0);
+    // One ray callback for every ray test, reset per ray. Ammo.js has no setter for its hit fraction, so that float
+    // (right after the vtable pointer) is written through the heap.
+    this.rayCallback = new this.Ammo.ClosestRayResultCallback(this.tmpForce, this.tmpRelativePosition);
+    this.rayCallbackFraction = (this.Ammo.getPointer(this.rayCallback) + 4) >> 2;
+    this.rayHit = { distance: 0, point: new THREE.Vector3(), normal: new THREE.Vector3(), body: null };
     this.setupPhysicsWorld();
+    this.contactMonitor = new ContactMonitor(this.Ammo, this.dispatcher, this.settings.contacts);
+    this.damageModel = new DamageModel(this.settings.damage);
+    this.rotorAerodynamics = new RotorAerodynamics(
+      (from, to) => this.raycast(from, to, COLLISION_GROUPS.STATIC, this.rayHit),
+      this.settings.rotorAerodynamics
+    );
+    // Range sensors cast thousands of beams per second, so their hits share one result object
+    this.sensors = new SensorSuite(this.settings.sensors, (from, to) => this.raycast(from, to, undefined, this.rayHit));
     this.createPhysicsObjects();
-    this.tmpTransformation = new this.Ammo.btTransform();
   }
 
   /**
@@ -74,7 +230,10 @@ class PhysicsEngine {
    */
   loadAmmo() {
     return new Promise((resolve) => {
-      if (window.Ammo) {
+      if (typeof window === 'undefined') {
+        // Headless environments must pass the Ammo module to init()
+        resolve();
+      } else if (window.Ammo) {
         this.Ammo = window.Ammo;
         resolve();
       } else {
@@ -94,6 +253,7 @@ class PhysicsEngine {
   setupPhysicsWorld() {
     const collisionConfiguration = new this.Ammo.btDefaultCollisionConfiguration();
     const dispatcher = new this.Ammo.btCollisionDispatcher(collisionConfiguration);
+    this.dispatcher = dispatcher;
     const broadphase = new this.Ammo.btDbvtBroadphase();
     const solver = new this.Ammo.btSequentialImpulseConstraintSolver();
 
@@ -117,13 +277,26 @@ class PhysicsEngine {
   /**
    * @method createPhysicsObjects
    * @private
-   * @description Creates the initial physics objects in the world (ground and drone).
+   * @description Creates the initial physics objects in the world (ground, scenery colliders and drone).
    */
   createPhysicsObjects() {
     this.createGround();
+    this.createEnvironmentColliders();
     this.createDronePhysics();
   }
 
+  /**
+   * @method createEnvironmentColliders
+   * @private
+   * @description Builds static colliders for the scene's loaded environment, if it has one.
+   */
+  createEnvironmentColliders() {
+    this.environmentColliders = new EnvironmentColliders(this.Ammo, this.physicsWorld, this.settings.environmentColliders);
+    if (this.scene.environment) {
+      this.environmentColliders.addFromObject(this.scene.environment);
+    }
+  }
+
   /**
    * @method createGround
    * @private
@@ -142,6 +315,7 @@ class PhysicsEngine {
     const body = new this.Ammo.btRigidBody(rbInfo);
 
     this.physicsWorld.addRigidBody(body);
+    this.groundBody = body;
   }
 
   /**
@@ -158,80 +332,499 @@ class PhysicsEngine {
     const droneMesh = this.scene.drone;
     const position = droneMesh.position;
     const quaternion = droneMesh.quaternion;
-    
-    // Create a bounding box for the drone model
-    const box = new THREE.Box3().setFromObject(droneMesh);
-    const size = box.getSize(new THREE.Vector3());
-    const dimensions = new this.Ammo.btVector3(size.x / 2, size.y / 2, size.z / 2);
+    const { airframe } = this.settings;
 
-    const shape = new this.Ammo.btBoxShape(dimensions);
+    let shape;
+    if (airframe && airframe.collision.length > 0) {
+      shape = this.createAirframeShape(airframe.collision);
+    } else {
+      // Create a bounding box for the drone model
+      const box = new THREE.Box3().setFromObject(droneMesh);
+      const size = box.isEmpty() ? this.settings.droneDimensions.clone() : box.getSize(new THREE.Vector3());
+      const dimensions = new this.Ammo.btVector3(size.x / 2, size.y / 2, size.z / 2);
+      shape = new this.Ammo.btBoxShape(dimensions);
+    }
     const transform = new this.Ammo.btTransform();
     transform.setIdentity();
     transform.setOrigin(new this.Ammo.btVector3(position.x, position.y, position.z));
     transform.setRotation(new this.Ammo.btQuaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w));
 
     const localInertia = new this.Ammo.btVector3(0, 0, 0);
-    shape.calculateLocalInertia(this.droneMass, localInertia);
+    if (airframe && airframe.inertia) {
+      localInertia.setValue(airframe.inertia.x, airframe.inertia.y, airframe.inertia.z);
+    } else {
+      shape.calculateLocalInertia(this.droneMass, localInertia);
+    }
+
+    this.droneInertia = new THREE.Vector3(localInertia.x(), localInertia.y(), localInertia.z()); // Without payloads
 
     const motionState = new this.Ammo.btDefaultMotionState(transform);
     const rbInfo = new this.Ammo.btRigidBodyConstructionInfo(this.droneMass, motionState, shape, localInertia);
     this.droneRigidBody = new this.Ammo.btRigidBody(rbInfo);
     
-    this.droneRigidBody.setDamping(0.7, 0.7);
     this.droneRigidBody.setActivationState(4);
 
-    this.physicsWorld.addRigidBody(this.droneRigidBody);
-    this.rigidBodies.push({ mesh: droneMesh, body: this.droneRigidBody });
+    this.physicsWorld.addRigidBody(this.droneRigidBody, COLLISION_GROUPS.DRONE, COLLISION_GROUPS.ALL);
+    this.addRigidBodyEntry(droneMesh, this.droneRigidBody);
+    this.sensors.reset(quaternion);
+
+    this.payloadManager = new PayloadManager(
+      this.Ammo,
+      this.physicsWorld,
+      this.scene,
+      this.droneRigidBody,
+      droneMesh,
+      this.settings.payloadManager
+    );
+    this.attachPayloads();
+  }
+
+  /**
+   * @method createAirframeShape
+   * @private
+   * @param {Object[]} collision - Collision primitives of an airframe, positioned relative to the centre of gravity.
+   * @returns {Ammo.btCompoundShape} A compound of the primitives.
+   */
+  createAirframeShape(collision) {
+    const compound = new this.Ammo.btCompoundShape();
+    const transform = new this.Ammo.btTransform();
+
+    collision.forEach(({ type, size, radius, height, position, quaternion }) => {
+      let child;
+      if (type === 'box') {
+        const halfExtents = new this.Ammo.btVector3(size.x / 2, size.y / 2, size.z / 2);
+        child = new this.Ammo.btBoxShape(halfExtents);
+        this.Ammo.destroy(halfExtents);
+      } else if (type === 'sphere') {
+        child = new this.Ammo.btSphereShape(radius);
+      } else if (type === 'cylinder') {
+        const halfExtents = new this.Ammo.btVector3(radius, height / 2, radius);
+        child = new this.Ammo.btCylinderShape(halfExtents);
+        this.Ammo.destroy(halfExtents);
+      } else {
+        child = new this.Ammo.btCapsuleShape(radius, height);
+      }
+
+      const origin = new this.Ammo.btVector3(position.x, position.y, position.z);
+      const rotation = new this.Ammo.btQuaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+      transform.setIdentity();
+      transform.setOrigin(origin);
+      transform.setRotation(rotation);
+      compound.addChildShape(transform, child);
+      this.Ammo.destroy(origin);
+      this.Ammo.destroy(rotation);
+    });
+
+    this.Ammo.destroy(transform);
+    return compound;
+  }
+
+  /**
+   * @method addRigidBodyEntry
+   * @private
+   * @param {THREE.Object3D} mesh - The Three.js object driven by the body.
+   * @param {Ammo.btRigidBody} body - The physics body.
+   * @description Registers a mesh/body pair for synchronization, seeding both interpolation states with the mesh's pose.
+   */
+  addRigidBodyEntry(mesh, body) {
+    this.rigidBodies.push({
+      mesh,
+      body,
+      previous: { position: mesh.position.clone(), quaternion: mesh.quaternion.clone() },
+      current: { position: mesh.position.clone(), quaternion: mesh.quaternion.clone() },
+    });
+  }
+
+  /**
+   * @method resetDrone
+   * @public
+   * @param {THREE.Vector3} position - The position to place the drone at.
+   * @param {THREE.Quaternion} quaternion - The orientation to give the drone.
+   * @description Teleports the drone to the given pose and clears its velocities.
+   */
+  resetDrone(position, quaternion) {
+    if (!this.droneRigidBody) return;
+
+    const transform = new this.Ammo.btTransform();
+    const rotation = new this.Ammo.btQuaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    this.tmpForce.setValue(position.x, position.y, position.z);
+    transform.setIdentity();
+    transform.setOrigin(this.tmpForce);
+    transform.setRotation(rotation);
+
+    // Re-adding the body drops its cached contact manifolds, so a reset run replays like a fresh one
+    this.physicsWorld.removeRigidBody(this.droneRigidBody);
+    this.droneRigidBody.setWorldTransform(transform);
+    this.droneRigidBody.getMotionState().setWorldTransform(transform);
+    this.tmpForce.setValue(0, 0, 0);
+    this.droneRigidBody.setLinearVelocity(this.tmpForce);
+    this.droneRigidBody.setAngularVelocity(this.tmpForce);
+    this.physicsWorld.addRigidBody(this.droneRigidBody, COLLISION_GROUPS.DRONE, COLLISION_GROUPS.ALL);
+    this.Ammo.destroy(transform);
+    this.Ammo.destroy(rotation);
+    this.droneRigidBody.activate();
+
+    const entry = this.rigidBodies.find((rb) => rb.body === this.droneRigidBody);
+    if (entry) {
+      entry.previous.position.copy(position);
+      entry.previous.quaternion.copy(quaternion);
+      entry.current.position.copy(position);
+      entry.current.quaternion.copy(quaternion);
+      entry.mesh.position.copy(position);
+      entry.mesh.quaternion.copy(quaternion);
+    }
+    this.attachPayloads();
+    this.motors.forEach((motor) => motor.reset());
+    this.flightController.reset();
+    this.motorThrusts.fill(0);
+    this.contactMonitor.reset();
+    this.rotorAerodynamics.reset();
+    this.sensors.reset(quaternion);
+    this.crashed = false;
+    this.lastContact = null;
+    this.payloadReleaseSwitch = false;
+    this.battery.reset();
+    this.wind.reset();
+    this.accumulator = 0;
+  }
+
+  /**
+   * @method getMotorTelemetry
+   * @public
+   * @returns {Object[]} Per-motor `{ command, output, rpm, thrust, torque, current, health, pwm, dshot }` at the last physics step:
+   * the mixer/input command and the command after idle mapping (0 to 1), rotor speed (RPM), thrust (N),
+   * propeller reaction torque (N·m), current draw (A), remaining health after damage (0 to 1) and the output
+   * as a PWM pulse (µs) and DShot value.
+   */
+  getMotorTelemetry() {
+    return this.motors.map((motor, i) => ({
+      command: motor.command,
+      output: motor.output,
+      rpm: motor.rpm,
+      thrust: this.motorThrusts[i],
+      torque: this.settings.frame.motors[i].torqueCoefficient * this.motorThrusts[i],
+      current: motor.current,
+      health: motor.health,
+      pwm: commandToProtocol(motor.output, MOTOR_PROTOCOLS.PWM),
+      dshot: commandToProtocol(motor.output, MOTOR_PROTOCOLS.DSHOT),
+    }));
+  }
+
+  /**
+   * @method getDroneState
+   * @public
+   * @returns {Object|null} The drone's rigid body state at the last physics step, or null before it exists.
+   * @description Reads position, orientation and velocities directly from the physics body (not interpolated).
+   */
+  getDroneState() {
+    if (!this.droneRigidBody) return null;
+
+    const transform = this.droneRigidBody.getWorldTransform();
+    const p = transform.getOrigin();
+    const q = transform.getRotation();
+    const v = this.droneRigidBody.getLinearVelocity();
+    const w = this.droneRigidBody.getAngularVelocity();
+
+    return {
+      position: new THREE.Vector3(p.x(), p.y(), p.z()),
+      quaternion: new THREE.Quaternion(q.x(), q.y(), q.z(), q.w()),
+      linearVelocity: new THREE.Vector3(v.x(), v.y(), v.z()),
+      angularVelocity: new THREE.Vector3(w.x(), w.y(), w.z()),
+    };
+  }
+
+  /**
+   * @method attachPayload
+   * @public
+   * @param {Object} spec - Payload description, see `PayloadManager.attach()`. `id` defaults to `payload<n>`.
+   * @returns {string} The payload's id.
+   * @description Attaches a payload to the drone now (or with the drone body, before `init()`). It is attached
+   * again on every reset until `clearPayloads()`.
+   */
+  attachPayload(spec) {
+    const id = spec.id || `payload${this.settings.payloads.length + 1}`;
+    if (this.settings.payloads.some((payload) => payload.id === id)) {
+      throw new Error(`A payload with id "${id}" is already attached.`);
+    }
+
+    const payloadSpec = { ...spec, id };
+    this.settings.payloads = [...this.settings.payloads, payloadSpec];
+    if (this.payloadManager) {
+      this.addPayload(payloadSpec);
+      this.updateMassProperties();
+    }
+    return id;
+  }
+
+  /**
+   * @method releasePayload
+   * @public
+   * @param {string} [id] - The payload to drop. Every attached payload when omitted.
+   * @returns {string[]} Ids of the payloads released.
+   * @description Drops payloads: rigid ones fall free, slung ones come off the hook at the end of the rope.
+   * Also triggered by the `payloadRelease` control input.
+   */
+  releasePayload(id) {
+    if (!this.payloadManager) return [];
+
+    const released = this.payloadManager.payloads.filter((payload) => payload.attached && (id === undefined || payload.id === id));
+    released.forEach((payload) => {
+      const entry = this.payloadManager.release(payload);
+      if (entry) this.addRigidBodyEntry(entry.mesh, entry.body);
+      this.dispatchEvent({ type: 'payloadRelease', payload: payload.id, time: this.simulationTime });
+    });
+    if (released.length > 0) this.updateMassProperties();
+    return released.map((payload) => payload.id);
+  }
+
+  /**
+   * @method setWinchLength
+   * @public
+   * @param {number} length - Rope length to winch to (m).
+   * @param {string} [id] - The slung payload whose winch to run. Every slung payload when omitted.
+   * @description Pays out or reels in the rope at the winch speed, even after the load was released.
+   */
+  setWinchLength(length, id) {
+    if (!this.payloadManager) return;
+    this.payloadManager.payloads
+      .filter((payload) => payload.type === PAYLOAD_TYPES.SLUNG && (id === undefined || payload.id === id))
+      .forEach((payload) => this.payloadManager.setRopeLength(payload, length));
+  }
+
+  /**
+   * @method clearPayloads
+   * @public
+   * @description Removes every payload, attached or released, and stops attaching them on reset.
+   */
+  clearPayloads() {
+    this.settings.payloads = [];
+    if (this.payloadManager) this.attachPayloads();
+  }
+
+  /**
+   * @method getPayloadTelemetry
+   * @public
+   * @returns {Object[]} Per-payload telemetry, see `PayloadManager.getTelemetry()`. Empty before the drone body exists.
+   */
+  getPayloadTelemetry() {
+    return this.payloadManager ? this.payloadManager.getTelemetry() : [];
+  }
+
+  /**
+   * @method attachPayloads
+   * @private
+   * @description Replaces every payload in the world with fresh ones from `settings.payloads`, at the drone's pose.
+   */
+  attachPayloads() {
+    const removedBodies = new Set(this.payloadManager.removeAll());
+    this.rigidBodies = this.rigidBodies.filter(({ body }) => !removedBodies.has(body));
+
+    this.settings.payloads = this.settings.payloads.map((spec, i) => ({ id: `payload${i + 1}`, ...spec }));
+    this.settings.payloads.forEach((spec) => this.addPayload(spec));
+    this.updateMassProperties();
+  }
+
+  /**
+   * @method addPayload
+   * @private
+   * @param {Object} spec - Payload description with an id.
+   * @description Creates the payload and registers its bodies for mesh synchronization.
+   */
+  addPayload(spec) {
+    const payload = this.payloadManager.attach(spec);
+    this.payloadManager.getBodyEntries(payload).forEach(({ mesh, body }) => this.addRigidBodyEntry(mesh, body));
+  }
+
+  /**
+   * @method updateMassProperties
+   * @private
+   * @description Sets the drone body's mass and inertia to the airframe's plus the attached rigid payloads'.
+   */
+  updateMassProperties() {
+    const { mass, inertia } = this.payloadManager.rigidMassProperties;
+    this.tmpForce.setValue(this.droneInertia.x + inertia.x, this.droneInertia.y + inertia.y, this.droneInertia.z + inertia.z);
+    this.droneRigidBody.setMassProps(this.droneMass + mass, this.tmpForce);
+    this.droneRigidBody.updateInertiaTensor();
+  }
+
+  /**
+   * @method raycast
+   * @public
+   * @param {THREE.Vector3} from - Ray start (world).
+   * @param {THREE.Vector3} to - Ray end (world).
+   * @param {number} [mask] - Collision groups the ray can hit (see `COLLISION_GROUPS`). Everything but the drone by default.
+   * @param {Object} [result] - Hit object to fill in and return instead of a new one, for callers that cast many
+   * rays and read each hit straight away.
+   * @returns {{distance: number, point: THREE.Vector3, normal: THREE.Vector3, body: Ammo.btCollisionObject}|null}
+   * The closest hit, or null when the ray hits nothing.
+   */
+  raycast(from, to, mask = ~COLLISION_GROUPS.DRONE, result = null) {
+    const callback = this.rayCallback;
+    this.tmpForce.setValue(from.x, from.y, from.z);
+    this.tmpRelativePosition.setValue(to.x, to.y, to.z);
+    callback.get_m_rayFromWorld().setValue(from.x, from.y, from.z);
+    callback.get_m_rayToWorld().setValue(to.x, to.y, to.z);
+    callback.set_m_collisionObject(null);
+    this.Ammo.HEAPF32[this.rayCallbackFraction] = 1;
+    callback.set_m_collisionFilterMask(mask);
+    this.physicsWorld.rayTest(this.tmpForce, this.tmpRelativePosition, callback);
+
+    if (!callback.hasHit()) return null;
+    const p = callback.get_m_hitPointWorld();
+    const n = callback.get_m_hitNormalWorld();
+    const hit = result || { point: new THREE.Vector3(), normal: new THREE.Vector3() };
+    hit.point.set(p.x(), p.y(), p.z());
+    hit.normal.set(n.x(), n.y(), n.z());
+    hit.distance = hit.point.distanceTo(from);
+    hit.body = callback.get_m_collisionObject();
+    return hit;
+  }
+
+  /**
+   * @method applyDroneForce
+   * @public
+   * @param {THREE.Vector3} force - Force in world coordinates (N).
+   * @param {THREE.Vector3} [offset] - Application point relative to the centre of mass, in world orientation (m).
+   * Applied at the centre of mass when omitted.
+   * @description Applies a force to the drone for the current substep, without allocating Ammo objects.
+   */
+  applyDroneForce(force, offset) {
+    this.tmpForce.setValue(force.x, force.y, force.z);
+    if (offset) {
+      this.tmpRelativePosition.setValue(offset.x, offset.y, offset.z);
+      this.droneRigidBody.applyForce(this.tmpForce, this.tmpRelativePosition);
+    } else {
+      this.droneRigidBody.applyCentralForce(this.tmpForce);
+    }
+  }
+
+  /**
+   * @method applyDroneTorque
+   * @public
+   * @param {THREE.Vector3} torque - Torque in world coordinates (N·m).
+   * @description Applies a torque to the drone for the current substep, without allocating Ammo objects.
+   */
+  applyDroneTorque(torque) {
+    this.tmpForce.setValue(torque.x, torque.y, torque.z);
+    this.droneRigidBody.applyTorque(this.tmpForce);
+  }
+
+  /**
+   * @method addPreTickCallback
+   * @public
+   * @param {Function} callback - Called as `callback(timeStep, physicsEngine)` before every fixed substep.
+   * @returns {Function} A function that unregisters the callback.
+   * @description Registers a callback that applies forces before each physics substep.
+   * Bullet clears accumulated forces after every step, so anything that pushes on a body must go through here.
+   */
+  addPreTickCallback(callback) {
+    this.preTickCallbacks.push(callback);
+    return () => {
+      this.preTickCallbacks = this.preTickCallbacks.filter((cb) => cb !== callback);
+    };
   }
 
   /**
    * @method update
    * @public
-   * @description Updates the physics simulation. Should be called once per frame.
+   * @param {number} [deltaTime] - Elapsed time in seconds. Measured with `performance.now()` when omitted.
+   * @description Advances the simulation by whole fixed steps and interpolates the meshes. Should be called once per frame.
    */
-  update() {
-    const now = performance.now();
-    this.clockDelta = (now - this.lastTime) / 1000; // Convert to seconds
-    this.lastTime = now;
+  update(deltaTime) {
+    if (deltaTime === undefined) {
+      const now = performance.now();
+      deltaTime = (now - this.lastTime) / 1000; // Convert to seconds
+      this.lastTime = now;
+    }
+    this.clockDelta = deltaTime;
 
-    if (this.physicsWorld) {
-      this.physicsWorld.stepSimulation(this.clockDelta, 10);
+    if (!this.physicsWorld) return;
 
-      if (this.droneRigidBody) {
-        this.applyAerodynamics();
-        this.applyControlsToDrone();
-      }
+    const timeStep = this.settings.fixedTimeStep;
+    this.accumulator += Math.min(Math.max(deltaTime, 0), this.settings.maxFrameTime);
 
-      this.updateMeshPositions();
+    // The epsilon keeps float round-off from dropping a step when frames are exact multiples of timeStep
+    while (this.accumulator + 1e-9 >= timeStep) {
+      this.stepFixed(timeStep);
+      this.accumulator -= timeStep;
     }
+
+    this.accumulator = Math.max(this.accumulator, 0);
+    const alpha = this.settings.interpolate ? this.accumulator / timeStep : 1;
+    this.updateMeshPositions(alpha);
   }
 
   /**
-   * @method updateMeshPositions
+   * @method stepFixed
+   * @public
+   * @param {number} [timeStep=this.settings.fixedTimeStep] - The substep length in seconds.
+   * @description Runs exactly one physics substep: pre-tick forces, Bullet step, then velocity limits.
+   * Given the same control inputs per step, the resulting trajectory is bit-identical between runs.
+   */
+  stepFixed(timeStep = this.settings.fixedTimeStep) {
+    this.preTick(timeStep);
+
+    // maxSubSteps = 0 makes Bullet take a single step of exactly timeStep
+    this.physicsWorld.stepSimulation(timeStep, 0);
+
+    this.stepCount++;
+    this.simulationTime = this.stepCount * timeStep;
+    this.postTick(timeStep);
+  }
+
+  /**
+   * @method preTick
    * @private
-   * @description Updates the positions of Three.js meshes based on their physics representations.
+   * @param {number} timeStep - The substep length in seconds.
+   * @description Applies aerodynamic and control forces, then runs registered pre-tick callbacks.
    */
-  updateMeshPositions() {
+  preTick(timeStep) {
+    if (this.droneRigidBody) {
+      this.contactMonitor.recordPreStep(this.droneRigidBody, this.rigidBodies);
+      const velocity = this.droneRigidBody.getLinearVelocity();
+      this.preStepVelocity.set(velocity.x(), velocity.y(), velocity.z());
+      this.applyAerodynamics(timeStep);
+      this.applyControlsToDrone(timeStep);
+      this.applyPayloadLoads(timeStep);
+    }
+
+    for (let i = 0; i < this.preTickCallbacks.length; i++) {
+      this.preTickCallbacks[i](timeStep, this);
+    }
+  }
+
+  /**
+   * @method postTick
+   * @private
+   * @param {number} timeStep - The substep length in seconds.
+   * @description Enforces velocity limits, records the new physics states for interpolation, then lets the
+   * sensors sample the drone and checks its contacts.
+   */
+  postTick(timeStep) {
     for (let i = 0; i < this.rigidBodies.length; i++) {
-      const objThree = this.rigidBodies[i].mesh;
-      const objAmmo = this.rigidBodies[i].body;
+      const entry = this.rigidBodies[i];
+      const objAmmo = entry.body;
       const ms = objAmmo.getMotionState();
       if (ms) {
         ms.getWorldTransform(this.tmpTransformation);
         const p = this.tmpTransformation.getOrigin();
         const q = this.tmpTransformation.getRotation();
 
+        entry.previous.position.copy(entry.current.position);
+        entry.previous.quaternion.copy(entry.current.quaternion);
+
         // Ensure valid numerical values
-        const x = isFinite(p.x()) ? p.x() : objThree.position.x;
-        const y = isFinite(p.y()) ? p.y() : objThree.position.y;
-        const z = isFinite(p.z()) ? p.z() : objThree.position.z;
-        const qx = isFinite(q.x()) ? q.x() : objThree.quaternion.x;
-        const qy = isFinite(q.y()) ? q.y() : objThree.quaternion.y;
-        const qz = isFinite(q.z()) ? q.z() : objThree.quaternion.z;
-        const qw = isFinite(q.w()) ? q.w() : objThree.quaternion.w;
+        const { position, quaternion } = entry.current;
+        const x = isFinite(p.x()) ? p.x() : position.x;
+        const y = isFinite(p.y()) ? p.y() : position.y;
+        const z = isFinite(p.z()) ? p.z() : position.z;
+        const qx = isFinite(q.x()) ? q.x() : quaternion.x;
+        const qy = isFinite(q.y()) ? q.y() : quaternion.y;
+        const qz = isFinite(q.z()) ? q.z() : quaternion.z;
+        const qw = isFinite(q.w()) ? q.w() : quaternion.w;
 
-        objThree.position.set(x, y, z);
-        objThree.quaternion.set(qx, qy, qz, qw);
+        position.set(x, y, z);
+        quaternion.set(qx, qy, qz, qw);
 
         // Limit maximum linear velocity
         const velocity = objAmmo.getLinearVelocity();
@@ -260,57 +853,179 @@ class PhysicsEngine {
         }
       }
     }
+
+    if (this.droneRigidBody) {
+      this.updateSensors(timeStep);
+      this.monitorContacts();
+    }
+  }
+
+  /**
+   * @method updateSensors
+   * @private
+   * @param {number} timeStep - The substep length in seconds.
+   * @description Hands the drone's true state after the step to the sensors.
+   */
+  updateSensors(timeStep) {
+    const truth = this.sensorTruth;
+    const transform = this.droneRigidBody.getWorldTransform();
+    const p = transform.getOrigin();
+    const q = transform.getRotation();
+    const v = this.droneRigidBody.getLinearVelocity();
+    const w = this.droneRigidBody.getAngularVelocity();
+
+    truth.position.set(p.x(), p.y(), p.z());
+    truth.velocity.set(v.x(), v.y(), v.z());
+    truth.quaternion.set(q.x(), q.y(), q.z(), q.w());
+    truth.angularVelocity.set(w.x(), w.y(), w.z());
+    truth.acceleration.copy(truth.velocity).sub(this.preStepVelocity).divideScalar(timeStep);
+    truth.thrustFraction = 0;
+    for (let i = 0; i < this.motors.length; i++) {
+      truth.motorRPMs[i] = this.motors[i].rpm;
+      truth.thrustFraction += this.motors[i].thrustFraction / this.motors.length;
+    }
+    truth.motorRPMs.length = this.motors.length;
+
+    this.sensors.update(timeStep, truth);
+  }
+
+  /**
+   * @method monitorContacts
+   * @private
+   * @description Classifies the drone's new contacts, applies damage and dispatches contact events.
+   */
+  monitorContacts() {
+    const entry = this.rigidBodies.find((rb) => rb.body === this.droneRigidBody);
+    const contacts = this.contactMonitor.update(
+      this.droneRigidBody,
+      entry.current.position,
+      entry.current.quaternion,
+      this.settings.frame.motors,
+      this.motors.map((motor) => motor.rpm),
+      this.simulationTime
+    );
+
+    const groundPointer = this.Ammo.getPointer(this.groundBody);
+
+    contacts.forEach(({ bodyPointer, ...details }) => {
+      const event = {
+        ...details,
+        ground: bodyPointer === groundPointer,
+        object: this.environmentColliders.objectsByBody.get(bodyPointer) || null, // Scenery mesh that was hit
+        time: this.simulationTime,
+      };
+
+      const disabledMotors = this.damageModel.apply(event, this.motors, this.contactMonitor.settings.crashSpeed);
+      if (event.type === CONTACT_TYPES.CRASH) this.crashed = true;
+      this.lastContact = event;
+
+      this.dispatchEvent({ type: 'contact', contact: event });
+      this.dispatchEvent({ type: event.type, contact: event });
+      disabledMotors.forEach((motorIndex) => this.dispatchEvent({ type: 'motorFailure', motorIndex, contact: event }));
+    });
+  }
+
+  /**
+   * @method updateMeshPositions
+   * @private
+   * @param {number} [alpha=1] - Interpolation factor between the previous (0) and current (1) physics state.
+   * @description Updates the positions of Three.js meshes based on their physics representations.
+   */
+  updateMeshPositions(alpha = 1) {
+    for (let i = 0; i < this.rigidBodies.length; i++) {
+      const { mesh, previous, current } = this.rigidBodies[i];
+      mesh.position.lerpVectors(previous.position, current.position, alpha);
+      mesh.quaternion.slerpQuaternions(previous.quaternion, current.quaternion, alpha);
+    }
   }
 
   /**
    * @method applyAerodynamics
    * @private
-   * @description Applies aerodynamic forces to the drone based on its current state.
+   * @param {number} timeStep - The substep length in seconds.
+   * @description Applies aerodynamic forces and damping torques to the drone based on its airspeed relative
+   * to the wind and its body rates. Drag is computed per body axis, so a flat frame brakes harder when
+   * falling than when flying edge-on.
    */
-  applyAerodynamics() {
+  applyAerodynamics(timeStep) {
     const velocity = this.droneRigidBody.getLinearVelocity();
-    const speed = velocity.length();
+    const groundVelocity = new THREE.Vector3(velocity.x(), velocity.y(), velocity.z());
+    const altitude = this.droneRigidBody.getWorldTransform().getOrigin().y();
+    const wind = this.wind.update(timeStep, altitude, groundVelocity);
+
+    // Air-relative velocity
+    const airVelocity = groundVelocity.sub(wind);
+    this.airVelocity.copy(airVelocity);
+    const speed = airVelocity.length();
     
     const airDensity = this.settings.airDensity; // kg/m^3
 
-    // Drag Calculations
-    const dragCoefficient = this.settings.dragCoefficient;
-    const frontalArea = this.settings.frontalArea;
-    const dragMagnitude = 0.5 * dragCoefficient * frontalArea * airDensity * speed * speed;
+    // Body axes
+    const rotation = this.droneRigidBody.getWorldTransform().getRotation();
+    const threeQuat = new THREE.Quaternion(rotation.x(), rotation.y(), rotation.z(), rotation.w());
+    const inverseQuat = threeQuat.clone().invert();
+    const airVelocityBody = airVelocity.clone().applyQuaternion(inverseQuat);
 
-    if (speed > 0) {
-      const dragForce = new this.Ammo.btVector3(-velocity.x(), -velocity.y(), -velocity.z());
-      dragForce.normalize();
-      dragForce.op_mul(dragMagnitude);
-      this.droneRigidBody.applyCentralForce(dragForce);
-      
-      
-    }
+    // Body drag per axis: F = -½ ρ Cd A v|v|
+    const { dragCoefficients, dragAreas, rotorDragCoefficient } = this.settings;
+    const bodyDrag = (axis) => -0.5 * airDensity * dragCoefficients[axis] * dragAreas[axis]
+      * airVelocityBody[axis] * Math.abs(airVelocityBody[axis]);
+    const dragBody = new THREE.Vector3(bodyDrag('x'), bodyDrag('y'), bodyDrag('z'));
 
-    // Lift Calculations
-    const liftCoefficient = this.settings.liftCoefficient;
-    const liftMagnitude = 0.5 * liftCoefficient * airDensity * speed * speed;
+    // Rotor induced drag: blade flapping and H-force oppose the airflow across the rotor disks,
+    // growing with rotor speed
+    const rpmSum = this.motors.reduce((sum, motor) => sum + motor.rpm, 0);
+    dragBody.x -= rotorDragCoefficient * rpmSum * airVelocityBody.x;
+    dragBody.z -= rotorDragCoefficient * rpmSum * airVelocityBody.z;
 
-    // Calculate lift direction based on drone's orientation
-    const droneTransform = this.droneRigidBody.getWorldTransform();
-    const rotation = droneTransform.getRotation();
-    const threeQuat = new THREE.Quaternion(rotation.x(), rotation.y(), rotation.z(), rotation.w());
+    this.applyDroneForce(dragBody.applyQuaternion(threeQuat));
+
+    // Lift Calculations: only flow across the body plane produces lift, so climbing or
+    // sinking through the air does not feed back into more lift
     const upVector = new THREE.Vector3(0, 1, 0).applyQuaternion(threeQuat);
-    upVector.normalize();
+    const liftCoefficient = this.settings.liftCoefficient;
+    const planarSpeedSq = Math.max(0, speed * speed - airVelocity.dot(upVector) ** 2);
+    const liftMagnitude = 0.5 * liftCoefficient * dragAreas.y * airDensity * planarSpeedSq;
 
-    const liftForce = new this.Ammo.btVector3(upVector.x * liftMagnitude, upVector.y * liftMagnitude, upVector.z * liftMagnitude);
-    this.droneRigidBody.applyCentralForce(liftForce);
-    
-    
+    this.applyDroneForce(upVector.multiplyScalar(liftMagnitude));
+
+    // Rotational damping per body axis: τ = -(c ω + k ω|ω|)
+    const w = this.droneRigidBody.getAngularVelocity();
+    const ratesBody = new THREE.Vector3(w.x(), w.y(), w.z()).applyQuaternion(inverseQuat);
+    const { angularDamping, angularDrag } = this.settings;
+    const damping = (axis) => -(angularDamping[axis] + angularDrag[axis] * Math.abs(ratesBody[axis])) * ratesBody[axis];
+    const dampingTorque = new THREE.Vector3(damping('x'), damping('y'), damping('z'));
+
+    this.applyDroneTorque(dampingTorque.applyQuaternion(threeQuat));
+  }
+
+  /**
+   * @method applyPayloadLoads
+   * @private
+   * @param {number} timeStep - The substep length in seconds.
+   * @description Runs the winches and applies the torque of the rigid payloads' weight about the body origin.
+   */
+  applyPayloadLoads(timeStep) {
+    this.payloadManager.update(timeStep);
+    if (this.payloadManager.rigidMassProperties.mass === 0) return;
+
+    const rotation = this.droneRigidBody.getWorldTransform().getRotation();
+    const quaternion = new THREE.Quaternion(rotation.x(), rotation.y(), rotation.z(), rotation.w());
+    this.applyDroneTorque(this.payloadManager.getGravityTorque(quaternion, new THREE.Vector3()));
   }
 
   /**
    * @method applyControlsToDrone
    * @private
+   * @param {number} timeStep - The substep length in seconds.
    * @description Applies control inputs to the drone's physics representation.
    */
-  applyControlsToDrone() {
+  applyControlsToDrone(timeStep) {
     const controls = this.controls.getControlInputs();
+
+    // The release input drops the payloads on its rising edge, like a servo hook on an AUX channel
+    if (controls.payloadRelease && !this.payloadReleaseSwitch) this.releasePayload();
+    this.payloadReleaseSwitch = Boolean(controls.payloadRelease);
     
     const maxThrust = this.settings.maxThrust; // N
     const torqueStrength = this.settings.torqueStrength; // Adjust as needed for responsiveness
@@ -326,38 +1041,34 @@ class PhysicsEngine {
     if (this.settings.useIndividualMotors) {
       // === Individual Motor Control Mode === ==
       
-      // Extract individual motor thrusts from controls
+      // Extract individual motor thrusts from controls, skipping motors that are not defined
       const motorThrusts = controls.motorThrusts;
+      for (let i = 0; i < this.motorCommands.length; i++) {
+        const motorThrust = motorThrusts[`motor${i + 1}`];
+        this.motorCommands[i] = motorThrust === undefined ? 0 : motorThrust;
+      }
+
+      this.applyMotorThrusts(this.motorCommands, threeQuat, timeStep);
+    } else if (this.settings.useFlightController) {
+      // === Stabilized Mode: sticks -> flight controller -> mixer -> motors === ==
+      let attitude;
+      let bodyRates;
+      if (this.settings.useSensors) {
+        // What the flight controller knows: the estimate from its IMU
+        ({ quaternion: attitude, rates: bodyRates } = this.sensors.attitudeEstimator);
+      } else {
+        const w = this.droneRigidBody.getAngularVelocity();
+        attitude = threeQuat;
+        bodyRates = new THREE.Vector3(w.x(), w.y(), w.z()).applyQuaternion(threeQuat.clone().invert());
+      }
 
-      // Apply thrusts to individual motors
-      for (let i = 1; i <= 4; i++) {
-        const motorKey = `motor${i}`;
-        const motorThrust = motorThrusts[motorKey];
-
-        // Skip if motor thrust is not defined
-        if (motorThrust === undefined) continue;
-
-        // Calculate thrust force in world space
-        const thrustLocal = new THREE.Vector3(0, motorThrust * maxThrust, 0);
-        const thrustWorldVector = thrustLocal.clone().applyQuaternion(threeQuat);
-        
-        // Convert to Ammo.js vector
-        const thrustWorld = new this.Ammo.btVector3(thrustWorldVector.x, thrustWorldVector.y, thrustWorldVector.z);
-        
-        // Get motor position in world space
-        const motorPositionLocal = this.settings.motorPositions[i - 1]; // Array is 0-indexed
-        const originAmmo = droneTransform.getOrigin();
-        const origin = new THREE.Vector3(originAmmo.x(), originAmmo.y(), originAmmo.z());
-        const motorPositionWorld = motorPositionLocal.clone().applyQuaternion(threeQuat).add(origin);
-        const motorPosAmmo = new this.Ammo.btVector3(motorPositionWorld.x, motorPositionWorld.y, motorPositionWorld.z);
-        
-        // Apply force at motor position
-        this.droneRigidBody.applyForce(thrustWorld, motorPosAmmo);
-        
-        // **Do Not** destroy Ammo.js vectors here unless necessary
-        // this.Ammo.destroy(thrustWorld);
-        // this.Ammo.destroy(motorPosAmmo);
+      const demands = this.flightController.update(controls, attitude, bodyRates, timeStep);
+      const commands = this.motorMixer.mix(demands);
+      for (let i = 0; i < commands.length; i++) {
+        this.motorCommands[i] = commands[i];
       }
+
+      this.applyMotorThrusts(this.motorCommands, threeQuat, timeStep);
     } else {
       // === Standard Control Mode === ==
       const thrustForce = controls.throttle * maxThrust;
@@ -366,11 +1077,8 @@ class PhysicsEngine {
       const thrustLocal = new THREE.Vector3(0, thrustForce, 0);
       const thrustWorldVector = thrustLocal.clone().applyQuaternion(threeQuat);
       
-      // Convert back to Ammo.js vector
-      const thrustWorld = new this.Ammo.btVector3(thrustWorldVector.x, thrustWorldVector.y, thrustWorldVector.z);
-
       // Apply central thrust
-      this.droneRigidBody.applyCentralForce(thrustWorld);
+      this.applyDroneForce(thrustWorldVector);
       
       // Define local torques based on control inputs
       const torqueLocal = new THREE.Vector3(
@@ -382,16 +1090,85 @@ class PhysicsEngine {
       // Rotate the local torque vector to world space
       const torqueWorldVector = torqueLocal.clone().applyQuaternion(threeQuat);
       
-      // Convert the rotated torque vector back to Ammo.js btVector3
-      const torqueWorld = new this.Ammo.btVector3(torqueWorldVector.x, torqueWorldVector.y, torqueWorldVector.z);
-
       // Apply the transformed torque to the drone
-      this.droneRigidBody.applyTorque(torqueWorld);
-      
-      
-      // **Do Not** destroy Ammo.js vectors here unless necessary
-      // this.Ammo.destroy(thrustWorld);
-      // this.Ammo.destroy(torqueWorld);
+      this.applyDroneTorque(torqueWorldVector);
+    }
+  }
+
+  /**
+   * @method applyMotorThrusts
+   * @private
+   * @param {number[]} commands - Per-motor thrust commands (0 to 1).
+   * @param {THREE.Quaternion} quaternion - The drone's orientation.
+   * @param {number} timeStep - The physics step (s), used to advance the motor models.
+   * @description Runs each motor model on its command and applies the resulting thrust at the motor's position
+   * along its (possibly servo-tilted) axis, scaled by ground, ceiling and vortex ring effects, plus the propeller
+   * reaction torque about that axis and the pull of nearby walls.
+   */
+  applyMotorThrusts(commands, quaternion, timeStep) {
+    const maxThrust = this.settings.maxThrust; // N
+    const { motors } = this.settings.frame;
+    const reactionTorque = new THREE.Vector3();
+
+    // Motor speed follows the loaded pack voltage; a depleted pack cuts the motors
+    let voltageScale = 1;
+    if (this.settings.useBattery) {
+      voltageScale = this.battery.depleted ? 0 : this.battery.voltage / this.battery.fullVoltage;
+    }
+    let loadCurrent = 0;
+
+    const origin = this.droneRigidBody.getWorldTransform().getOrigin();
+    const rotorEffects = this.rotorAerodynamics;
+    rotorEffects.update(
+      timeStep,
+      new THREE.Vector3(origin.x(), origin.y(), origin.z()),
+      quaternion,
+      motors,
+      this.airVelocity,
+      ((this.droneMass + this.payloadManager.attachedMass) * 9.81) / motors.length,
+      this.settings.airDensity
+    );
+
+    for (let i = 0; i < motors.length; i++) {
+      const motor = motors[i];
+      const thrust = this.motors[i].update(commands[i], timeStep, voltageScale)
+        * maxThrust * motor.thrustCoefficient * rotorEffects.thrustScale[i];
+      this.motorThrusts[i] = thrust;
+      loadCurrent += this.motors[i].current;
+
+      // Thrust axis in body space; a yaw servo tilts it sideways about the body's Z axis
+      const axis = new THREE.Vector3(0, 1, 0);
+      if (motor.servo) {
+        const tilt = THREE.MathUtils.degToRad(this.motorMixer.servoOutputs[i]);
+        axis.set(-Math.sin(tilt), Math.cos(tilt), 0);
+      }
+
+      // Calculate thrust force in world space
+      const thrustWorldVector = axis.clone().multiplyScalar(thrust).applyQuaternion(quaternion);
+
+      // Get motor offset from the centre of mass, in world orientation
+      // (Bullet's applyForce expects a position relative to the body, not an absolute one)
+      const motorOffsetWorld = motor.position.clone().applyQuaternion(quaternion);
+
+      // Apply force at motor position
+      this.applyDroneForce(thrustWorldVector, motorOffsetWorld);
+
+      // A wall beside the rotor pulls it closer
+      if (rotorEffects.wallForceScale[i] > 0) {
+        this.applyDroneForce(
+          rotorEffects.wallDirection[i].clone().multiplyScalar(thrust * rotorEffects.wallForceScale[i]),
+          motorOffsetWorld
+        );
+      }
+
+      // A counter-clockwise propeller pushes the frame clockwise about its axis
+      reactionTorque.addScaledVector(axis, -motor.spin * motor.torqueCoefficient * thrust);
+    }
+
+    this.applyDroneTorque(reactionTorque.applyQuaternion(quaternion));
+
+    if (this.settings.useBattery) {
+      this.battery.update(loadCurrent, timeStep);
     }
   }
 }
@@ -0,0 +1,203 @@
+import * as THREE from 'three';
+
+/**
+ * @class RotorAerodynamics
+ * @description Thrust changes from a rotor's surroundings and inflow, applied on top of the motor model:
+ * - Ground effect: a surface below the rotor, along its axis, raises thrust by the Cheeseman-Bennett
+ *   factor `1 / (1 - (R / 4z)²)`.
+ * - Ceiling effect: a surface above the rotor draws it closer, `1 / (1 - k_c (R / z)²)`.
+ * - Wall effect: a wall beside the rotor blocks its inflow on one side and pulls it towards the wall
+ *   with a force of `k_w (R / d)²` times its thrust.
+ * - Vortex ring state: descending along the rotor axis at 0.25 to 1.75 times the hover induced velocity
+ *   with little horizontal airspeed makes the rotor re-ingest its own wake and lose thrust.
+ *
+ * Surface distances come from ray tests against the physics world, refreshed every `raycastInterval`.
+ */
+class RotorAerodynamics {
+  /**
+   * @constructor
+   * @param {Function} raycast - `(from, to) => { distance } | null`, the closest hit between two world points.
+   * @param {Object} [settings] - Overrides for the default settings, see `this.settings`.
+   */
+  constructor(raycast, settings = {}) {
+    this.raycast = raycast;
+
+    // === Setting Variables === //
+    this.settings = {
+      enabled: true,
+      rotorRadius: 0.0635, // m (5" propeller)
+      effectRange: 4, // Rotor radii; surfaces farther away have no effect
+      minDistance: 0.5, // Rotor radii; closer surfaces count as this close, which keeps the gains finite
+      groundEffect: true,
+      ceilingEffect: true,
+      ceilingCoefficient: 0.1, // k_c
+      wallEffect: true,
+      wallCoefficient: 0.05, // k_w
+      vortexRingState: true,
+      vrsMaxLoss: 0.3, // Thrust fraction lost at the worst descent rate
+      vrsRange: [0.25, 1.75], // Axial descent rate band, in multiples of the hover induced velocity
+      raycastInterval: 0.01, // s
+      ...settings,
+    };
+    // === End of Setting Variables === //
+
+    this.up = new THREE.Vector3();
+    this.down = new THREE.Vector3();
+    this.rayFrom = new THREE.Vector3();
+    this.rayTo = new THREE.Vector3();
+    this.resize(0);
+  }
+
+  /**
+   * @method resize
+   * @private
+   * @param {number} motorCount - Number of rotors.
+   * @description Allocates the per-rotor state.
+   */
+  resize(motorCount) {
+    this.motorCount = motorCount;
+    this.groundDistance = new Array(motorCount).fill(Infinity); // m, along the rotor axis
+    this.ceilingDistance = new Array(motorCount).fill(Infinity); // m, along the rotor axis
+    this.wallDistance = new Array(motorCount).fill(Infinity); // m, horizontally outwards
+    this.wallDirection = Array.from({ length: motorCount }, () => new THREE.Vector3()); // World, towards the wall
+    this.thrustScale = new Array(motorCount).fill(1);
+    this.wallForceScale = new Array(motorCount).fill(0); // Pull towards the wall per unit thrust
+    this.reset();
+  }
+
+  /**
+   * @method reset
+   * @public
+   * @description Forgets the surroundings, so the next update casts fresh rays.
+   */
+  reset() {
+    this.timeSinceRaycast = Infinity;
+    this.groundDistance.fill(Infinity);
+    this.ceilingDistance.fill(Infinity);
+    this.wallDistance.fill(Infinity);
+    this.thrustScale.fill(1);
+    this.wallForceScale.fill(0);
+    this.vrsLoss = 0;
+  }
+
+  /**
+   * @method update
+   * @public
+   * @param {number} dt - Time step (s).
+   * @param {THREE.Vector3} position - The drone's centre of mass (world).
+   * @param {THREE.Quaternion} quaternion - The drone's orientation.
+   * @param {Object[]} frameMotors - Motor definitions of the airframe (positions in body axes).
+   * @param {THREE.Vector3} airVelocity - The drone's velocity relative to the air (world, m/s).
+   * @param {number} hoverThrust - Thrust per rotor in a hover (N).
+   * @param {number} airDensity - Air density (kg/m³).
+   * @description Updates `thrustScale` and `wallForceScale` for every rotor.
+   */
+  update(dt, position, quaternion, frameMotors, airVelocity, hoverThrust, airDensity) {
+    if (frameMotors.length !== this.motorCount) this.resize(frameMotors.length);
+    if (!this.settings.enabled) return;
+
+    const { rotorRadius: R, effectRange, minDistance, ceilingCoefficient, wallCoefficient } = this.settings;
+    this.up.set(0, 1, 0).applyQuaternion(quaternion);
+
+    this.timeSinceRaycast += dt;
+    if (this.timeSinceRaycast >= this.settings.raycastInterval) {
+      this.castRays(position, quaternion, frameMotors);
+      this.timeSinceRaycast = 0;
+    }
+
+    this.vrsLoss = this.settings.vortexRingState ? this.computeVortexRingLoss(airVelocity, hoverThrust, airDensity) : 0;
+
+    const range = effectRange * R;
+    const clampDistance = (distance) => Math.max(distance, minDistance * R);
+    for (let i = 0; i < this.motorCount; i++) {
+      let scale = 1 - this.vrsLoss;
+
+      if (this.settings.groundEffect && this.groundDistance[i] < range) {
+        const z = clampDistance(this.groundDistance[i]);
+        scale /= 1 - (R / (4 * z)) ** 2;
+      }
+      if (this.settings.ceilingEffect && this.ceilingDistance[i] < range) {
+        const z = clampDistance(this.ceilingDistance[i]);
+        scale /= 1 - ceilingCoefficient * (R / z) ** 2;
+      }
+      this.thrustScale[i] = scale;
+
+      this.wallForceScale[i] = this.settings.wallEffect && this.wallDistance[i] < range
+        ? wallCoefficient * (R / clampDistance(this.wallDistance[i])) ** 2
+        : 0;
+    }
+  }
+
+  /**
+   * @method castRays
+   * @private
+   * @param {THREE.Vector3} position - The drone's centre of mass (world).
+   * @param {THREE.Quaternion} quaternion - The drone's orientation.
+   * @param {Object[]} frameMotors - Motor definitions of the airframe.
+   * @description Measures each rotor's distance to surfaces below and above it along its axis, and beside it
+   * horizontally outwards from the frame's centre.
+   */
+  castRays(position, quaternion, frameMotors) {
+    const range = this.settings.effectRange * this.settings.rotorRadius;
+    const cast = (direction) => {
+      this.rayTo.copy(this.rayFrom).addScaledVector(direction, range);
+      const hit = this.raycast(this.rayFrom, this.rayTo);
+      return hit ? hit.distance : Infinity;
+    };
+
+    frameMotors.forEach((motor, i) => {
+      const offset = this.wallDirection[i].copy(motor.position).applyQuaternion(quaternion);
+      this.rayFrom.copy(position).add(offset);
+
+      this.groundDistance[i] = cast(this.down.copy(this.up).negate());
+      this.ceilingDistance[i] = cast(this.up);
+
+      offset.y = 0;
+      this.wallDistance[i] = offset.lengthSq() > 0 ? cast(offset.normalize()) : Infinity;
+    });
+  }
+
+  /**
+   * @method computeVortexRingLoss
+   * @private
+   * @param {THREE.Vector3} airVelocity - The drone's velocity relative to the air (world, m/s).
+   * @param {number} hoverThrust - Thrust per rotor in a hover (N).
+   * @param {number} airDensity - Air density (kg/m³).
+   * @returns {number} Fraction of thrust lost to the vortex ring state (0 to `vrsMaxLoss`).
+   * @description Peaks mid-band (`sin²` over `vrsRange`) and fades out as horizontal airspeed reaches the hover
+   * induced velocity `v_h = √(T / 2ρA)`, which carries the wake away.
+   */
+  computeVortexRingLoss(airVelocity, hoverThrust, airDensity) {
+    const { rotorRadius, vrsMaxLoss, vrsRange } = this.settings;
+    const inducedVelocity = Math.sqrt(hoverThrust / (2 * airDensity * Math.PI * rotorRadius * rotorRadius));
+    if (!(inducedVelocity > 0)) return 0;
+
+    const descentRate = -airVelocity.dot(this.up);
+    const horizontalSpeed = Math.sqrt(Math.max(0, airVelocity.lengthSq() - descentRate * descentRate));
+    const ratio = descentRate / inducedVelocity;
+    if (ratio <= vrsRange[0] || ratio >= vrsRange[1]) return 0;
+
+    const band = Math.sin((Math.PI * (ratio - vrsRange[0])) / (vrsRange[1] - vrsRange[0])) ** 2;
+    return vrsMaxLoss * band * Math.max(0, 1 - horizontalSpeed / inducedVelocity);
+  }
+
+  /**
+   * @method getTelemetry
+   * @public
+   * @returns {{groundDistance: number[], ceilingDistance: number[], wallDistance: number[], thrustScale: number[], vrsLoss: number}}
+   * Per-rotor surface distances (m, null when out of range), thrust multipliers, and the thrust fraction lost to
+   * the vortex ring state.
+   */
+  getTelemetry() {
+    const finite = (values) => values.map((value) => (isFinite(value) ? value : null));
+    return {
+      groundDistance: finite(this.groundDistance),
+      ceilingDistance: finite(this.ceilingDistance),
+      wallDistance: finite(this.wallDistance),
+      thrustScale: [...this.thrustScale],
+      vrsLoss: this.vrsLoss,
+    };
+  }
+}
+
+export default RotorAerodynamics;
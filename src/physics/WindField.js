@@ -0,0 +1,242 @@
+import * as THREE from 'three';
+import SeededRandom from '../utils/seededRandom';
+
+const FEET_PER_METER = 3.28084;
+const SQRT3 = Math.sqrt(3);
+
+/**
+ * @param {number} z - Non-negative argument.
+ * @param {number} n - First term of the tail.
+ * @returns {number} `e^-z Σ_{k≥n} z^k / k!`, i.e. `1 - e^-z Σ_{k<n} z^k / k!`, without cancellation for small z.
+ */
+const expTail = (z, n) => {
+  let term = 1;
+  if (z > 1) {
+    let partial = 0;
+    for (let k = 0; k < n; k++) {
+      partial += term;
+      term *= z / (k + 1);
+    }
+    return 1 - Math.exp(-z) * partial;
+  }
+  for (let k = 1; k <= n; k++) term *= z / k;
+  let sum = 0;
+  for (let k = n; k < n + 20; k++) {
+    sum += term;
+    term *= z / (k + 1);
+  }
+  return Math.exp(-z) * sum;
+};
+
+/**
+ * Advances `x' = -x/τ + n` exactly over a step, for white noise `n` of intensity π (unit one-sided PSD in rad/s,
+ * as in the MIL-F-8785C spectra).
+ * @param {number} x - State.
+ * @param {number} tau - Time constant `L / V` (s).
+ * @param {number} dt - Time step (s).
+ * @param {SeededRandom} random - Noise source.
+ * @returns {number} The new state.
+ */
+const advanceFirstOrder = (x, tau, dt, random) => {
+  const variance = (Math.PI * tau * expTail((2 * dt) / tau, 1)) / 2;
+  return Math.exp(-dt / tau) * x + Math.sqrt(variance) * random.gaussian();
+};
+
+/**
+ * Advances the double-pole chain `x1' = -x1/τ + n`, `x2' = -x2/τ + x1` exactly over a step, with the same noise as
+ * `advanceFirstOrder()`. The noise entering both states over the step is drawn with its exact joint covariance.
+ * @param {number[]} x - State `[x1, x2]`, updated in place.
+ * @param {number} tau - Time constant `L / V` (s).
+ * @param {number} dt - Time step (s).
+ * @param {SeededRandom} random - Noise source.
+ */
+const advanceSecondOrder = (x, tau, dt, random) => {
+  const z = (2 * dt) / tau;
+  const decay = Math.exp(-dt / tau);
+  // ∫ e^(-2t/τ) [1, t, t²] dt over the step, times the noise intensity
+  const q0 = (Math.PI * tau * expTail(z, 1)) / 2;
+  const q1 = (Math.PI * tau * tau * expTail(z, 2)) / 4;
+  const q2 = (Math.PI * tau * tau * tau * expTail(z, 3)) / 4;
+  const l11 = Math.sqrt(q0);
+  const l21 = q1 / l11;
+  const l22 = Math.sqrt(Math.max(0, q2 - l21 * l21));
+  const n1 = random.gaussian();
+  const n2 = random.gaussian();
+
+  const x1 = x[0];
+  x[0] = decay * x1 + l11 * n1;
+  x[1] = decay * (x[1] + dt * x1) + l21 * n1 + l22 * n2;
+};
+
+/**
+ * @class WindField
+ * @description Wind seen by the drone: a steady wind vector, scheduled 1-cosine gusts and seeded
+ * Dryden turbulence (MIL-F-8785C, low-altitude model).
+ *
+ * Turbulence components are laid out along the mean wind: `u` along the horizontal steady wind
+ * (world +Z when calm), `v` horizontal across it and `w` vertical. The Dryden shaping filters (first
+ * order for `u`, second order for `v` and `w`) are discretized exactly on the physics step, with scale
+ * lengths and intensities that depend on altitude and a time constant `L / V` from the drone's airspeed.
+ */
+class WindField {
+  /**
+   * @constructor
+   * @param {Object} [settings] - Wind configuration, see `configure()`.
+   */
+  constructor(settings = {}) {
+    this.velocity = new THREE.Vector3(); // m/s, total wind at the drone
+    this.gustVelocity = new THREE.Vector3();
+    this.turbulenceVelocity = new THREE.Vector3();
+    this.random = new SeededRandom(0);
+    this.configure(settings);
+  }
+
+  /**
+   * @method configure
+   * @public
+   * @param {Object} [settings] - Wind configuration for a scenario.
+   * @param {number[]} [settings.steady=[0, 0, 0]] - Steady wind in world coordinates (m/s).
+   * @param {Object[]} [settings.gusts=[]] - 1-cosine gusts `{ start, duration, amplitude }`: start time (s since
+   * the last reset) and length (s) and peak wind added at mid-gust (`[x, y, z]`, m/s).
+   * @param {Object} [settings.turbulence] - Turbulence `{ model, windSpeedAt6m, minAirspeed, seed }`.
+   * `model` is `'none'` or `'dryden'`; `windSpeedAt6m` (m/s) sets the intensity (7.5 light, 15 moderate, 23 severe).
+   * @description Replaces the wind configuration and restarts the turbulence from its seed.
+   */
+  configure(settings = {}) {
+    // === Setting Variables === //
+    this.settings = {
+      steady: [0, 0, 0], // m/s, world coordinates
+      gusts: [], // { start: s, duration: s, amplitude: [x, y, z] m/s }
+      ...settings,
+      turbulence: {
+        model: 'none', // 'none' or 'dryden'
+        windSpeedAt6m: 7.5, // m/s, wind speed at 6 m (20 ft), scales turbulence intensity
+        minAirspeed: 1, // m/s, floor for the filter time constant L / V while hovering
+        seed: 0,
+        ...settings.turbulence,
+      },
+    };
+    // === End of Setting Variables === //
+
+    if (!['none', 'dryden'].includes(this.settings.turbulence.model)) {
+      throw new Error(`Unknown turbulence model "${this.settings.turbulence.model}". Use 'none' or 'dryden'.`);
+    }
+
+    this.steady = new THREE.Vector3().fromArray(this.settings.steady);
+    this.reset(this.settings.turbulence.seed);
+  }
+
+  /**
+   * @method reset
+   * @public
+   * @param {number} [seed] - Turbulence seed. Keeps the configured seed when omitted.
+   * @description Restarts the gust schedule, clears the turbulence filter states and restarts their noise sequence.
+   */
+  reset(seed = this.settings.turbulence.seed) {
+    this.time = 0;
+    this.random.setSeed(seed);
+    this.filters = { u: 0, v: [0, 0], w: [0, 0] };
+    this.gustVelocity.set(0, 0, 0);
+    this.turbulenceVelocity.set(0, 0, 0);
+    this.velocity.copy(this.steady);
+  }
+
+  /**
+   * @method update
+   * @public
+   * @param {number} dt - Time step (s).
+   * @param {number} altitude - Height above ground (m).
+   * @param {THREE.Vector3} droneVelocity - Drone velocity in world coordinates (m/s).
+   * @returns {THREE.Vector3} The wind velocity at the drone (m/s). The vector is reused between calls.
+   */
+  update(dt, altitude, droneVelocity) {
+    this.time += dt;
+    this.updateGusts(this.time);
+    if (this.settings.turbulence.model === 'dryden') {
+      this.updateDryden(dt, altitude, droneVelocity);
+    }
+
+    return this.velocity.copy(this.steady).add(this.gustVelocity).add(this.turbulenceVelocity);
+  }
+
+  /**
+   * @method updateGusts
+   * @private
+   * @param {number} time - Time since the last reset (s).
+   * @description Sums the active 1-cosine gusts, `v = A / 2 * (1 - cos(2π (t - start) / duration))`.
+   */
+  updateGusts(time) {
+    this.gustVelocity.set(0, 0, 0);
+    this.settings.gusts.forEach(({ start, duration, amplitude }) => {
+      if (time < start || time > start + duration) return;
+      const shape = 0.5 * (1 - Math.cos((2 * Math.PI * (time - start)) / duration));
+      this.gustVelocity.x += amplitude[0] * shape;
+      this.gustVelocity.y += amplitude[1] * shape;
+      this.gustVelocity.z += amplitude[2] * shape;
+    });
+  }
+
+  /**
+   * @method updateDryden
+   * @private
+   * @param {number} dt - Time step (s).
+   * @param {number} altitude - Height above ground (m).
+   * @param {THREE.Vector3} droneVelocity - Drone velocity in world coordinates (m/s).
+   * @description Advances the MIL-F-8785C Dryden filters `H_u = σ_u √(2τ_u/π) / (1 + τ_u s)` and
+   * `H_v,w = σ √(τ/π) (1 + √3 τs) / (1 + τs)²`, with `τ = L / V`, driven by white noise of unit PSD so each
+   * component has variance σ². The low-altitude model holds up to 1000 ft; higher up the drone sees the
+   * 1000 ft turbulence.
+   */
+  updateDryden(dt, altitude, droneVelocity) {
+    const { windSpeedAt6m, minAirspeed } = this.settings.turbulence;
+
+    // Low-altitude scale lengths and intensities are defined in feet
+    const h = THREE.MathUtils.clamp(altitude * FEET_PER_METER, 10, 1000);
+    const lengthW = h / FEET_PER_METER;
+    const lengthUV = h / (0.177 + 0.000823 * h) ** 1.2 / FEET_PER_METER;
+    const sigmaW = 0.1 * windSpeedAt6m;
+    const sigmaUV = sigmaW / (0.177 + 0.000823 * h) ** 0.4;
+
+    const airspeed = Math.max(minAirspeed, droneVelocity.distanceTo(this.steady));
+    const tauUV = lengthUV / airspeed;
+    const tauW = lengthW / airspeed;
+    const f = this.filters;
+    f.u = advanceFirstOrder(f.u, tauUV, dt, this.random);
+    advanceSecondOrder(f.v, tauUV, dt, this.random);
+    advanceSecondOrder(f.w, tauW, dt, this.random);
+
+    // x1 = n / (s + 1/τ) and x2 = x1 / (s + 1/τ), so (1 + √3 τs) / (1 + τs)² applied to n is (√3 τ x1 + (1 - √3) x2) / τ²
+    const lateral = ([x1, x2], sigma, tau) => (
+      (sigma * Math.sqrt(tau / Math.PI) * (SQRT3 * tau * x1 + (1 - SQRT3) * x2)) / (tau * tau)
+    );
+    const u = sigmaUV * Math.sqrt(2 / (Math.PI * tauUV)) * f.u;
+    const v = lateral(f.v, sigmaUV, tauUV);
+    const w = lateral(f.w, sigmaW, tauW);
+
+    // Rotate from mean-wind axes into world coordinates
+    const heading = this.steady.x !== 0 || this.steady.z !== 0 ? Math.atan2(this.steady.x, this.steady.z) : 0;
+    const sin = Math.sin(heading);
+    const cos = Math.cos(heading);
+    this.turbulenceVelocity.set(u * sin + v * cos, w, u * cos - v * sin);
+  }
+
+  /**
+   * @method getTelemetry
+   * @public
+   * @returns {{velocity: number[], speed: number, heading: number, gust: number[], turbulence: number[]}}
+   * Total wind (m/s, world), its horizontal speed (m/s) and the heading it blows towards (deg, from +Z
+   * towards +X), plus the gust and turbulence parts.
+   */
+  getTelemetry() {
+    const { x, z } = this.velocity;
+    return {
+      velocity: this.velocity.toArray(),
+      speed: Math.hypot(x, z),
+      heading: (THREE.MathUtils.radToDeg(Math.atan2(x, z)) + 360) % 360,
+      gust: this.gustVelocity.toArray(),
+      turbulence: this.turbulenceVelocity.toArray(),
+    };
+  }
+}
+
+export default WindField;
@@ -0,0 +1,162 @@
+import * as THREE from 'three';
+import yaml from 'js-yaml';
+import { resolveFrame } from './frames';
+
+/**
+ * Airframe descriptions: everything physical about a drone in one JSON or YAML file, so airframes can be
+ * swapped without editing source. Positions are in the visual model's coordinates (m; +X right, +Y up,
+ * +Z forward) and are moved to the centre of gravity by `createAirframe()`.
+ *
+ * ```yaml
+ * name: 5" Freestyle
+ * model: { path: /assets/models/drone/fpv.glb, scale: 1 }
+ * mass: 0.65                       # kg, all-up weight
+ * inertia: [0.0012, 0.0022, 0.0012] # kg·m², principal moments about X, Y, Z (or a 3x3 tensor)
+ * centerOfGravity: [0, -0.005, 0]  # m, from the model origin
+ * collision:                       # box { size }, sphere { radius }, cylinder { radius, height } or capsule
+ *                                  # { radius, height between cap centres }, along Y before `rotation` (deg)
+ *   - { type: box, size: [0.06, 0.04, 0.12], position: [0, 0, 0], rotation: [0, 0, 0] }
+ * motor: { maxThrust: 11.8, maxRPM: 30000, torqueCoefficient: 0.013 } # MotorModel settings, shared by all motors
+ * motors:                          # Same fields as frames.js; the order sets motor1..motorN
+ *   - { position: [0.078, 0, 0.078], spin: 1 }
+ * propeller: { radius: 0.0635 }    # m
+ * battery: { cellCount: 4, capacity: 1300 } # BatteryModel settings
+ * aerodynamics: { dragCoefficients: [1, 1.2, 1], dragAreas: [0.012, 0.04, 0.012] } # PhysicsEngine drag settings
+ * cameras:                         # CameraRig mounts: tilt (deg up from forward), yaw (deg, 180 looks back),
+ *                                  # horizontal fov (deg), resolution [w, h] (px), near/far (m); the first is the FPV view
+ *   - { name: fpv, position: [0, 0.02, 0.05], tilt: 30, fov: 120, resolution: [768, 432] }
+ *   - { name: down, position: [0, -0.02, 0], tilt: -90, fov: 90, resolution: [640, 480] }
+ * ```
+ */
+
+/**
+ * Bundled airframe descriptions, by name.
+ * @type {Object<string, string>}
+ */
+export const AIRFRAMES = {
+  freestyle5: '/assets/airframes/freestyle5.yaml',
+  cinewhoop3: '/assets/airframes/cinewhoop3.yaml',
+  longrange7: '/assets/airframes/longrange7.yaml',
+};
+
+const COLLISION_PRIMITIVES = ['box', 'sphere', 'cylinder', 'capsule'];
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Parses the text of an airframe description.
+ * @param {string} text - JSON or YAML source.
+ * @param {string} [format='yaml'] - `json` or `yaml`. The YAML parser reads JSON too.
+ * @returns {Object} The raw description, see `createAirframe()` for the fields.
+ */
+export const parseAirframe = (text, format = 'yaml') => (format === 'json' ? JSON.parse(text) : yaml.load(text));
+
+/**
+ * Converts a 3-element array or THREE.Vector3 to a new THREE.Vector3.
+ * @param {number[]|THREE.Vector3} [value] - The vector.
+ * @param {number[]} [fallback=[0, 0, 0]] - Used when `value` is missing.
+ * @returns {THREE.Vector3} The vector.
+ */
+const toVector3 = (value, fallback = [0, 0, 0]) => (value instanceof THREE.Vector3
+  ? value.clone()
+  : new THREE.Vector3().fromArray(value || fallback));
+
+/**
+ * Reduces an inertia given as principal moments or a full tensor to principal moments.
+ * Bullet only models a diagonal inertia, so products of inertia are dropped with a warning when they matter.
+ * @param {number[]|number[][]} inertia - `[Ixx, Iyy, Izz]` or a 3x3 tensor (kg·m²).
+ * @param {string} name - Airframe name, for the warning.
+ * @returns {THREE.Vector3} Principal moments about body X, Y and Z.
+ */
+const toPrincipalInertia = (inertia, name) => {
+  if (!Array.isArray(inertia[0])) return toVector3(inertia);
+
+  const diagonal = new THREE.Vector3(inertia[0][0], inertia[1][1], inertia[2][2]);
+  const largestProduct = Math.max(Math.abs(inertia[0][1]), Math.abs(inertia[0][2]), Math.abs(inertia[1][2]));
+  if (largestProduct > 0.01 * Math.max(diagonal.x, diagonal.y, diagonal.z)) {
+    console.warn(`Airframe "${name}": products of inertia are ignored; only the diagonal of the tensor is used.`);
+  }
+  return diagonal;
+};
+
+/**
+ * Validates a raw airframe description and converts it into the form used by the physics engine and scene.
+ * Positions are moved from model coordinates to the centre of gravity.
+ * @param {Object} description - Parsed description (see the format above).
+ * @returns {Object} `{ name, model, mass, inertia, centerOfGravity, collision, frame, motorModel, maxThrust,
+ * propeller, battery, aerodynamics, cameras }` with THREE.Vector3 positions relative to the centre of gravity.
+ */
+export const createAirframe = (description) => {
+  const name = description.name || 'custom';
+  if (!(description.mass > 0)) {
+    throw new Error(`Airframe "${name}" needs a positive "mass" (kg).`);
+  }
+  if (!Array.isArray(description.motors) || description.motors.length === 0) {
+    throw new Error(`Airframe "${name}" needs a non-empty "motors" array.`);
+  }
+
+  const centerOfGravity = toVector3(description.centerOfGravity);
+  const fromCenterOfGravity = (position) => toVector3(position).sub(centerOfGravity);
+  const { maxThrust = 1, torqueCoefficient = 0.05, ...motorModel } = description.motor || {};
+
+  const collision = (description.collision || []).map((primitive, i) => {
+    if (!COLLISION_PRIMITIVES.includes(primitive.type)) {
+      throw new Error(`Airframe "${name}": collision primitive ${i + 1} has unknown type "${primitive.type}". Use one of: ${COLLISION_PRIMITIVES.join(', ')}.`);
+    }
+    const rotation = toVector3(primitive.rotation).multiplyScalar(DEG_TO_RAD);
+    return {
+      ...primitive,
+      size: primitive.size ? toVector3(primitive.size) : undefined,
+      position: fromCenterOfGravity(primitive.position),
+      quaternion: new THREE.Quaternion().setFromEuler(new THREE.Euler(rotation.x, rotation.y, rotation.z)),
+    };
+  });
+
+  const aerodynamics = { ...description.aerodynamics };
+  ['dragCoefficients', 'dragAreas', 'angularDamping', 'angularDrag'].forEach((key) => {
+    if (aerodynamics[key]) aerodynamics[key] = toVector3(aerodynamics[key]);
+  });
+
+  return {
+    name,
+    model: { scale: 1, ...(typeof description.model === 'string' ? { path: description.model } : description.model) },
+    mass: description.mass,
+    inertia: description.inertia ? toPrincipalInertia(description.inertia, name) : null,
+    centerOfGravity,
+    collision,
+    frame: resolveFrame({
+      type: name,
+      motors: description.motors.map((motor) => ({
+        torqueCoefficient,
+        ...motor,
+        position: fromCenterOfGravity(motor.position),
+      })),
+    }),
+    motorModel,
+    maxThrust,
+    propeller: { radius: 0.0635, ...description.propeller },
+    battery: { ...description.battery },
+    aerodynamics,
+    cameras: (description.cameras || []).map((camera) => ({
+      tilt: 0,
+      fov: 90,
+      ...camera,
+      position: fromCenterOfGravity(camera.position),
+    })),
+  };
+};
+
+/**
+ * Loads an airframe by bundled name, URL or description object.
+ * @param {string|Object} source - A key of AIRFRAMES, the URL of a `.json`/`.yaml` file, or a raw description.
+ * @returns {Promise<Object>} The airframe, see `createAirframe()`.
+ */
+export const loadAirframe = async (source) => {
+  if (typeof source !== 'string') return createAirframe(source);
+
+  const url = AIRFRAMES[source] || source;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load airframe "${source}" from ${url} (${response.status}).`);
+  }
+  return createAirframe(parseAirframe(await response.text(), /\.json$/i.test(url) ? 'json' : 'yaml'));
+};
@@ -0,0 +1,13 @@
+/**
+ * Collision filter groups used with `addRigidBody(body, group, mask)` and ray tests.
+ * The first bits match Bullet's defaults: static bodies added without a group join `STATIC`
+ * and dynamic ones `DEFAULT`, so scenery and the ground need no explicit group.
+ * @enum {number}
+ */
+export const COLLISION_GROUPS = {
+  DEFAULT: 1,
+  STATIC: 2, // Ground and environment colliders
+  DRONE: 64, // The drone body, so sensors and rotor rays can skip it
+  PAYLOAD: 128, // Slung loads, rope segments and released payloads
+  ALL: -1,
+};
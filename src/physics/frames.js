@@ -0,0 +1,134 @@
+import * as THREE from 'three';
+
+/**
+ * Multirotor frame definitions for the {@link MotorMixer} and the physics engine.
+ *
+ * A frame is `{ type, motors }`, where every motor has:
+ * - `position` - THREE.Vector3 relative to the centre of mass (m); +X right, +Y up, +Z forward.
+ * - `spin` - `1` for a counter-clockwise propeller seen from above, `-1` for clockwise.
+ * - `thrustCoefficient` - Fraction of `maxThrust` this motor produces at full command.
+ * - `torqueCoefficient` - Propeller reaction torque per newton of thrust (m).
+ * - `servo` (optional) - `{ maxAngle }` (deg) for a motor tilted sideways by a yaw servo (tricopter tail).
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Motor layouts per frame type. Azimuths are in degrees, clockwise from the nose seen from above;
+ * `height` offsets coaxial motors (fraction of the arm length).
+ */
+const LAYOUTS = {
+  quadX: [
+    { azimuth: 45, spin: 1 },   // Motor 1: Front-Right
+    { azimuth: -45, spin: -1 }, // Motor 2: Front-Left
+    { azimuth: -135, spin: 1 }, // Motor 3: Rear-Left
+    { azimuth: 135, spin: -1 }, // Motor 4: Rear-Right
+  ],
+  quadPlus: [
+    { azimuth: 0, spin: 1 },    // Front
+    { azimuth: -90, spin: -1 }, // Left
+    { azimuth: 180, spin: 1 },  // Rear
+    { azimuth: 90, spin: -1 },  // Right
+  ],
+  hexX: [30, -30, -90, -150, 150, 90].map((azimuth, i) => ({ azimuth, spin: i % 2 === 0 ? 1 : -1 })),
+  octoX: [22.5, -22.5, -67.5, -112.5, -157.5, 157.5, 112.5, 67.5].map((azimuth, i) => ({ azimuth, spin: i % 2 === 0 ? 1 : -1 })),
+  y6: [
+    // Top propellers all spin one way and bottom ones the other, so yaw comes from top/bottom differential
+    { azimuth: 60, spin: 1, height: 0.1 },
+    { azimuth: -60, spin: 1, height: 0.1 },
+    { azimuth: 180, spin: 1, height: 0.1 },
+    { azimuth: 60, spin: -1, height: -0.1, coaxialLower: true },
+    { azimuth: -60, spin: -1, height: -0.1, coaxialLower: true },
+    { azimuth: 180, spin: -1, height: -0.1, coaxialLower: true },
+  ],
+  tricopter: [
+    { azimuth: 60, spin: 1 },
+    { azimuth: -60, spin: -1 },
+    { azimuth: 180, spin: 1, servo: true }, // Tail motor on a yaw servo
+  ],
+};
+
+export const FRAME_TYPES = Object.keys(LAYOUTS);
+
+/**
+ * Rounds away float noise from trigonometry so symmetric layouts stay exactly symmetric.
+ * @param {number} value - Value to round.
+ * @returns {number} The value rounded to 1e-9.
+ */
+const round = (value) => Math.round(value * 1e9) / 1e9;
+
+/**
+ * Builds a frame definition from a preset layout.
+ * @param {string} type - One of FRAME_TYPES.
+ * @param {Object} [options] - Frame options.
+ * @param {number} [options.armLength=Math.SQRT2] - Distance from the centre to each motor (m).
+ * @param {number} [options.thrustCoefficient=1] - Fraction of `maxThrust` per motor at full command.
+ * @param {number} [options.torqueCoefficient=0.05] - Propeller reaction torque per newton of thrust (m).
+ * @param {number} [options.coaxialEfficiency=0.85] - Thrust fraction of the lower propeller in a coaxial pair.
+ * @param {number} [options.servoMaxAngle=40] - Tilt range of a yaw servo (deg).
+ * @returns {{type: string, motors: Object[]}} The frame definition.
+ */
+export const createFrame = (type, options = {}) => {
+  const layout = LAYOUTS[type];
+  if (!layout) {
+    throw new Error(`Unknown frame type "${type}". Use one of: ${FRAME_TYPES.join(', ')}.`);
+  }
+
+  const {
+    armLength = Math.SQRT2,
+    thrustCoefficient = 1,
+    torqueCoefficient = 0.05,
+    coaxialEfficiency = 0.85,
+    servoMaxAngle = 40,
+  } = options;
+
+  return {
+    type,
+    motors: layout.map(({ azimuth, spin, height = 0, coaxialLower = false, servo = false }) => {
+      const angle = azimuth * DEG_TO_RAD;
+      const motor = {
+        position: new THREE.Vector3(
+          round(armLength * Math.sin(angle)),
+          height * armLength,
+          round(armLength * Math.cos(angle))
+        ),
+        spin,
+        thrustCoefficient: thrustCoefficient * (coaxialLower ? coaxialEfficiency : 1),
+        torqueCoefficient,
+      };
+      if (servo) motor.servo = { maxAngle: servoMaxAngle };
+      return motor;
+    }),
+  };
+};
+
+/**
+ * Normalizes a frame given as a preset name or a (possibly plain-data) definition.
+ * Positions may be arrays `[x, y, z]` or THREE.Vector3; missing coefficients default to 1 and 0.05.
+ * @param {string|Object} frame - Preset name or frame definition.
+ * @returns {{type: string, motors: Object[]}} The frame definition with THREE.Vector3 positions.
+ */
+export const resolveFrame = (frame) => {
+  if (typeof frame === 'string') return createFrame(frame);
+
+  if (!frame || !Array.isArray(frame.motors) || frame.motors.length === 0) {
+    throw new Error('A frame definition needs a non-empty "motors" array.');
+  }
+
+  return {
+    type: frame.type || 'custom',
+    motors: frame.motors.map((motor, i) => {
+      if (motor.spin !== 1 && motor.spin !== -1) {
+        throw new Error(`Motor ${i + 1} needs a spin of 1 (counter-clockwise) or -1 (clockwise).`);
+      }
+      return {
+        ...motor,
+        position: motor.position instanceof THREE.Vector3
+          ? motor.position.clone()
+          : new THREE.Vector3().fromArray(motor.position),
+        thrustCoefficient: motor.thrustCoefficient ?? 1,
+        torqueCoefficient: motor.torqueCoefficient ?? 0.05,
+      };
+    }),
+  };
+};
@@ -0,0 +1,279 @@
+import * as THREE from 'three';
+import SimulationCore from '../core/SimulationCore';
+import SeededRandom from '../utils/seededRandom';
+import { Box } from './spaces';
+import { hoverReward } from './rewards';
+
+/**
+ * Layout of the state observation vector.
+ * @type {Object<string, number[]>} Name to `[offset, length]`.
+ */
+export const STATE_LAYOUT = {
+  position: [0, 3],
+  quaternion: [3, 4],
+  linearVelocity: [7, 3],
+  angularVelocity: [10, 3],
+};
+
+export const STATE_SIZE = 13;
+
+/**
+ * Supported action modes.
+ * - `sticks`: `[roll, pitch, yaw, throttle]`, as returned by `DroneControls.getControlInputs()`.
+ * - `motors`: `[motor1, ..., motorN]` thrusts, one per motor of the airframe, applied in individual motor mode.
+ * Each entry maps the frame's motor count to the action bounds.
+ */
+const ACTION_MODES = {
+  sticks: () => ({ low: [-1, -1, -1, 0], high: [1, 1, 1, 1] }),
+  motors: (motorCount) => ({ low: new Array(motorCount).fill(0), high: new Array(motorCount).fill(1) }),
+};
+
+/**
+ * @class DroneEnv
+ * @description Gym-style reinforcement learning environment on top of {@link SimulationCore}.
+ * Each `step()` holds the action for one control period and advances the physics by it.
+ *
+ * @example
+ * const env = new DroneEnv({ actionMode: 'motors', reward: waypointReward({ waypoints: [[0, 3, 5]] }) });
+ * await env.init(require('ammo.js'));
+ * let observation = env.reset(42);
+ * let done = false;
+ * while (!done) {
+ *   ({ observation, done } = env.step(env.actionSpace.sample(env.random)));
+ * }
+ */
+class DroneEnv {
+  /**
+   * @constructor
+   * @param {Object} [options] - Environment options.
+   * @param {string} [options.actionMode='sticks'] - `sticks` or `motors`, see ACTION_MODES.
+   * @param {number} [options.controlFrequency=50] - Policy steps per simulated second (Hz).
+   * @param {number} [options.maxEpisodeSteps=500] - Steps after which an episode is truncated.
+   * @param {Object|Function} [options.reward] - Reward function, see `rewards.js`. Defaults to `hoverReward()`.
+   * @param {Object} [options.spawn] - Spawn pose `{ position, positionNoise, yawNoise }` (m, m, rad).
+   * @param {Object} [options.bounds] - Flight box `{ min, max }` in world coordinates (m). Leaving it ends the episode.
+   * @param {Object} [options.wind] - Wind for this scenario, see `WindField.configure()`. Turbulence is reseeded
+   * from the environment's random source on every reset.
+   * @param {Object} [options.crash] - Crash thresholds `{ maxImpactSpeed, maxTilt }` (m/s, rad): a contact faster
+   * than `maxImpactSpeed`, or touching anything while tilted beyond `maxTilt`, ends the episode like a physics crash.
+   * @param {number} [options.crashPenalty=-10] - Reward added on the step the drone crashes.
+   * @param {Function} [options.pixelObserver] - `(core) => { data, shape }` returning FPV pixels.
+   * When given, observations become `{ state, pixels }`.
+   * @param {Object} [options.core] - Options forwarded to the {@link SimulationCore} constructor.
+   */
+  constructor(options = {}) {
+    this.options = {
+      actionMode: 'sticks',
+      controlFrequency: 50,
+      maxEpisodeSteps: 500,
+      crashPenalty: -10,
+      ...options,
+      spawn: { position: [0, 2, 0], positionNoise: 0.1, yawNoise: Math.PI, ...options.spawn },
+      bounds: { min: [-50, -1, -50], max: [50, 50, 50], ...options.bounds },
+      crash: { maxImpactSpeed: 2, maxTilt: Math.PI / 3, ...options.crash },
+    };
+
+    if (!ACTION_MODES[this.options.actionMode]) {
+      throw new Error(`Unknown action mode "${this.options.actionMode}". Use one of: ${Object.keys(ACTION_MODES).join(', ')}.`);
+    }
+
+    this.core = new SimulationCore(this.options.core);
+    this.core.physics.settings.useIndividualMotors = this.options.actionMode === 'motors';
+    if (this.options.wind) this.core.physics.setWind(this.options.wind);
+    this.controlDt = 1 / this.options.controlFrequency;
+
+    // Contacts reported by the physics engine during the current step
+    this.stepContacts = [];
+    this.core.physics.addEventListener('contact', ({ contact }) => this.stepContacts.push(contact));
+
+    this.actionSpace = this.createActionSpace();
+    const stateSpace = new Box(-Infinity, Infinity, [STATE_SIZE]);
+    this.observationSpace = this.options.pixelObserver
+      ? { state: stateSpace, pixels: null } // Pixel shape is only known after the first capture
+      : stateSpace;
+
+    this.reward = this.options.reward || hoverReward();
+    this.random = new SeededRandom(0);
+    this.state = null;
+    this.episodeStep = 0;
+  }
+
+  /**
+   * @method init
+   * @async
+   * @param {Object} [Ammo] - A loaded Ammo.js module. Required outside the browser.
+   * @description Initializes the underlying simulation. Must complete before `reset()`.
+   * An airframe loaded by name or URL can change the motor count, and with it the `motors` action space.
+   */
+  async init(Ammo = null) {
+    await this.core.init(Ammo);
+    this.actionSpace = this.createActionSpace();
+  }
+
+  /**
+   * @method createActionSpace
+   * @private
+   * @returns {Box} Bounds of the action mode for the current airframe.
+   */
+  createActionSpace() {
+    const { low, high } = ACTION_MODES[this.options.actionMode](this.core.physics.settings.frame.motors.length);
+    return new Box(low, high);
+  }
+
+  /**
+   * @method reset
+   * @public
+   * @param {number} [seed] - Reseeds the environment's random source. Keeps the current stream when omitted.
+   * @returns {Float32Array|Object} The first observation of the new episode.
+   * @description Starts a new episode from a (randomized) spawn pose.
+   */
+  reset(seed) {
+    this.assertReady();
+    if (seed !== undefined) this.random.setSeed(seed);
+
+    const { position, positionNoise, yawNoise } = this.options.spawn;
+    const spawnPosition = new THREE.Vector3(
+      position[0] + this.random.uniform(-positionNoise, positionNoise),
+      position[1] + this.random.uniform(-positionNoise, positionNoise),
+      position[2] + this.random.uniform(-positionNoise, positionNoise)
+    );
+    const spawnQuaternion = new THREE.Quaternion().setFromAxisAngle(
+      new THREE.Vector3(0, 1, 0),
+      this.random.uniform(-yawNoise, yawNoise)
+    );
+
+    this.core.reset(spawnPosition, spawnQuaternion);
+    this.core.physics.wind.reset(Math.floor(this.random.next() * 4294967296));
+    this.core.physics.sensors.reset(spawnQuaternion, Math.floor(this.random.next() * 4294967296));
+    this.applyAction(new Array(this.actionSpace.size).fill(0));
+
+    if (typeof this.reward.reset === 'function') this.reward.reset(this);
+    this.episodeStep = 0;
+    this.stepContacts = [];
+    this.state = this.core.getState();
+    return this.getObservation(this.state);
+  }
+
+  /**
+   * @method step
+   * @public
+   * @param {ArrayLike<number>} action - Action in `actionSpace`. Out-of-range values are clipped.
+   * @returns {{observation: (Float32Array|Object), reward: number, done: boolean, info: Object}} The step result.
+   * `info` reports `crashed`, `outOfBounds`, `batteryDepleted`, `truncated`, `success`, `time`, the `contacts`
+   * that began during the step (see `PhysicsEngine` contact events) and the raw `state`.
+   */
+  step(action) {
+    this.assertReady();
+    const clipped = this.actionSpace.clip(action);
+    this.applyAction(clipped);
+
+    const previousState = this.state;
+    this.stepContacts = [];
+    this.core.step(this.controlDt);
+    this.state = this.core.getState();
+    this.episodeStep++;
+
+    const info = {
+      crashed: this.isCrashed(this.state, this.stepContacts),
+      outOfBounds: this.isOutOfBounds(this.state),
+      batteryDepleted: this.state.battery.depleted,
+      truncated: this.episodeStep >= this.options.maxEpisodeSteps,
+      success: false,
+      time: this.state.time,
+      contacts: this.stepContacts.map((contact) => ({ ...contact, object: contact.object ? contact.object.name : null })),
+      state: this.state,
+    };
+
+    const context = { state: this.state, previousState, action: clipped, info, env: this };
+    let reward = typeof this.reward === 'function' ? this.reward(context) : this.reward.compute(context);
+    if (info.crashed) reward += this.options.crashPenalty;
+    info.reward = this.reward.name || 'custom';
+
+    const done = info.crashed || info.outOfBounds || info.batteryDepleted || info.truncated || info.success;
+    return { observation: this.getObservation(this.state), reward, done, info };
+  }
+
+  /**
+   * @method applyAction
+   * @private
+   * @param {ArrayLike<number>} action - Clipped action.
+   * @description Writes the action into the control channels used by the physics engine.
+   */
+  applyAction(action) {
+    if (this.options.actionMode === 'motors') {
+      const motorThrusts = {};
+      for (let i = 0; i < action.length; i++) {
+        motorThrusts[`motor${i + 1}`] = action[i];
+      }
+      this.core.setInputs({ motorThrusts });
+    } else {
+      this.core.setInputs({ roll: action[0], pitch: action[1], yaw: action[2], throttle: action[3] });
+    }
+  }
+
+  /**
+   * @method getObservation
+   * @private
+   * @param {Object} state - State from `SimulationCore.getState()`.
+   * @returns {Float32Array|Object} The state vector, or `{ state, pixels }` when a pixel observer is set.
+   */
+  getObservation(state) {
+    const vector = new Float32Array(STATE_SIZE);
+    vector.set(state.position, STATE_LAYOUT.position[0]);
+    vector.set(state.quaternion, STATE_LAYOUT.quaternion[0]);
+    vector.set(state.linearVelocity, STATE_LAYOUT.linearVelocity[0]);
+    vector.set(state.angularVelocity, STATE_LAYOUT.angularVelocity[0]);
+
+    if (!this.options.pixelObserver) return vector;
+
+    const pixels = this.options.pixelObserver(this.core);
+    if (pixels && !this.observationSpace.pixels) {
+      this.observationSpace.pixels = new Box(0, 255, pixels.shape, 'uint8');
+    }
+    return { state: vector, pixels };
+  }
+
+  /**
+   * @method isCrashed
+   * @private
+   * @param {Object} state - State from `SimulationCore.getState()`.
+   * @param {Object[]} contacts - Contacts that began during the step.
+   * @returns {boolean} Whether the drone crashed, hit something too fast, rests on something too tilted,
+   * or the state diverged.
+   */
+  isCrashed(state, contacts) {
+    const values = [...state.position, ...state.quaternion, ...state.linearVelocity];
+    if (values.some((value) => !isFinite(value))) return true;
+
+    const { maxImpactSpeed, maxTilt } = this.options.crash;
+    if (state.crashed || contacts.some((contact) => contact.impactSpeed > maxImpactSpeed)) return true;
+    if (!state.inContact) return false;
+
+    const up = new THREE.Vector3(0, 1, 0).applyQuaternion(new THREE.Quaternion().fromArray(state.quaternion));
+    return up.y < Math.cos(maxTilt);
+  }
+
+  /**
+   * @method isOutOfBounds
+   * @private
+   * @param {Object} state - State from `SimulationCore.getState()`.
+   * @returns {boolean} Whether the drone left the flight box.
+   */
+  isOutOfBounds(state) {
+    const { min, max } = this.options.bounds;
+    return state.position.some((value, i) => value < min[i] || value > max[i]);
+  }
+
+  /**
+   * @method assertReady
+   * @private
+   * @description Throws when the environment is used before `init()` completed.
+   */
+  assertReady() {
+    if (!this.core.ready || !this.core.physics.droneRigidBody) {
+      throw new Error('DroneEnv is not initialized. Await init() before reset() or step().');
+    }
+  }
+}
+
+export default DroneEnv;
@@ -0,0 +1,111 @@
+import DroneEnv, { STATE_SIZE } from './DroneEnv';
+
+/**
+ * @class VectorDroneEnv
+ * @description Runs N independent {@link DroneEnv} worlds and steps them as a batch.
+ * Every sub-environment owns its own `SimulationCore`, and with it its own Ammo
+ * `btDiscreteDynamicsWorld` from `PhysicsEngine.setupPhysicsWorld`. Actions and
+ * observations are packed row-major into typed arrays (`[numEnvs * size]`), and
+ * environments that finish an episode are reset automatically.
+ *
+ * The returned typed arrays are reused between calls; copy them if they must outlive the next step.
+ *
+ * @example
+ * const vecEnv = new VectorDroneEnv(16, { actionMode: 'motors' });
+ * await vecEnv.init(require('ammo.js'));
+ * let observations = vecEnv.reset(0);
+ * const actions = new Float32Array(16 * vecEnv.actionSize).fill(0.65);
+ * const { rewards, dones } = vecEnv.step(actions);
+ */
+class VectorDroneEnv {
+  /**
+   * @constructor
+   * @param {number} numEnvs - Number of parallel worlds.
+   * @param {Object} [options] - Options forwarded to every {@link DroneEnv}. Pixel observers are not supported.
+   */
+  constructor(numEnvs, options = {}) {
+    if (!Number.isInteger(numEnvs) || numEnvs < 1) {
+      throw new Error(`VectorDroneEnv needs a positive integer number of environments, got ${numEnvs}.`);
+    }
+    if (options.pixelObserver) {
+      throw new Error('VectorDroneEnv packs state observations only; pixelObserver is not supported.');
+    }
+
+    this.numEnvs = numEnvs;
+    this.envs = Array.from({ length: numEnvs }, () => new DroneEnv(options));
+
+    this.actionSpace = this.envs[0].actionSpace;
+    this.observationSpace = this.envs[0].observationSpace;
+    this.actionSize = this.actionSpace.size;
+    this.observationSize = STATE_SIZE;
+
+    this.observations = new Float32Array(numEnvs * this.observationSize);
+    this.rewards = new Float32Array(numEnvs);
+    this.dones = new Uint8Array(numEnvs);
+    this.infos = new Array(numEnvs);
+  }
+
+  /**
+   * @method init
+   * @async
+   * @param {Object} [Ammo] - A loaded Ammo.js module, shared by all worlds. Required outside the browser.
+   * @description Initializes every sub-environment.
+   */
+  async init(Ammo = null) {
+    await Promise.all(this.envs.map((env) => env.init(Ammo)));
+    this.actionSpace = this.envs[0].actionSpace;
+    this.actionSize = this.actionSpace.size;
+  }
+
+  /**
+   * @method reset
+   * @public
+   * @param {number} [seed] - Base seed; environment `i` is seeded with `seed + i`.
+   * @returns {Float32Array} Packed observations, `numEnvs * observationSize` values.
+   */
+  reset(seed) {
+    this.envs.forEach((env, i) => {
+      const observation = env.reset(seed === undefined ? undefined : seed + i);
+      this.observations.set(observation, i * this.observationSize);
+    });
+    this.dones.fill(0);
+    return this.observations;
+  }
+
+  /**
+   * @method step
+   * @public
+   * @param {ArrayLike<number>} actions - Packed actions, `numEnvs * actionSize` values.
+   * @returns {{observations: Float32Array, rewards: Float32Array, dones: Uint8Array, infos: Object[]}} Batched results.
+   * For environments that finished, `observations` already holds the first observation of the next episode
+   * and `infos[i].terminalObservation` the last one of the finished episode.
+   */
+  step(actions) {
+    if (actions.length !== this.numEnvs * this.actionSize) {
+      throw new Error(`Expected ${this.numEnvs * this.actionSize} action values, got ${actions.length}.`);
+    }
+
+    for (let i = 0; i < this.numEnvs; i++) {
+      const env = this.envs[i];
+      const offset = i * this.actionSize;
+      const { observation, reward, done, info } = env.step(actions.subarray
+        ? actions.subarray(offset, offset + this.actionSize)
+        : actions.slice(offset, offset + this.actionSize));
+
+      this.rewards[i] = reward;
+      this.dones[i] = done ? 1 : 0;
+
+      if (done) {
+        info.terminalObservation = observation;
+        this.observations.set(env.reset(), i * this.observationSize);
+      } else {
+        this.observations.set(observation, i * this.observationSize);
+      }
+      this.infos[i] = info;
+    }
+
+    return { observations: this.observations, rewards: this.rewards, dones: this.dones, infos: this.infos };
+  }
+}
+
+export default VectorDroneEnv;
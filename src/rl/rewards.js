@@ -0,0 +1,154 @@
+import * as THREE from 'three';
+
+/**
+ * Reward functions for {@link DroneEnv}.
+ *
+ * Each factory returns an object with:
+ * - `name` - Identifier reported in `info.reward`.
+ * - `reset(env)` - Called at the start of every episode.
+ * - `compute(context)` - Returns the reward for one step. `context` holds `state` and `previousState`
+ *   (see `SimulationCore.getState()`), the clipped `action` and the step `info`. Setting
+ *   `context.info.success = true` ends the episode as solved.
+ *
+ * A plain function `(context) => number` is also accepted by the environment.
+ */
+
+const toVector = (array) => new THREE.Vector3().fromArray(array);
+
+/**
+ * Rewards holding position at a target point with a level, still attitude.
+ * @param {Object} [options] - Reward options.
+ * @param {number[]} [options.target=[0, 2, 0]] - Hover point in world coordinates (m).
+ * @param {number} [options.aliveBonus=1] - Constant reward for every step survived.
+ * @param {number} [options.positionWeight=1] - Penalty per metre of position error.
+ * @param {number} [options.velocityWeight=0.1] - Penalty per m/s of linear speed.
+ * @param {number} [options.angularWeight=0.05] - Penalty per rad/s of angular speed.
+ * @param {number} [options.tiltWeight=0.5] - Penalty for tilt, 0 when level and 1 when on its side.
+ * @returns {Object} The reward function.
+ */
+export const hoverReward = (options = {}) => {
+  const {
+    target = [0, 2, 0],
+    aliveBonus = 1,
+    positionWeight = 1,
+    velocityWeight = 0.1,
+    angularWeight = 0.05,
+    tiltWeight = 0.5,
+  } = options;
+  const targetVector = toVector(target);
+  const up = new THREE.Vector3();
+
+  return {
+    name: 'hover',
+    reset() {},
+    compute({ state }) {
+      const distance = toVector(state.position).distanceTo(targetVector);
+      const speed = toVector(state.linearVelocity).length();
+      const angularSpeed = toVector(state.angularVelocity).length();
+      up.set(0, 1, 0).applyQuaternion(new THREE.Quaternion().fromArray(state.quaternion));
+      const tilt = 1 - up.y;
+
+      return aliveBonus
+        - positionWeight * distance
+        - velocityWeight * speed
+        - angularWeight * angularSpeed
+        - tiltWeight * tilt;
+    },
+  };
+};
+
+/**
+ * Rewards progress along a sequence of waypoints, with a bonus for reaching each one.
+ * The episode succeeds once the last waypoint is reached.
+ * @param {Object} options - Reward options.
+ * @param {number[][]} options.waypoints - Waypoints in world coordinates (m), visited in order.
+ * @param {number} [options.radius=0.5] - Distance (m) at which a waypoint counts as reached.
+ * @param {number} [options.progressWeight=1] - Reward per metre of distance closed to the current waypoint.
+ * @param {number} [options.reachBonus=10] - Reward for reaching a waypoint.
+ * @returns {Object} The reward function.
+ */
+export const waypointReward = (options) => {
+  const { waypoints, radius = 0.5, progressWeight = 1, reachBonus = 10 } = options;
+  const targets = waypoints.map(toVector);
+  let index = 0;
+
+  return {
+    name: 'waypoint',
+    reset() {
+      index = 0;
+    },
+    compute({ state, previousState, info }) {
+      if (index >= targets.length) return 0;
+
+      const target = targets[index];
+      const previousDistance = toVector(previousState.position).distanceTo(target);
+      const distance = toVector(state.position).distanceTo(target);
+      let reward = progressWeight * (previousDistance - distance);
+
+      if (distance <= radius) {
+        reward += reachBonus;
+        index++;
+      }
+
+      info.waypointIndex = index;
+      if (index >= targets.length) info.success = true;
+      return reward;
+    },
+  };
+};
+
+/**
+ * Rewards flying through a sequence of rectangular gates in order.
+ * A gate is passed when the drone crosses its plane in the direction of its normal
+ * and the crossing point lies inside the opening.
+ * @param {Object} options - Reward options.
+ * @param {Object[]} options.gates - Gates, each `{ position, normal, width, height }` in world coordinates (m).
+ * @param {number} [options.progressWeight=1] - Reward per metre of distance closed to the next gate.
+ * @param {number} [options.passBonus=10] - Reward for passing a gate.
+ * @returns {Object} The reward function.
+ */
+export const gatePassReward = (options) => {
+  const { gates, progressWeight = 1, passBonus = 10 } = options;
+  const worldUp = new THREE.Vector3(0, 1, 0);
+  const gateFrames = gates.map(({ position, normal, width = 1, height = 1 }) => {
+    const center = toVector(position);
+    const n = toVector(normal).normalize();
+    // Gate axes: "right" is horizontal in the gate plane, "up" completes the frame
+    const right = new THREE.Vector3().crossVectors(worldUp, n);
+    if (right.lengthSq() < 1e-6) right.set(1, 0, 0); // Horizontal gate, pick any in-plane axis
+    right.normalize();
+    const up = new THREE.Vector3().crossVectors(n, right).normalize();
+    return { center, normal: n, right, up, width, height };
+  });
+  let index = 0;
+
+  return {
+    name: 'gatePass',
+    reset() {
+      index = 0;
+    },
+    compute({ state, previousState, info }) {
+      if (index >= gateFrames.length) return 0;
+
+      const gate = gateFrames[index];
+      const previous = toVector(previousState.position);
+      const current = toVector(state.position);
+      let reward = progressWeight * (previous.distanceTo(gate.center) - current.distanceTo(gate.center));
+
+      const previousSide = previous.clone().sub(gate.center).dot(gate.normal);
+      const currentSide = current.clone().sub(gate.center).dot(gate.normal);
+      if (previousSide < 0 && currentSide >= 0) {
+        const t = previousSide / (previousSide - currentSide);
+        const crossing = previous.lerp(current, t).sub(gate.center);
+        if (Math.abs(crossing.dot(gate.right)) <= gate.width / 2 && Math.abs(crossing.dot(gate.up)) <= gate.height / 2) {
+          reward += passBonus;
+          index++;
+        }
+      }
+
+      info.gateIndex = index;
+      if (index >= gateFrames.length) info.success = true;
+      return reward;
+    },
+  };
+};
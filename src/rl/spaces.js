@@ -0,0 +1,88 @@
+/**
+ * @class Box
+ * @description A bounded n-dimensional continuous space, following the Gym `Box` convention.
+ * Bounds are stored as flat Float32Arrays; `shape` describes how the flat data is laid out.
+ *
+ * @example
+ * const space = new Box([-1, -1, -1, 0], [1, 1, 1, 1]);
+ * space.contains([0, 0, 0, 0.5]); // true
+ */
+export class Box {
+  /**
+   * @constructor
+   * @param {number|number[]} low - Lower bound, either per element or a scalar for all elements.
+   * @param {number|number[]} high - Upper bound, either per element or a scalar for all elements.
+   * @param {number[]} [shape] - Shape of the space. Inferred from `low`/`high` when they are arrays.
+   * @param {string} [dtype='float32'] - Element type of samples (`float32` or `uint8`).
+   */
+  constructor(low, high, shape, dtype = 'float32') {
+    const inferred = Array.isArray(low) ? low.length : Array.isArray(high) ? high.length : 1;
+    this.shape = shape || [inferred];
+    this.size = this.shape.reduce((a, b) => a * b, 1);
+    this.dtype = dtype;
+    this.low = Box.expand(low, this.size);
+    this.high = Box.expand(high, this.size);
+  }
+
+  /**
+   * @method expand
+   * @static
+   * @private
+   * @param {number|number[]} bound - Scalar or per-element bound.
+   * @param {number} size - Number of elements.
+   * @returns {Float32Array} The bound for every element.
+   */
+  static expand(bound, size) {
+    if (Array.isArray(bound) || ArrayBuffer.isView(bound)) {
+      if (bound.length !== size) {
+        throw new Error(`Box bound has ${bound.length} elements, expected ${size}.`);
+      }
+      return Float32Array.from(bound);
+    }
+    return new Float32Array(size).fill(bound);
+  }
+
+  /**
+   * @method sample
+   * @public
+   * @param {SeededRandom} random - Random source.
+   * @returns {Float32Array} A uniformly sampled element. Unbounded dimensions are sampled from N(0, 1).
+   */
+  sample(random) {
+    const out = new Float32Array(this.size);
+    for (let i = 0; i < this.size; i++) {
+      const low = this.low[i];
+      const high = this.high[i];
+      out[i] = isFinite(low) && isFinite(high) ? random.uniform(low, high) : random.gaussian();
+    }
+    return out;
+  }
+
+  /**
+   * @method contains
+   * @public
+   * @param {ArrayLike<number>} value - Flat element to test.
+   * @returns {boolean} Whether the value has the right size and lies within the bounds.
+   */
+  contains(value) {
+    if (!value || value.length !== this.size) return false;
+    for (let i = 0; i < this.size; i++) {
+      if (!(value[i] >= this.low[i] && value[i] <= this.high[i])) return false;
+    }
+    return true;
+  }
+
+  /**
+   * @method clip
+   * @public
+   * @param {ArrayLike<number>} value - Flat element to clip.
+   * @returns {Float32Array} The value clamped into the bounds.
+   */
+  clip(value) {
+    const out = new Float32Array(this.size);
+    for (let i = 0; i < this.size; i++) {
+      out[i] = Math.min(this.high[i], Math.max(this.low[i], value[i]));
+    }
+    return out;
+  }
+}
@@ -0,0 +1,456 @@
+import * as THREE from 'three';
+
+const DEG_TO_RAD = Math.PI / 180;
+const MAX_SOURCE_HALF_ANGLE = 75 * DEG_TO_RAD; // A perspective render cannot reach 90°; rays beyond this are black
+
+/**
+ * Lens models: `pinhole` (no distortion), `opencv` (pinhole with OpenCV's `[k1, k2, p1, p2, k3]` radial and
+ * tangential distortion) and `kannalaBrandt` (OpenCV's fisheye model, `[k1, k2, k3, k4]` on the angle of incidence).
+ * @type {string[]}
+ */
+export const LENS_MODELS = ['pinhole', 'opencv', 'kannalaBrandt'];
+
+// Output pixel -> ray in the OpenCV camera frame (x right, y down, z forward), mirrored by `pixelToRay()`
+const LENS_GLSL = /* glsl */ `
+  uniform int lensModel;
+  uniform float distortion[5];
+
+  vec3 distortedToRay(vec2 distorted) {
+    if (lensModel == 1) {
+      float k1 = distortion[0], k2 = distortion[1], p1 = distortion[2], p2 = distortion[3], k3 = distortion[4];
+      vec2 p = distorted;
+      for (int i = 0; i < 8; i++) {
+        float r2 = dot(p, p);
+        float radial = 1.0 + r2 * (k1 + r2 * (k2 + r2 * k3));
+        vec2 tangential = vec2(
+          2.0 * p1 * p.x * p.y + p2 * (r2 + 2.0 * p.x * p.x),
+          p1 * (r2 + 2.0 * p.y * p.y) + 2.0 * p2 * p.x * p.y
+        );
+        p = (distorted - tangential) / radial;
+      }
+      return vec3(p, 1.0);
+    }
+    if (lensModel == 2) {
+      float thetaD = length(distorted);
+      if (thetaD < 1e-8) return vec3(0.0, 0.0, 1.0);
+      float theta = thetaD;
+      for (int i = 0; i < 10; i++) {
+        float t2 = theta * theta;
+        float f = theta * (1.0 + t2 * (distortion[0] + t2 * (distortion[1] + t2 * (distortion[2] + t2 * distortion[3])))) - thetaD;
+        float df = 1.0 + t2 * (3.0 * distortion[0] + t2 * (5.0 * distortion[1] + t2 * (7.0 * distortion[2] + t2 * 9.0 * distortion[3])));
+        theta = clamp(theta - f / df, 0.0, 3.14159);
+      }
+      return vec3(sin(theta) * distorted / thetaD, cos(theta));
+    }
+    return vec3(distorted, 1.0);
+  }
+`;
+
+const QUAD_VERTEX_SHADER = /* glsl */ `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+// Samples the wide source render along each output pixel's ray, rotated by the camera's motion over the row's
+// readout time and the exposure, then applies exposure gain and sensor noise
+const EFFECTS_FRAGMENT_SHADER = /* glsl */ `
+  uniform sampler2D source;
+  uniform mat4 sourceProjection;
+  uniform vec2 resolution;
+  uniform vec4 intrinsics;
+  uniform vec3 angularVelocity;
+  uniform float readoutTime;
+  uniform float exposureTime;
+  uniform int samples;
+  uniform float blurRadius;
+  uniform float gain;
+  uniform float readNoise;
+  uniform float shotNoise;
+  uniform float seed;
+
+  ${LENS_GLSL}
+
+  float hash(vec3 p) {
+    p = fract(p * 0.1031);
+    p += dot(p, p.zyx + 31.32);
+    return fract((p.x + p.y) * p.z);
+  }
+
+  vec3 rotate(vec3 v, vec3 axisAngle) {
+    float angle = length(axisAngle);
+    if (angle < 1e-9) return v;
+    vec3 axis = axisAngle / angle;
+    return v * cos(angle) + cross(axis, v) * sin(angle) + axis * dot(axis, v) * (1.0 - cos(angle));
+  }
+
+  void main() {
+    vec2 pixel = vec2(gl_FragCoord.x, resolution.y - gl_FragCoord.y); // Image coordinates, rows top to bottom
+    float rowTime = (pixel.y / resolution.y - 0.5) * readoutTime;
+
+    vec3 color = vec3(0.0);
+    for (int i = 0; i < 32; i++) {
+      if (i >= samples) break;
+      float fraction = samples > 1 ? float(i) / float(samples - 1) - 0.5 : 0.0;
+      // Defocus blur: spread the samples over a disc on a golden-angle spiral
+      float radius = blurRadius * sqrt((float(i) + 0.5) / float(samples));
+      vec2 offset = radius * vec2(cos(float(i) * 2.39996), sin(float(i) * 2.39996));
+
+      vec3 ray = distortedToRay((pixel + offset - intrinsics.zw) / intrinsics.xy);
+      vec3 direction = rotate(vec3(ray.x, -ray.y, -ray.z), angularVelocity * (rowTime + fraction * exposureTime));
+      vec4 clip = sourceProjection * vec4(direction, 1.0);
+      vec2 uv = clip.xy / clip.w * 0.5 + 0.5;
+      if (clip.w > 0.0 && all(greaterThanEqual(uv, vec2(0.0))) && all(lessThanEqual(uv, vec2(1.0)))) {
+        color += texture2D(source, uv).rgb;
+      }
+    }
+    color *= gain / float(samples);
+
+    // Shot noise grows with the signal, read noise does not
+    vec3 sigma = sqrt(shotNoise * shotNoise * max(color, 0.0) + readNoise * readNoise);
+    vec3 u1 = vec3(hash(vec3(pixel, seed)), hash(vec3(pixel, seed + 1.0)), hash(vec3(pixel, seed + 2.0)));
+    vec3 u2 = vec3(hash(vec3(pixel, seed + 3.0)), hash(vec3(pixel, seed + 4.0)), hash(vec3(pixel, seed + 5.0)));
+    color += sigma * sqrt(-2.0 * log(max(u1, 1e-7))) * cos(6.28318 * u2);
+
+    gl_FragColor = vec4(clamp(color, 0.0, 1.0), 1.0);
+    #include <colorspace_fragment>
+  }
+`;
+
+// Log luminance of the source, sampled from a coarse mip level for auto-exposure
+const LUMINANCE_FRAGMENT_SHADER = /* glsl */ `
+  uniform sampler2D source;
+  uniform float lod;
+  varying vec2 vUv;
+
+  void main() {
+    vec3 color = textureLod(source, vUv, lod).rgb;
+    gl_FragColor = vec4(log(max(dot(color, vec3(0.2126, 0.7152, 0.0722)), 1e-4)), 0.0, 0.0, 1.0);
+  }
+`;
+
+/**
+ * Mirror of the shader's lens unprojection.
+ * @param {string} model - One of `LENS_MODELS`.
+ * @param {number[]} k - Distortion coefficients of the model.
+ * @param {number} x - Distorted normalized image x.
+ * @param {number} y - Distorted normalized image y.
+ * @returns {THREE.Vector3} Ray in the OpenCV camera frame (x right, y down, z forward), not normalized.
+ */
+const distortedToRay = (model, k, x, y) => {
+  if (model === 'opencv') {
+    const [k1 = 0, k2 = 0, p1 = 0, p2 = 0, k3 = 0] = k;
+    let px = x;
+    let py = y;
+    for (let i = 0; i < 8; i++) {
+      const r2 = px * px + py * py;
+      const radial = 1 + r2 * (k1 + r2 * (k2 + r2 * k3));
+      const tx = 2 * p1 * px * py + p2 * (r2 + 2 * px * px);
+      const ty = p1 * (r2 + 2 * py * py) + 2 * p2 * px * py;
+      px = (x - tx) / radial;
+      py = (y - ty) / radial;
+    }
+    return new THREE.Vector3(px, py, 1);
+  }
+  if (model === 'kannalaBrandt') {
+    const [k1 = 0, k2 = 0, k3 = 0, k4 = 0] = k;
+    const thetaD = Math.hypot(x, y);
+    if (thetaD < 1e-8) return new THREE.Vector3(0, 0, 1);
+    let theta = thetaD;
+    for (let i = 0; i < 10; i++) {
+      const t2 = theta * theta;
+      const f = theta * (1 + t2 * (k1 + t2 * (k2 + t2 * (k3 + t2 * k4)))) - thetaD;
+      const df = 1 + t2 * (3 * k1 + t2 * (5 * k2 + t2 * (7 * k3 + t2 * 9 * k4)));
+      theta = THREE.MathUtils.clamp(theta - f / df, 0, Math.PI);
+    }
+    return new THREE.Vector3((Math.sin(theta) * x) / thetaD, (Math.sin(theta) * y) / thetaD, Math.cos(theta));
+  }
+  return new THREE.Vector3(x, y, 1);
+};
+
+/**
+ * @class CameraEffects
+ * @description Post-processing that makes renders look like footage from a real FPV camera. The scene is rendered
+ * once with a wide pinhole camera, then every output pixel samples it along its ray through the lens model.
+ * The output includes:
+ * - lens distortion, with OpenCV pinhole-plus-distortion or Kannala-Brandt fisheye intrinsics;
+ * - rolling shutter, with rows read top to bottom over `readoutTime` while the camera rotates with the
+ *   drone's angular velocity;
+ * - rotational motion blur over `exposureTime` and a defocus blur;
+ * - shot and read noise;
+ * - auto-exposure that adapts the gain to the scene's brightness.
+ *
+ * Rolling shutter and motion blur come from rotation only; the drone's translation during one frame is small
+ * next to the distance of what it sees. Rays further than 75° from the optical axis cannot be rendered by the
+ * pinhole source and stay black, which crops very wide fisheye lenses to a circle.
+ */
+class CameraEffects {
+  /**
+   * @constructor
+   * @param {THREE.WebGLRenderer} renderer - Renderer to draw with, e.g. the FPV renderer from `createFPVDisplay()`.
+   * @param {Object} [settings] - Overrides for the default settings, see `configure()`.
+   */
+  constructor(renderer, settings = {}) {
+    this.renderer = renderer;
+    this.sourceCamera = new THREE.PerspectiveCamera();
+    this.source = new THREE.WebGLRenderTarget(1, 1, {
+      type: THREE.HalfFloatType,
+      minFilter: THREE.LinearMipmapLinearFilter,
+      generateMipmaps: true,
+    });
+    this.luminanceTarget = new THREE.WebGLRenderTarget(16, 16, { type: THREE.FloatType });
+    this.luminanceBuffer = new Float32Array(16 * 16 * 4);
+
+    this.material = new THREE.ShaderMaterial({
+      vertexShader: QUAD_VERTEX_SHADER,
+      fragmentShader: EFFECTS_FRAGMENT_SHADER,
+      uniforms: {
+        source: { value: this.source.texture },
+        sourceProjection: { value: new THREE.Matrix4() },
+        resolution: { value: new THREE.Vector2() },
+        intrinsics: { value: new THREE.Vector4() },
+        lensModel: { value: 0 },
+        distortion: { value: [0, 0, 0, 0, 0] },
+        angularVelocity: { value: new THREE.Vector3() },
+        readoutTime: { value: 0 },
+        exposureTime: { value: 0 },
+        samples: { value: 1 },
+        blurRadius: { value: 0 },
+        gain: { value: 1 },
+        readNoise: { value: 0 },
+        shotNoise: { value: 0 },
+        seed: { value: 0 },
+      },
+      depthTest: false,
+      depthWrite: false,
+    });
+    this.luminanceMaterial = new THREE.ShaderMaterial({
+      vertexShader: QUAD_VERTEX_SHADER,
+      fragmentShader: LUMINANCE_FRAGMENT_SHADER,
+      uniforms: { source: { value: this.source.texture }, lod: { value: 0 } },
+      depthTest: false,
+      depthWrite: false,
+    });
+    this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+    this.quad.frustumCulled = false;
+    this.quadScene = new THREE.Scene();
+    this.quadScene.add(this.quad);
+    this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+    this.cameraQuaternion = new THREE.Quaternion();
+    this.frame = 0;
+    this.configure(settings);
+  }
+
+  /**
+   * @method configure
+   * @public
+   * @param {Object} [settings] - Camera effect settings.
+   * @description Replaces the settings and restarts auto-exposure.
+   */
+  configure(settings = {}) {
+    // === Setting Variables === //
+    this.settings = {
+      model: 'kannalaBrandt', // One of LENS_MODELS
+      distortion: [0, 0, 0, 0], // Coefficients of the model; all zero is an ideal pinhole or equidistant fisheye
+      intrinsics: null, // { fx, fy, cx, cy } px; null derives them from the camera's FOV
+      intrinsicsResolution: null, // [width, height] px the intrinsics are calibrated at, scaled to the output; null is the output size
+      oversample: 1.5, // Source render pixels per output pixel, across the width
+      readoutTime: 0.01, // s, rolling shutter time from the top row to the bottom row; 0 is a global shutter
+      exposureTime: 0.004, // s, motion blur; 0 disables it
+      samples: 6, // Samples per pixel for motion and defocus blur (max 32)
+      blurRadius: 0.5, // px, defocus blur
+      readNoise: 0.01, // Noise standard deviation at black, fraction of full scale
+      shotNoise: 0.02, // Noise standard deviation that grows with the square root of the signal
+      ...settings,
+      autoExposure: {
+        enabled: true,
+        key: 0.4, // Geometric mean brightness the gain is steered to
+        adaptationRate: 2, // 1/s
+        minGain: 0.25,
+        maxGain: 4,
+        gain: 1, // Fixed gain when disabled, and the starting gain
+        ...settings.autoExposure,
+      },
+    };
+    // === End of Setting Variables === //
+
+    if (!LENS_MODELS.includes(this.settings.model)) {
+      throw new Error(`Unknown lens model "${this.settings.model}". Use one of: ${LENS_MODELS.join(', ')}.`);
+    }
+    this.gain = this.settings.autoExposure.gain;
+  }
+
+  /**
+   * @method getIntrinsics
+   * @public
+   * @param {THREE.PerspectiveCamera} camera - The camera, whose horizontal FOV sets default intrinsics.
+   * @param {number} width - Output width (px).
+   * @param {number} height - Output height (px).
+   * @returns {{fx: number, fy: number, cx: number, cy: number}} The configured intrinsics scaled to the output size,
+   * or ones that fit the camera's horizontal FOV across the width (a pinhole or equidistant projection, by model).
+   */
+  getIntrinsics(camera, width, height) {
+    const { intrinsics, intrinsicsResolution } = this.settings;
+    if (intrinsics) {
+      const [scaleX, scaleY] = intrinsicsResolution
+        ? [width / intrinsicsResolution[0], height / intrinsicsResolution[1]]
+        : [1, 1];
+      return { fx: intrinsics.fx * scaleX, fy: intrinsics.fy * scaleY, cx: intrinsics.cx * scaleX, cy: intrinsics.cy * scaleY };
+    }
+    const halfFov = Math.atan(Math.tan((camera.fov * DEG_TO_RAD) / 2) * camera.aspect);
+    const focal = (width / 2) / (this.settings.model === 'kannalaBrandt' ? halfFov : Math.tan(halfFov));
+    return { fx: focal, fy: focal, cx: width / 2, cy: height / 2 };
+  }
+
+  /**
+   * @method pixelToRay
+   * @public
+   * @param {number} u - Output pixel x (px, from the left edge).
+   * @param {number} v - Output pixel y (px, from the top edge).
+   * @param {Object} intrinsics - `{ fx, fy, cx, cy }`, see `getIntrinsics()`.
+   * @returns {THREE.Vector3} Unit ray in the OpenCV camera frame (x right, y down, z forward) that the lens maps to
+   * the pixel, ignoring rolling shutter.
+   */
+  pixelToRay(u, v, { fx, fy, cx, cy }) {
+    return distortedToRay(this.settings.model, this.settings.distortion, (u - cx) / fx, (v - cy) / fy).normalize();
+  }
+
+  /**
+   * @method render
+   * @public
+   * @param {THREE.Scene} scene - The scene.
+   * @param {THREE.PerspectiveCamera} camera - The camera to film with, e.g. from `CameraRig`; only its pose and FOV
+   * are used.
+   * @param {number} dt - Time since the last frame (s), for auto-exposure.
+   * @param {THREE.Vector3} [angularVelocity] - The camera's angular velocity in world axes (rad/s), e.g. the drone's.
+   * @param {THREE.WebGLRenderTarget|null} [target=null] - Where to draw, at its size; the canvas when null.
+   */
+  render(scene, camera, dt, angularVelocity = new THREE.Vector3(), target = null) {
+    const { renderer, settings, material } = this;
+    const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+    const [width, height] = target ? [target.width, target.height] : [size.x, size.y];
+    const intrinsics = this.getIntrinsics(camera, width, height);
+
+    this.updateSourceCamera(camera, width, height, intrinsics, angularVelocity);
+    const previousTarget = renderer.getRenderTarget();
+    try {
+      renderer.setRenderTarget(this.source);
+      renderer.render(scene, this.sourceCamera);
+      if (settings.autoExposure.enabled) this.updateExposure(dt);
+
+      const { uniforms } = material;
+      uniforms.sourceProjection.value.copy(this.sourceCamera.projectionMatrix);
+      uniforms.resolution.value.set(width, height);
+      uniforms.intrinsics.value.set(intrinsics.fx, intrinsics.fy, intrinsics.cx, intrinsics.cy);
+      uniforms.lensModel.value = LENS_MODELS.indexOf(settings.model);
+      uniforms.distortion.value = [0, 1, 2, 3, 4].map((i) => settings.distortion[i] || 0);
+      // The shader rotates rays in the camera's axes
+      camera.getWorldQuaternion(this.cameraQuaternion);
+      uniforms.angularVelocity.value.copy(angularVelocity).applyQuaternion(this.cameraQuaternion.invert());
+      uniforms.readoutTime.value = settings.readoutTime;
+      uniforms.exposureTime.value = settings.exposureTime;
+      uniforms.samples.value = THREE.MathUtils.clamp(Math.round(settings.samples), 1, 32);
+      uniforms.blurRadius.value = settings.blurRadius;
+      uniforms.gain.value = this.gain;
+      uniforms.readNoise.value = settings.readNoise;
+      uniforms.shotNoise.value = settings.shotNoise;
+      uniforms.seed.value = (this.frame++ % 1000) * 7.13;
+
+      this.quad.material = material;
+      renderer.setRenderTarget(target);
+      renderer.render(this.quadScene, this.quadCamera);
+    } finally {
+      renderer.setRenderTarget(previousTarget);
+    }
+  }
+
+  /**
+   * @method updateSourceCamera
+   * @private
+   * @param {THREE.PerspectiveCamera} camera - The filming camera.
+   * @param {number} width - Output width (px).
+   * @param {number} height - Output height (px).
+   * @param {Object} intrinsics - Output intrinsics.
+   * @param {THREE.Vector3} angularVelocity - World angular velocity (rad/s).
+   * @description Points the source camera like the filming camera and widens it to every ray of the output,
+   * plus the rotation during readout and exposure, then sizes the source target.
+   */
+  updateSourceCamera(camera, width, height, intrinsics, angularVelocity) {
+    const { sourceCamera, settings } = this;
+    camera.updateMatrixWorld();
+    camera.matrixWorld.decompose(sourceCamera.position, sourceCamera.quaternion, sourceCamera.scale);
+
+    // The widest ray is on the border of the image
+    let maxX = 0;
+    let maxY = 0;
+    [0, 0.25, 0.5, 0.75, 1].forEach((t) => {
+      [[t * width, 0], [t * width, height], [0, t * height], [width, t * height]].forEach(([u, v]) => {
+        const ray = this.pixelToRay(u, v, intrinsics);
+        const angleX = Math.atan2(Math.abs(ray.x), ray.z);
+        const angleY = Math.atan2(Math.abs(ray.y), ray.z);
+        maxX = Math.max(maxX, angleX);
+        maxY = Math.max(maxY, angleY);
+      });
+    });
+    const motion = angularVelocity.length() * (settings.readoutTime + settings.exposureTime) / 2
+      + (settings.blurRadius + 1) / intrinsics.fx;
+    const tanX = Math.tan(Math.min(maxX + motion, MAX_SOURCE_HALF_ANGLE));
+    const tanY = Math.tan(Math.min(maxY + motion, MAX_SOURCE_HALF_ANGLE));
+
+    sourceCamera.fov = 2 * Math.atan(tanY) / DEG_TO_RAD;
+    sourceCamera.aspect = tanX / tanY;
+    sourceCamera.near = camera.near;
+    sourceCamera.far = camera.far;
+    sourceCamera.updateProjectionMatrix();
+    sourceCamera.updateMatrixWorld();
+
+    const sourceWidth = Math.max(1, Math.round(width * settings.oversample));
+    const sourceHeight = Math.max(1, Math.round((sourceWidth * tanY) / tanX));
+    if (this.source.width !== sourceWidth || this.source.height !== sourceHeight) {
+      this.source.setSize(sourceWidth, sourceHeight);
+    }
+  }
+
+  /**
+   * @method updateExposure
+   * @private
+   * @param {number} dt - Time since the last frame (s).
+   * @description Measures the source's geometric mean luminance on a coarse grid and moves the gain towards
+   * `key / mean`, exponentially in log space.
+   */
+  updateExposure(dt) {
+    const { renderer, luminanceTarget, luminanceBuffer } = this;
+    const { key, adaptationRate, minGain, maxGain } = this.settings.autoExposure;
+
+    this.luminanceMaterial.uniforms.lod.value = Math.max(0, Math.log2(this.source.width / luminanceTarget.width));
+    this.quad.material = this.luminanceMaterial;
+    renderer.setRenderTarget(luminanceTarget);
+    renderer.render(this.quadScene, this.quadCamera);
+    renderer.readRenderTargetPixels(luminanceTarget, 0, 0, luminanceTarget.width, luminanceTarget.height, luminanceBuffer);
+
+    let logSum = 0;
+    for (let i = 0; i < luminanceBuffer.length; i += 4) logSum += luminanceBuffer[i];
+    const targetGain = THREE.MathUtils.clamp(key / Math.exp(logSum / (luminanceBuffer.length / 4)), minGain, maxGain);
+    const blend = 1 - Math.exp(-adaptationRate * Math.max(dt, 0));
+    this.gain = Math.exp(Math.log(this.gain) + (Math.log(targetGain) - Math.log(this.gain)) * blend);
+  }
+
+  /**
+   * @method dispose
+   * @public
+   * @description Frees the render targets and materials.
+   */
+  dispose() {
+    this.source.dispose();
+    this.luminanceTarget.dispose();
+    this.material.dispose();
+    this.luminanceMaterial.dispose();
+    this.quad.geometry.dispose();
+  }
+}
+
+export default CameraEffects;
@@ -0,0 +1,292 @@
+import * as THREE from 'three';
+import Gimbal from './Gimbal';
+
+const DEG_TO_RAD = Math.PI / 180;
+const FACE_FORWARD = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI); // -Z to +Z
+
+/**
+ * Camera mounts used when the airframe defines none, in the airframe `cameras` format (see airframes.js).
+ * @type {Object[]}
+ */
+export const DEFAULT_CAMERA_MOUNTS = [
+  { name: 'fpv', position: [0, 0.02, 0.05], tilt: 20, fov: 120 },
+];
+
+/**
+ * @class CameraRig
+ * @description The drone's onboard cameras, built from the airframe's camera mounts and attached to the drone so
+ * they follow it without per-frame bookkeeping. One camera is active (the FPV view); inference and dataset
+ * capture can target any camera by name.
+ *
+ * A mount has a `name`, a `position` relative to the centre of gravity, a `tilt` (deg up from the body's forward
+ * axis, -90 looks straight down), a `yaw` (deg about the body's up axis towards +X, 180 looks backwards), a
+ * horizontal `fov` (deg), a `resolution` (`[width, height]`, px) that also sets the aspect ratio, and a `near`/`far`
+ * range (m). A mount with a `baseline` (m) is a rectified stereo pair: two parallel cameras `<name>Left` and
+ * `<name>Right`, centred on the position and sharing every other setting (see `StereoCamera`). A mount with a
+ * `gimbal` (settings, see `Gimbal`) carries its camera on a stabilized gimbal whose initial pitch target is the
+ * mount's `tilt`; `update()` drives it and the `gimbalMode`, `gimbalPitch` and `gimbalYaw` control inputs command it.
+ */
+class CameraRig {
+  /**
+   * @constructor
+   * @param {Object} [settings] - Overrides for the default settings, see `this.settings`.
+   */
+  constructor(settings = {}) {
+    // === Setting Variables === //
+    this.settings = {
+      resolution: [768, 432], // px, for mounts without one; NeuFlow's input size
+      near: 0.01, // m, for mounts without a near plane
+      far: 1000, // m, for mounts without a far plane
+      ...settings,
+    };
+    // === End of Setting Variables === //
+
+    this.cameras = new Map(); // PerspectiveCamera by mount name
+    this.mounts = new Map(); // Resolved mount by name
+    this.targets = new Map(); // Capture render target by mount name
+    this.gimbals = new Map(); // Gimbal by mount name, for gimballed mounts
+    this.gimbalInputs = null; // Gimbal control inputs last seen; only changes are applied
+    this.activeCamera = null;
+  }
+
+  /**
+   * @method attach
+   * @public
+   * @param {THREE.Object3D} drone - The drone object, at the centre of gravity.
+   * @param {Object[]} [mounts] - Camera mounts; `DEFAULT_CAMERA_MOUNTS` when missing or empty.
+   * @description Replaces the rig's cameras with one camera per mount (two for a stereo mount), parented to the
+   * drone. The first camera becomes the active camera.
+   */
+  attach(drone, mounts) {
+    this.detach();
+    (mounts && mounts.length > 0 ? mounts : DEFAULT_CAMERA_MOUNTS).forEach((mount, i) => {
+      const resolved = {
+        tilt: 0,
+        yaw: 0,
+        fov: 90,
+        resolution: this.settings.resolution,
+        near: this.settings.near,
+        far: this.settings.far,
+        ...mount,
+        name: mount.name || `camera${i + 1}`,
+      };
+      if (resolved.baseline > 0 && resolved.gimbal) {
+        throw new Error(`Camera mount "${resolved.name}" cannot be both a stereo pair and gimballed.`);
+      }
+      if (resolved.baseline > 0) {
+        this.addCamera(drone, { ...resolved, name: `${resolved.name}Left`, stereo: resolved.name }, -resolved.baseline / 2);
+        this.addCamera(drone, { ...resolved, name: `${resolved.name}Right`, stereo: resolved.name }, resolved.baseline / 2);
+      } else {
+        this.addCamera(drone, resolved, 0);
+      }
+    });
+    this.activeCamera = this.cameras.values().next().value;
+  }
+
+  /**
+   * @method addCamera
+   * @private
+   * @param {THREE.Object3D} drone - The drone object.
+   * @param {Object} mount - Resolved mount.
+   * @param {number} offset - Shift along the camera's right axis (m), for the cameras of a stereo pair.
+   */
+  addCamera(drone, mount, offset) {
+    if (this.cameras.has(mount.name)) {
+      throw new Error(`Camera mount "${mount.name}" is defined twice.`);
+    }
+
+    const [width, height] = mount.resolution;
+    const aspect = width / height;
+    const verticalFov = 2 * Math.atan(Math.tan((mount.fov * DEG_TO_RAD) / 2) / aspect) / DEG_TO_RAD;
+    const camera = new THREE.PerspectiveCamera(verticalFov, aspect, mount.near, mount.far);
+    camera.name = mount.name;
+    // Cameras look down their -Z axis; turn it to the body's +Z, then tilt up and yaw
+    camera.rotation.set(mount.tilt * DEG_TO_RAD, Math.PI + mount.yaw * DEG_TO_RAD, 0, 'YXZ');
+    camera.position.copy(mount.position instanceof THREE.Vector3
+      ? mount.position
+      : new THREE.Vector3().fromArray(mount.position || [0, 0, 0]));
+    camera.position.add(new THREE.Vector3(offset, 0, 0).applyQuaternion(camera.quaternion));
+    drone.add(camera);
+
+    this.cameras.set(mount.name, camera);
+    this.mounts.set(mount.name, mount);
+    if (mount.gimbal) {
+      const gimbal = new Gimbal({ pitch: mount.tilt, ...mount.gimbal });
+      this.gimbals.set(mount.name, gimbal);
+      this.applyGimbal(camera, mount, gimbal);
+    }
+  }
+
+  /**
+   * @method update
+   * @public
+   * @param {number} dt - Time step (s).
+   * @param {THREE.Quaternion} droneQuaternion - The drone's world orientation.
+   * @param {Object} [inputs] - Control inputs (see `DroneControls.getControlInputs()`); `gimbalMode`, `gimbalPitch`
+   * and `gimbalYaw` are applied to every gimbal when they change, so they do not override the airframe's gimbal
+   * settings or calls to the gimbals' own API until they are used.
+   * @description Steps the gimbals and turns their cameras.
+   */
+  update(dt, droneQuaternion, inputs = {}) {
+    if (this.gimbals.size === 0) return;
+
+    const { gimbalMode, gimbalPitch, gimbalYaw } = inputs;
+    if (this.gimbalInputs) {
+      const changed = (key, value) => value !== undefined && value !== this.gimbalInputs[key];
+      this.gimbals.forEach((gimbal) => {
+        if (changed('gimbalMode', gimbalMode)) gimbal.setMode(gimbalMode);
+        if (changed('gimbalPitch', gimbalPitch)) gimbal.setTarget({ pitch: gimbalPitch });
+        if (changed('gimbalYaw', gimbalYaw)) gimbal.setTarget({ yaw: gimbalYaw });
+      });
+    }
+    this.gimbalInputs = { gimbalMode, gimbalPitch, gimbalYaw };
+
+    const mountQuaternion = new THREE.Quaternion();
+    this.gimbals.forEach((gimbal, name) => {
+      const mount = this.mounts.get(name);
+      mountQuaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), mount.yaw * DEG_TO_RAD).premultiply(droneQuaternion);
+      gimbal.update(dt, mountQuaternion);
+      this.applyGimbal(this.cameras.get(name), mount, gimbal);
+    });
+  }
+
+  /**
+   * @method applyGimbal
+   * @private
+   * @param {THREE.PerspectiveCamera} camera - A gimballed camera.
+   * @param {Object} mount - Its mount.
+   * @param {Gimbal} gimbal - Its gimbal.
+   * @description Orients the camera by the mount's yaw and the gimbal's joints.
+   */
+  applyGimbal(camera, mount, gimbal) {
+    camera.quaternion
+      .setFromAxisAngle(new THREE.Vector3(0, 1, 0), mount.yaw * DEG_TO_RAD)
+      .multiply(gimbal.quaternion)
+      .multiply(FACE_FORWARD);
+  }
+
+  /**
+   * @method reset
+   * @public
+   * @description Returns the gimbals to their targets, e.g. when the drone is reset.
+   */
+  reset() {
+    this.gimbals.forEach((gimbal, name) => {
+      gimbal.reset();
+      this.applyGimbal(this.cameras.get(name), this.mounts.get(name), gimbal);
+    });
+  }
+
+  /**
+   * @method getGimbal
+   * @public
+   * @param {string} [name] - Camera name. Defaults to the active camera.
+   * @returns {Gimbal|null} The camera's gimbal, or null for a fixed camera.
+   */
+  getGimbal(name) {
+    return this.gimbals.get(this.getCamera(name).name) || null;
+  }
+
+  /**
+   * @method getGimbalTelemetry
+   * @public
+   * @returns {Object<string, Object>} `Gimbal.getTelemetry()` by camera name.
+   */
+  getGimbalTelemetry() {
+    const telemetry = {};
+    this.gimbals.forEach((gimbal, name) => { telemetry[name] = gimbal.getTelemetry(); });
+    return telemetry;
+  }
+
+  /**
+   * @method detach
+   * @public
+   * @description Removes the cameras from the drone and frees their capture targets.
+   */
+  detach() {
+    this.cameras.forEach((camera) => {
+      if (camera.parent) camera.parent.remove(camera);
+    });
+    this.targets.forEach((target) => target.dispose());
+    this.cameras.clear();
+    this.mounts.clear();
+    this.targets.clear();
+    this.gimbals.clear();
+    this.activeCamera = null;
+  }
+
+  /**
+   * @method getCameraNames
+   * @public
+   * @returns {string[]} Names of the mounted cameras, in mount order.
+   */
+  getCameraNames() {
+    return [...this.cameras.keys()];
+  }
+
+  /**
+   * @method getCamera
+   * @public
+   * @param {string} [name] - Camera name. Defaults to the active camera.
+   * @returns {THREE.PerspectiveCamera|null} The camera, or null before `attach()`.
+   */
+  getCamera(name) {
+    if (name === undefined) return this.activeCamera;
+    if (!this.cameras.has(name)) {
+      throw new Error(`Unknown camera "${name}". Mounted cameras: ${this.getCameraNames().join(', ')}.`);
+    }
+    return this.cameras.get(name);
+  }
+
+  /**
+   * @method getMount
+   * @public
+   * @param {string} [name] - Camera name. Defaults to the active camera.
+   * @returns {Object} The camera's mount with all defaults filled in.
+   */
+  getMount(name) {
+    return this.mounts.get(this.getCamera(name).name);
+  }
+
+  /**
+   * @method setActiveCamera
+   * @public
+   * @param {string} name - Name of the camera to show in the FPV view.
+   */
+  setActiveCamera(name) {
+    this.activeCamera = this.getCamera(name);
+  }
+
+  /**
+   * @method capture
+   * @public
+   * @param {THREE.WebGLRenderer} renderer - Renderer to draw with, e.g. the FPV renderer.
+   * @param {THREE.Scene} scene - The scene to render.
+   * @param {string} [name] - Camera name. Defaults to the active camera.
+   * @returns {{name: string, width: number, height: number, pixels: Uint8Array}} An sRGB RGBA frame at the
+   * camera's resolution, independent of the canvas size, with rows in WebGL order (bottom row first) like
+   * `captureFPVSnapshot()`.
+   */
+  capture(renderer, scene, name) {
+    const camera = this.getCamera(name);
+    const [width, height] = this.mounts.get(camera.name).resolution;
+    let target = this.targets.get(camera.name);
+    if (!target) {
+      target = new THREE.WebGLRenderTarget(width, height, { colorSpace: THREE.SRGBColorSpace });
+      this.targets.set(camera.name, target);
+    }
+
+    const previousTarget = renderer.getRenderTarget();
+    const pixels = new Uint8Array(width * height * 4);
+    try {
+      renderer.setRenderTarget(target);
+      renderer.render(scene, camera);
+      renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+    } finally {
+      renderer.setRenderTarget(previousTarget);
+    }
+    return { name: camera.name, width, height, pixels };
+  }
+}
+
+export default CameraRig;
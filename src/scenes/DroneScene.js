@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { labelEnvironment } from '../sensors/semanticLabels';
 
 /**
  * @class DroneScene
@@ -15,9 +16,19 @@ class DroneScene extends THREE.Scene {
   constructor(addLog) {
     super();
     this.drone = null;
+    this.airframe = null; // Airframe description (see airframes.js); set before init() to load its model
     this.droneAnimations = [];
     this.animationMixer = null;
+    this.propellers = [];
     this.environment = null;
+
+    // === Setting Variables === //
+    this.settings = {
+      propellerNamePattern: /(?:rotor|prop(?:eller)?)\D*(\d+)/i, // Model nodes animated from motor RPM, numbered like the motors
+      propellerAnimationScale: 0.02, // Fraction of the real RPM shown, so fast rotors do not alias at display frame rates
+    };
+    // === End of Setting Variables === //
+
     this.addLog = addLog;
     this.addLog('DroneScene constructor: Scene initialized');
   }
@@ -63,7 +74,17 @@ class DroneScene extends THREE.Scene {
     }
   }
 
+  /**
+   * @method loadDroneModel
+   * @private
+   * @returns {Promise} A promise that resolves when the drone model is loaded.
+   * @description Loads the airframe's visual model. `this.drone` is a group at the airframe's centre of gravity,
+   * where the physics body is, holding the model offset by the centre of gravity.
+   */
   async loadDroneModel() {
+    const { path, scale } = this.airframe ? this.airframe.model : { path: '/assets/models/drone/fpv.glb', scale: 1 };
+    const centerOfGravity = this.airframe ? this.airframe.centerOfGravity : new THREE.Vector3();
+
     return new Promise((resolve, reject) => {
       const loader = new GLTFLoader();
       const dracoLoader = new DRACOLoader();
@@ -71,14 +92,20 @@ class DroneScene extends THREE.Scene {
       loader.setDRACOLoader(dracoLoader);
 
       loader.load(
-        '/assets/models/drone/fpv.glb',
+        path,
         (gltf) => {
-          this.drone = gltf.scene;
-          this.drone.scale.set(1, 1, 1);
+          const model = gltf.scene;
+          model.scale.setScalar(scale);
+          model.position.copy(centerOfGravity).negate();
+
+          this.drone = new THREE.Group();
+          this.drone.name = 'drone';
+          this.drone.userData.label = 'drone';
           this.drone.position.set(0, 5, 0);
+          this.drone.add(model);
 
           // Traverse the drone model to ensure materials are properly applied
-          this.drone.traverse((child) => {
+          model.traverse((child) => {
             if (child.isMesh) {
               // Ensure the material is using its map (texture)
               if (child.material.map) {
@@ -103,8 +130,15 @@ class DroneScene extends THREE.Scene {
 
           this.add(this.drone);
 
+          // Propellers are spun from motor RPM, so their baked rotation tracks are dropped from the clips
+          this.propellers = this.findPropellers(this.drone, gltf.animations);
+          const propellerNodes = new Set(this.propellers.map((propeller) => propeller.object.name));
+          gltf.animations.forEach((clip) => {
+            clip.tracks = clip.tracks.filter((track) => !propellerNodes.has(track.name.split('.')[0]));
+          });
+
           // Set up animations
-          this.animationMixer = new THREE.AnimationMixer(this.drone);
+          this.animationMixer = new THREE.AnimationMixer(model);
           this.droneAnimations = gltf.animations;
           
           // Play all animations
@@ -147,6 +181,7 @@ class DroneScene extends THREE.Scene {
         '/assets/models/gltf_enviorment3/Map_v1.gltf', // Correct the directory name here
         (gltf) => {
           this.environment = gltf.scene;
+          labelEnvironment(this.environment);
           this.add(this.environment);
           this.addLog('DroneScene loadEnvironment: Environment loaded successfully');
           resolve();
@@ -162,11 +197,70 @@ class DroneScene extends THREE.Scene {
     });
   }
 
+  /**
+   * @method findPropellers
+   * @private
+   * @param {THREE.Object3D} model - The loaded drone model.
+   * @param {THREE.AnimationClip[]} animations - The model's clips, used to recover each rotor's spin axis.
+   * @returns {Object[]} `{ object, axis, rpm, spin }` per propeller, ordered by the number in its name.
+   */
+  findPropellers(model, animations) {
+    const propellers = [];
+    model.traverse((child) => {
+      const match = child.name.match(this.settings.propellerNamePattern);
+      // Skip bone tips (`Rotor1_end`) and children of an already found propeller
+      if (match && !/end/i.test(child.name) && !propellers.some((p) => p.index === Number(match[1]))) {
+        propellers.push({ object: child, index: Number(match[1]), axis: new THREE.Vector3(0, 1, 0), rpm: 0, spin: 1 });
+      }
+    });
+    propellers.sort((a, b) => a.index - b.index);
+
+    // The baked spin animation tells which local axis each rotor turns about
+    propellers.forEach((propeller) => {
+      animations.forEach((clip) => {
+        const track = clip.tracks.find((t) => t.name === `${propeller.object.name}.quaternion`);
+        if (!track || track.values.length < 8) return;
+        const q0 = new THREE.Quaternion().fromArray(track.values, 0);
+        const q1 = new THREE.Quaternion().fromArray(track.values, 4);
+        const delta = q0.invert().multiply(q1);
+        const axis = new THREE.Vector3(delta.x, delta.y, delta.z);
+        if (axis.lengthSq() > 1e-12) {
+          // Orient the axis towards the rotor's up so `spin` keeps its counter-clockwise-from-above meaning
+          const up = new THREE.Vector3(0, 1, 0).applyQuaternion(propeller.object.quaternion.clone().invert());
+          propeller.axis.copy(axis.normalize().multiplyScalar(Math.sign(axis.dot(up)) || 1));
+        }
+      });
+    });
+
+    this.addLog(`DroneScene findPropellers: ${propellers.length} propellers found`);
+    return propellers;
+  }
+
+  /**
+   * @method setPropellerSpeeds
+   * @public
+   * @param {number[]} rpms - Rotor speed per motor (RPM).
+   * @param {number[]} [spins] - Spin direction per motor, `1` counter-clockwise or `-1` clockwise seen from above.
+   * @description Sets the speeds the propellers are animated at on the next `update()`.
+   */
+  setPropellerSpeeds(rpms, spins = []) {
+    this.propellers.forEach((propeller, i) => {
+      propeller.rpm = rpms[i] || 0;
+      propeller.spin = spins[i] || 1;
+    });
+  }
+
   update(deltaTime) {
     // Update animations
     if (this.animationMixer) {
       this.animationMixer.update(deltaTime);
     }
+
+    // Spin propellers at their motor's RPM
+    this.propellers.forEach((propeller) => {
+      const angle = (propeller.rpm / 60) * 2 * Math.PI * deltaTime * this.settings.propellerAnimationScale;
+      propeller.object.rotateOnAxis(propeller.axis, propeller.spin * angle);
+    });
   }
 }
 
@@ -0,0 +1,227 @@
+import * as THREE from 'three';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Gimbal modes:
+ * - `fpv`: the joints hold the pitch and yaw targets relative to the body, with no stabilization.
+ * - `follow`: roll and pitch are stabilized to the horizon; the heading follows the body's, offset by the yaw target.
+ * - `lock`: roll, pitch and heading are stabilized; the heading stays where it was when the lock engaged, offset
+ *   by the yaw target.
+ * @type {Object<string, string>}
+ */
+export const GIMBAL_MODES = {
+  FPV: 'fpv',
+  FOLLOW: 'follow',
+  LOCK: 'lock',
+};
+
+const AXES = ['yaw', 'pitch', 'roll'];
+
+/**
+ * Wraps an angle to [-π, π).
+ * @param {number} angle - Angle (rad).
+ * @returns {number} The wrapped angle.
+ */
+const wrapAngle = (angle) => THREE.MathUtils.euclideanModulo(angle + Math.PI, 2 * Math.PI) - Math.PI;
+
+/**
+ * @param {THREE.Quaternion} quaternion - An orientation whose +Z is forward and +Y up.
+ * @returns {number} Heading of its forward axis about world +Y, from +Z towards +X (rad).
+ */
+const headingOf = (quaternion) => {
+  const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(quaternion);
+  return Math.atan2(forward.x, forward.z);
+};
+
+/**
+ * @class Gimbal
+ * @description A 2-axis (pitch, roll) or 3-axis (yaw, pitch, roll) camera gimbal between a camera mount and the
+ * camera. Each update, the stabilization controller works out the joint angles that would give the camera the
+ * orientation the mode asks for. Each joint motor then drives towards its angle proportionally, within the motor's
+ * rate limit and the axis's travel. The camera lags fast body motion and stops at the end stops like a real gimbal.
+ *
+ * Joint angles are in the mount frame: yaw about the mount's up axis towards +X, then pitch up, then roll, on top
+ * of the mount's own `yaw`. A 2-axis gimbal has no yaw joint, so its heading always follows the body.
+ */
+class Gimbal {
+  /**
+   * @constructor
+   * @param {Object} [settings] - Overrides for the default settings, see `this.settings`.
+   */
+  constructor(settings = {}) {
+    // === Setting Variables === //
+    this.settings = {
+      axes: 3, // 2 (pitch, roll) or 3 (yaw, pitch, roll)
+      mode: GIMBAL_MODES.FOLLOW, // One of GIMBAL_MODES
+      pitch: 0, // deg, initial pitch target
+      stiffness: 20, // 1/s, joint rate per unit of angle error
+      ...settings,
+      limits: {
+        yaw: [-180, 180], // deg; a full turn lets the yaw joint wrap around
+        pitch: [-90, 30], // deg
+        roll: [-45, 45], // deg
+        ...settings.limits,
+      },
+      maxRates: {
+        yaw: 180, // deg/s
+        pitch: 120, // deg/s
+        roll: 120, // deg/s
+        ...settings.maxRates,
+      },
+    };
+    // === End of Setting Variables === //
+
+    if (![2, 3].includes(this.settings.axes)) {
+      throw new Error(`A gimbal has 2 or 3 axes, not ${this.settings.axes}.`);
+    }
+    this.setMode(this.settings.mode);
+
+    this.angles = { yaw: 0, pitch: this.settings.pitch * DEG_TO_RAD, roll: 0 }; // rad, joint angles
+    this.targets = { yaw: 0, pitch: this.settings.pitch }; // deg
+    this.lockHeading = null; // rad, world heading held in lock mode
+    this.quaternion = new THREE.Quaternion(); // Joint rotation relative to the mount
+    this.euler = new THREE.Euler(0, 0, 0, 'YXZ');
+    this.updateQuaternion();
+  }
+
+  /**
+   * @method setMode
+   * @public
+   * @param {string} mode - One of GIMBAL_MODES. Entering `lock` holds the camera's current heading.
+   */
+  setMode(mode) {
+    if (!Object.values(GIMBAL_MODES).includes(mode)) {
+      throw new Error(`Unknown gimbal mode "${mode}". Use one of: ${Object.values(GIMBAL_MODES).join(', ')}.`);
+    }
+    if (mode === GIMBAL_MODES.LOCK && this.mode !== GIMBAL_MODES.LOCK) this.lockHeading = null;
+    this.mode = mode;
+  }
+
+  /**
+   * @method cycleMode
+   * @public
+   * @description Switches to the next mode (fpv -> follow -> lock -> fpv).
+   */
+  cycleMode() {
+    const modes = Object.values(GIMBAL_MODES);
+    this.setMode(modes[(modes.indexOf(this.mode) + 1) % modes.length]);
+  }
+
+  /**
+   * @method setTarget
+   * @public
+   * @param {Object} target - Angle targets; missing ones keep their value.
+   * @param {number} [target.pitch] - Camera pitch (deg, up positive): relative to the body in `fpv` mode, to the
+   * horizon otherwise.
+   * @param {number} [target.yaw] - Heading offset (deg, towards +X): from the body's heading in `fpv` and
+   * `follow` modes, from the locked heading in `lock` mode. Ignored by 2-axis gimbals.
+   */
+  setTarget({ pitch, yaw } = {}) {
+    if (pitch !== undefined) this.targets.pitch = pitch;
+    if (yaw !== undefined) this.targets.yaw = yaw;
+  }
+
+  /**
+   * @method reset
+   * @public
+   * @description Moves the joints straight to the targets' body-relative angles and releases the heading lock.
+   */
+  reset() {
+    this.angles.yaw = this.settings.axes === 3 ? this.clampAxis('yaw', this.targets.yaw * DEG_TO_RAD) : 0;
+    this.angles.pitch = this.clampAxis('pitch', this.targets.pitch * DEG_TO_RAD);
+    this.angles.roll = 0;
+    this.lockHeading = null;
+    this.updateQuaternion();
+  }
+
+  /**
+   * @method update
+   * @public
+   * @param {number} dt - Time step (s).
+   * @param {THREE.Quaternion} mountQuaternion - World orientation of the mount: the body's orientation times the
+   * mount's rotation, with +Z forward and +Y up.
+   */
+  update(dt, mountQuaternion) {
+    const goal = this.getJointTargets(mountQuaternion);
+    AXES.forEach((axis) => {
+      if (axis === 'yaw' && this.settings.axes === 2) return;
+
+      const [min, max] = this.settings.limits[axis];
+      const fullTurn = max - min >= 360;
+      const target = fullTurn ? goal[axis] : this.clampAxis(axis, goal[axis]);
+      const error = fullTurn ? wrapAngle(target - this.angles[axis]) : target - this.angles[axis];
+      const maxRate = this.settings.maxRates[axis] * DEG_TO_RAD;
+      const rate = THREE.MathUtils.clamp(this.settings.stiffness * error, -maxRate, maxRate);
+      // Never step past the target, however coarse the time step
+      const step = Math.abs(rate * dt) > Math.abs(error) ? error : rate * dt;
+      this.angles[axis] = fullTurn ? wrapAngle(this.angles[axis] + step) : this.clampAxis(axis, this.angles[axis] + step);
+    });
+    this.updateQuaternion();
+  }
+
+  /**
+   * @method getJointTargets
+   * @private
+   * @param {THREE.Quaternion} mountQuaternion - World orientation of the mount.
+   * @returns {{yaw: number, pitch: number, roll: number}} Joint angles (rad) for the orientation the mode asks for.
+   */
+  getJointTargets(mountQuaternion) {
+    const pitch = this.targets.pitch * DEG_TO_RAD;
+    const yaw = this.targets.yaw * DEG_TO_RAD;
+    if (this.mode === GIMBAL_MODES.FPV) return { yaw, pitch, roll: 0 };
+
+    let heading = headingOf(mountQuaternion) + yaw;
+    if (this.mode === GIMBAL_MODES.LOCK) {
+      if (this.lockHeading === null) {
+        this.lockHeading = headingOf(mountQuaternion.clone().multiply(this.quaternion)) - yaw;
+      }
+      heading = this.lockHeading + yaw;
+    }
+
+    // The camera orientation in world, then the joint rotation that gives it from the mount
+    const desired = new THREE.Quaternion().setFromEuler(new THREE.Euler(-pitch, heading, 0, 'YXZ'));
+    const joints = mountQuaternion.clone().invert().multiply(desired);
+    this.euler.setFromQuaternion(joints, 'YXZ');
+    return { yaw: this.euler.y, pitch: -this.euler.x, roll: this.euler.z };
+  }
+
+  /**
+   * @method clampAxis
+   * @private
+   * @param {string} axis - `yaw`, `pitch` or `roll`.
+   * @param {number} angle - Angle (rad).
+   * @returns {number} The angle within the axis's travel.
+   */
+  clampAxis(axis, angle) {
+    const [min, max] = this.settings.limits[axis];
+    return THREE.MathUtils.clamp(angle, min * DEG_TO_RAD, max * DEG_TO_RAD);
+  }
+
+  /**
+   * @method updateQuaternion
+   * @private
+   * @description Composes the joint rotation: yaw, then pitch up (about -X in the +Z-forward frame), then roll.
+   */
+  updateQuaternion() {
+    this.euler.set(-this.angles.pitch, this.angles.yaw, this.angles.roll, 'YXZ');
+    this.quaternion.setFromEuler(this.euler);
+  }
+
+  /**
+   * @method getTelemetry
+   * @public
+   * @returns {{mode: string, angles: {yaw: number, pitch: number, roll: number}, targets: {yaw: number,
+   * pitch: number}}} Mode, joint angles and targets (deg).
+   */
+  getTelemetry() {
+    const { yaw, pitch, roll } = this.angles;
+    return {
+      mode: this.mode,
+      angles: { yaw: yaw / DEG_TO_RAD, pitch: pitch / DEG_TO_RAD, roll: roll / DEG_TO_RAD },
+      targets: { ...this.targets },
+    };
+  }
+}
+
+export default Gimbal;
@@ -0,0 +1,168 @@
+import RenderPasses from '../sensors/RenderPasses';
+
+/**
+ * Formats a number like KITTI's calibration files, e.g. `7.215377000000e+02`.
+ * @param {number} value - The number.
+ * @returns {string} Scientific notation with 12 decimals and a two-digit exponent.
+ */
+const toKittiNumber = (value) => value.toExponential(12).replace(/e([+-])(\d)$/, 'e$10$2');
+
+/**
+ * Formats a matrix as an OpenCV FileStorage YAML node.
+ * @param {string} name - Node name.
+ * @param {number[][]} rows - Matrix rows.
+ * @returns {string} The `!!opencv-matrix` node.
+ */
+const toOpenCVMatrix = (name, rows) => [
+  `${name}: !!opencv-matrix`,
+  `   rows: ${rows.length}`,
+  `   cols: ${rows[0].length}`,
+  '   dt: d',
+  `   data: [ ${rows.flat().map((value) => (Number.isInteger(value) ? `${value}.` : `${value}`)).join(', ')} ]`,
+].join('\n');
+
+/**
+ * @class StereoCamera
+ * @description A rectified stereo pair from a `CameraRig` stereo mount (a mount with a `baseline`). Both cameras
+ * share the same intrinsics and point in the same direction, so the images are rectified as rendered. `render()` gives
+ * the left and right images with ground-truth depth and disparity for the left camera. The calibration exports
+ * in OpenCV's `stereoRectify` YAML and in KITTI's `calib.txt` format.
+ *
+ * Images follow the calibration's image coordinates, with rows from top to bottom. Pixel centres sit at integer
+ * coordinates, as in OpenCV.
+ */
+class StereoCamera {
+  /**
+   * @constructor
+   * @param {THREE.WebGLRenderer} renderer - Renderer to draw with, e.g. the FPV renderer.
+   * @param {CameraRig} cameraRig - The rig holding the pair, e.g. `core.cameraRig`.
+   * @param {string} [name='stereo'] - Name of the stereo mount.
+   */
+  constructor(renderer, cameraRig, name = 'stereo') {
+    this.renderer = renderer;
+    this.cameraRig = cameraRig;
+    this.name = name;
+    this.left = cameraRig.getCamera(`${name}Left`);
+    this.right = cameraRig.getCamera(`${name}Right`);
+    this.mount = cameraRig.getMount(`${name}Left`);
+
+    const [width, height] = this.mount.resolution;
+    this.passes = new RenderPasses(renderer, { width, height, flipY: true });
+  }
+
+  /**
+   * @method getCalibration
+   * @public
+   * @returns {{width: number, height: number, fx: number, fy: number, cx: number, cy: number, baseline: number}}
+   * Shared pinhole intrinsics (px) and the baseline (m). There is no lens distortion.
+   */
+  getCalibration() {
+    const [width, height] = this.mount.resolution;
+    const focal = (height / 2) / Math.tan((this.left.fov * Math.PI) / 360);
+    return {
+      width,
+      height,
+      fx: focal,
+      fy: focal,
+      cx: (width - 1) / 2,
+      cy: (height - 1) / 2,
+      baseline: this.mount.baseline,
+    };
+  }
+
+  /**
+   * @method render
+   * @public
+   * @param {THREE.Scene} scene - The scene to render.
+   * @returns {{width: number, height: number, left: Uint8Array, right: Uint8Array, depth: Float32Array,
+   * disparity: Float32Array}} sRGB RGBA images and, per left-image pixel, depth along the optical axis (m) and
+   * disparity (px, `fx * baseline / depth`). Both are 0 where nothing was rendered.
+   */
+  render(scene) {
+    const { width, height, fx, baseline } = this.getCalibration();
+    const left = this.flipRows(this.cameraRig.capture(this.renderer, scene, this.left.name).pixels, width, height);
+    const right = this.flipRows(this.cameraRig.capture(this.renderer, scene, this.right.name).pixels, width, height);
+    const { depth } = this.passes.render(scene, this.left, ['depth']);
+
+    const disparity = new Float32Array(depth.length);
+    for (let i = 0; i < depth.length; i++) {
+      disparity[i] = depth[i] > 0 ? (fx * baseline) / depth[i] : 0;
+    }
+    return { width, height, left, right, depth, disparity };
+  }
+
+  /**
+   * @method flipRows
+   * @private
+   * @param {Uint8Array} pixels - RGBA image in WebGL row order.
+   * @param {number} width - Image width (px).
+   * @param {number} height - Image height (px).
+   * @returns {Uint8Array} The image with rows from top to bottom.
+   */
+  flipRows(pixels, width, height) {
+    const flipped = new Uint8Array(pixels.length);
+    const rowLength = width * 4;
+    for (let y = 0; y < height; y++) {
+      flipped.set(pixels.subarray(y * rowLength, (y + 1) * rowLength), (height - 1 - y) * rowLength);
+    }
+    return flipped;
+  }
+
+  /**
+   * @method toOpenCVYaml
+   * @public
+   * @returns {string} The calibration as an OpenCV FileStorage YAML file, with the outputs of `stereoCalibrate` and
+   * `stereoRectify`: `K1`, `D1`, `K2`, `D2`, `R` and `T` (left to right camera, m), and `R1`, `R2`, `P1`, `P2` and `Q`.
+   */
+  toOpenCVYaml() {
+    const { width, height, fx, fy, cx, cy, baseline } = this.getCalibration();
+    const K = [[fx, 0, cx], [0, fy, cy], [0, 0, 1]];
+    const D = [[0, 0, 0, 0, 0]];
+    const identity = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    return [
+      '%YAML:1.0',
+      '---',
+      `image_width: ${width}`,
+      `image_height: ${height}`,
+      toOpenCVMatrix('K1', K),
+      toOpenCVMatrix('D1', D),
+      toOpenCVMatrix('K2', K),
+      toOpenCVMatrix('D2', D),
+      toOpenCVMatrix('R', identity),
+      toOpenCVMatrix('T', [[-baseline], [0], [0]]),
+      toOpenCVMatrix('R1', identity),
+      toOpenCVMatrix('R2', identity),
+      toOpenCVMatrix('P1', [[fx, 0, cx, 0], [0, fy, cy, 0], [0, 0, 1, 0]]),
+      toOpenCVMatrix('P2', [[fx, 0, cx, -fx * baseline], [0, fy, cy, 0], [0, 0, 1, 0]]),
+      toOpenCVMatrix('Q', [[1, 0, 0, -cx], [0, 1, 0, -cy], [0, 0, 0, fx], [0, 0, 1 / baseline, 0]]),
+      '',
+    ].join('\n');
+  }
+
+  /**
+   * @method toKittiCalib
+   * @public
+   * @returns {string} The calibration as a KITTI odometry `calib.txt`: projection matrices `P0` (left) and `P1`
+   * (right), repeated as `P2` and `P3` for tools that read KITTI's colour pair.
+   */
+  toKittiCalib() {
+    const { fx, fy, cx, cy, baseline } = this.getCalibration();
+    const left = [fx, 0, cx, 0, 0, fy, cy, 0, 0, 0, 1, 0];
+    const right = [fx, 0, cx, -fx * baseline, 0, fy, cy, 0, 0, 0, 1, 0];
+    return [left, right, left, right]
+      .map((matrix, i) => `P${i}: ${matrix.map(toKittiNumber).join(' ')}`)
+      .join('\n')
+      .concat('\n');
+  }
+
+  /**
+   * @method dispose
+   * @public
+   * @description Frees the depth pass.
+   */
+  dispose() {
+    this.passes.dispose();
+  }
+}
+
+export default StereoCamera;
@@ -0,0 +1,109 @@
+import * as THREE from 'three';
+
+const GRAVITY = 9.81; // m/s²
+
+/**
+ * @class AttitudeEstimator
+ * @description Mahony complementary filter, as run by common flight controller firmware. Gyro rates are
+ * integrated into an attitude quaternion, and the accelerometer's gravity direction pulls roll and pitch back
+ * with a proportional gain while an integral term learns the gyro bias. The accelerometer is ignored while its
+ * magnitude is far from 1 g (hard manoeuvres, impacts, free fall). Yaw is not observable without a compass and
+ * drifts with the remaining gyro bias.
+ *
+ * The rate loop reads `rates`: the bias-corrected gyro through a first-order lowpass that removes most of the
+ * motor vibration.
+ */
+class AttitudeEstimator {
+  /**
+   * @constructor
+   * @param {Object} [settings] - Overrides for the default settings, see `this.settings`.
+   */
+  constructor(settings = {}) {
+    // === Setting Variables === //
+    this.settings = {
+      kp: 0.25, // 1/s, accelerometer correction gain
+      ki: 0.05, // 1/s², gyro bias learning gain
+      accelTrustRange: [0.8, 1.2], // Accelerometer magnitude (in g) within which it corrects the attitude
+      gyroCutoff: 150, // Hz, lowpass on the gyro rates fed to the rate loop
+      ...settings,
+    };
+    // === End of Setting Variables === //
+
+    this.quaternion = new THREE.Quaternion(); // Estimated orientation (world from body)
+    this.rates = new THREE.Vector3(); // rad/s, filtered body rates
+    this.gyroBias = new THREE.Vector3(); // rad/s, learned bias, subtracted from the gyro
+    this.estimatedUp = new THREE.Vector3();
+    this.accelDirection = new THREE.Vector3();
+    this.correction = new THREE.Vector3();
+    this.omega = new THREE.Vector3();
+    this.deltaRotation = new THREE.Quaternion();
+    this.inverseQuaternion = new THREE.Quaternion();
+    this.reset();
+  }
+
+  /**
+   * @method reset
+   * @public
+   * @param {THREE.Quaternion} [quaternion] - Initial attitude, as aligned on the ground. Level when omitted.
+   * @param {THREE.Vector3} [gyroBias] - Gyro offset from the power-up calibration. Zero when omitted.
+   * @description Restarts the filter.
+   */
+  reset(quaternion = new THREE.Quaternion(), gyroBias = new THREE.Vector3()) {
+    this.quaternion.copy(quaternion);
+    this.rates.set(0, 0, 0);
+    this.gyroBias.copy(gyroBias);
+  }
+
+  /**
+   * @method update
+   * @public
+   * @param {THREE.Vector3} gyro - Gyro reading (body, rad/s).
+   * @param {THREE.Vector3} accel - Accelerometer reading (body specific force, m/s²).
+   * @param {number} dt - Time since the previous reading (s).
+   * @description Advances the attitude estimate by one IMU sample.
+   */
+  update(gyro, accel, dt) {
+    const { kp, ki, accelTrustRange, gyroCutoff } = this.settings;
+
+    // Gravity should read straight up in the estimated body frame; the cross product is the tilt error
+    this.correction.set(0, 0, 0);
+    const accelMagnitude = accel.length() / GRAVITY;
+    if (accelMagnitude > accelTrustRange[0] && accelMagnitude < accelTrustRange[1]) {
+      this.inverseQuaternion.copy(this.quaternion).invert();
+      this.estimatedUp.set(0, 1, 0).applyQuaternion(this.inverseQuaternion);
+      this.accelDirection.copy(accel).normalize();
+      this.correction.crossVectors(this.accelDirection, this.estimatedUp);
+      this.gyroBias.addScaledVector(this.correction, -ki * dt);
+    }
+
+    // Integrate the corrected rates in body axes
+    this.omega.copy(gyro).sub(this.gyroBias).addScaledVector(this.correction, kp);
+    const angle = this.omega.length() * dt;
+    if (angle > 0) {
+      this.deltaRotation.setFromAxisAngle(this.omega.normalize(), angle);
+      this.quaternion.multiply(this.deltaRotation).normalize();
+    }
+
+    // First-order lowpass on the bias-corrected gyro for the rate loop
+    const alpha = 1 - Math.exp(-2 * Math.PI * gyroCutoff * dt);
+    this.rates.x += alpha * (gyro.x - this.gyroBias.x - this.rates.x);
+    this.rates.y += alpha * (gyro.y - this.gyroBias.y - this.rates.y);
+    this.rates.z += alpha * (gyro.z - this.gyroBias.z - this.rates.z);
+  }
+
+  /**
+   * @method getTelemetry
+   * @public
+   * @returns {{quaternion: number[], rates: number[], gyroBias: number[]}} Estimated orientation, filtered body
+   * rates (rad/s) and learned gyro bias (rad/s).
+   */
+  getTelemetry() {
+    return {
+      quaternion: this.quaternion.toArray(),
+      rates: this.rates.toArray(),
+      gyroBias: this.gyroBias.toArray(),
+    };
+  }
+}
+
+export default AttitudeEstimator;
@@ -0,0 +1,97 @@
+import Sensor from './Sensor';
+
+const SEA_LEVEL_PRESSURE = 101325; // Pa, ISA
+const PRESSURE_EXPONENT = 5.25588; // ISA troposphere, g·M / (R·L)
+const PRESSURE_LAPSE = 2.25577e-5; // 1/m, L / T0
+
+/**
+ * @param {number} altitude - m above mean sea level.
+ * @returns {number} ISA static pressure (Pa).
+ */
+const altitudeToPressure = (altitude) => SEA_LEVEL_PRESSURE * (1 - PRESSURE_LAPSE * altitude) ** PRESSURE_EXPONENT;
+
+/**
+ * @param {number} pressure - Static pressure (Pa).
+ * @returns {number} ISA pressure altitude (m above mean sea level).
+ */
+const pressureToAltitude = (pressure) => (1 - (pressure / SEA_LEVEL_PRESSURE) ** (1 / PRESSURE_EXPONENT)) / PRESSURE_LAPSE;
+
+/**
+ * @class Barometer
+ * @description Static pressure sensor. The true altitude above mean sea level is converted to ISA pressure,
+ * then corrupted by an offset drawn at every reset that drifts as a random walk (weather and temperature),
+ * white noise, and prop wash: the rotors' inflow lowers the static pressure around the flight controller,
+ * so the sensed altitude rises with thrust, with a turbulent part on top. Readings are reported as pressure
+ * and as the ISA pressure altitude.
+ */
+class Barometer extends Sensor {
+  /**
+   * @constructor
+   * @param {Object} [settings] - Overrides for the default settings, see `this.settings`.
+   */
+  constructor(settings = {}) {
+    // === Setting Variables === //
+    super({
+      sampleRate: 50, // Hz
+      latency: 0.01, // s
+      noise: 0.1, // m, 1σ altitude noise per reading
+      turnOnBias: 1, // m, 1σ altitude offset drawn at every reset
+      biasRandomWalk: 0.02, // m/√s
+      propWash: 0.3, // m of altitude error at full thrust on every motor
+      propWashNoise: 0.1, // m, 1σ turbulent part at full thrust
+      seed: 0,
+      ...settings,
+    });
+    // === End of Setting Variables === //
+
+    this.reset();
+  }
+
+  /**
+   * @method resetErrors
+   * @protected
+   * @description Draws a new altitude offset.
+   */
+  resetErrors() {
+    this.bias = this.random.gaussian(0, this.settings.turnOnBias); // m
+  }
+
+  /**
+   * @method advance
+   * @protected
+   * @param {number} dt - Physics step (s).
+   * @description Lets the offset drift.
+   */
+  advance(dt) {
+    this.bias += this.random.gaussian(0, this.settings.biasRandomWalk * Math.sqrt(dt));
+  }
+
+  /**
+   * @method sample
+   * @protected
+   * @param {Object} truth - Drone state after the step.
+   * @param {number} truth.altitude - m above mean sea level.
+   * @param {number} truth.thrustFraction - Mean rotor thrust as a fraction of full thrust, for prop wash.
+   * @returns {{pressure: number, altitude: number}} A reading: pressure (Pa) and pressure altitude (m above
+   * mean sea level).
+   */
+  sample(truth) {
+    const { noise, propWash, propWashNoise } = this.settings;
+    const wash = truth.thrustFraction * (propWash + this.random.gaussian(0, propWashNoise));
+    const pressure = altitudeToPressure(truth.altitude + this.bias + wash + this.random.gaussian(0, noise));
+    return { pressure, altitude: pressureToAltitude(pressure) };
+  }
+
+  /**
+   * @method getTelemetry
+   * @public
+   * @returns {{time: number, pressure: number, altitude: number, bias: number}|null} The latest available
+   * reading and the current true altitude offset (m), or null before the first reading.
+   */
+  getTelemetry() {
+    if (!this.latest) return null;
+    return { ...this.latest, bias: this.bias };
+  }
+}
+
+export default Barometer;
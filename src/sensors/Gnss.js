@@ -0,0 +1,140 @@
+import * as THREE from 'three';
+import Sensor from './Sensor';
+import { DEFAULT_ORIGIN, worldToGeodetic } from './geodesy';
+
+/**
+ * @class Gnss
+ * @description Satellite navigation receiver. Fixes arrive at `sampleRate` after `latency`. The position error
+ * is a first-order Gauss-Markov process per axis (multipath and atmospheric errors wander over tens of
+ * seconds) plus white noise; the velocity has white noise only. Satellites drop out at random: an outage
+ * starts with probability `dropoutRate` per second and lasts `dropoutDuration`, during which the receiver
+ * tracks too few satellites for a fix and reports `fix: 'none'` without a position. Positions are
+ * reported in the world frame and as latitude/longitude/altitude about the geodetic `origin`.
+ */
+class Gnss extends Sensor {
+  /**
+   * @constructor
+   * @param {Object} [settings] - Overrides for the default settings, see `this.settings`.
+   */
+  constructor(settings = {}) {
+    // === Setting Variables === //
+    super({
+      sampleRate: 10, // Hz
+      latency: 0.1, // s
+      origin: DEFAULT_ORIGIN, // Geodetic origin of the world frame (degrees, degrees, m MSL)
+      horizontalNoise: 0.3, // m, 1σ white noise
+      verticalNoise: 0.5, // m, 1σ white noise
+      horizontalDrift: 1, // m, 1σ of the wandering error
+      verticalDrift: 2, // m, 1σ of the wandering error
+      driftTimeConstant: 30, // s
+      velocityNoise: 0.05, // m/s, 1σ per axis
+      satellites: 14, // Tracked with a clear sky
+      minSatellites: 4, // Needed for a 3D fix
+      dropoutRate: 0, // Outages per second
+      dropoutDuration: [1, 5], // s, range of outage lengths
+      seed: 0,
+      ...settings,
+    });
+    // === End of Setting Variables === //
+
+    this.drift = new THREE.Vector3(); // m, wandering position error
+    this.reset();
+  }
+
+  /**
+   * @method resetErrors
+   * @protected
+   * @description Starts the wandering error from its stationary distribution, with a clear sky.
+   */
+  resetErrors() {
+    const { horizontalDrift, verticalDrift } = this.settings;
+    this.drift.set(
+      this.random.gaussian(0, horizontalDrift),
+      this.random.gaussian(0, verticalDrift),
+      this.random.gaussian(0, horizontalDrift)
+    );
+    this.dropoutRemaining = 0; // s
+  }
+
+  /**
+   * @method advance
+   * @protected
+   * @param {number} dt - Physics step (s).
+   * @description Advances the wandering error and the satellite outages.
+   */
+  advance(dt) {
+    const { horizontalDrift, verticalDrift, driftTimeConstant, dropoutRate, dropoutDuration } = this.settings;
+
+    // Gauss-Markov: decay towards zero with the driving noise that keeps the variance constant
+    const decay = Math.exp(-dt / driftTimeConstant);
+    const spread = Math.sqrt(1 - decay * decay);
+    this.drift.x = decay * this.drift.x + this.random.gaussian(0, horizontalDrift * spread);
+    this.drift.y = decay * this.drift.y + this.random.gaussian(0, verticalDrift * spread);
+    this.drift.z = decay * this.drift.z + this.random.gaussian(0, horizontalDrift * spread);
+
+    if (this.dropoutRemaining > 0) {
+      this.dropoutRemaining -= dt;
+    } else if (this.random.next() < dropoutRate * dt) {
+      this.dropoutRemaining = this.random.uniform(dropoutDuration[0], dropoutDuration[1]);
+    }
+  }
+
+  /**
+   * @method startDropout
+   * @public
+   * @param {number} duration - Outage length (s).
+   * @description Blocks the sky now, e.g. for a scripted flight under a bridge.
+   */
+  startDropout(duration) {
+    this.dropoutRemaining = Math.max(this.dropoutRemaining, duration);
+  }
+
+  /**
+   * @method sample
+   * @protected
+   * @param {Object} truth - Drone state after the step.
+   * @param {THREE.Vector3} truth.position - World position (m).
+   * @param {THREE.Vector3} truth.velocity - World velocity (m/s).
+   * @returns {Object} A fix: `fix` (`'3d'` or `'none'`), `satellites`, and with a fix the world `position` and
+   * `velocity` and the geodetic `latitude`, `longitude` (degrees) and `altitude` (m MSL).
+   */
+  sample(truth) {
+    const { satellites, minSatellites, horizontalNoise, verticalNoise, velocityNoise, origin } = this.settings;
+
+    if (this.dropoutRemaining > 0) {
+      return { fix: 'none', satellites: Math.floor(this.random.uniform(0, minSatellites)) };
+    }
+
+    const position = truth.position.clone().add(this.drift);
+    position.x += this.random.gaussian(0, horizontalNoise);
+    position.y += this.random.gaussian(0, verticalNoise);
+    position.z += this.random.gaussian(0, horizontalNoise);
+
+    const velocity = truth.velocity.clone();
+    velocity.x += this.random.gaussian(0, velocityNoise);
+    velocity.y += this.random.gaussian(0, velocityNoise);
+    velocity.z += this.random.gaussian(0, velocityNoise);
+
+    return {
+      fix: '3d',
+      satellites: satellites - Math.floor(this.random.uniform(0, 3)),
+      position,
+      velocity,
+      ...worldToGeodetic(position, origin),
+    };
+  }
+
+  /**
+   * @method getTelemetry
+   * @public
+   * @returns {Object|null} The latest available fix with `position` and `velocity` as arrays (see `sample()`),
+   * or null before the first one.
+   */
+  getTelemetry() {
+    if (!this.latest) return null;
+    const { position, velocity, ...fix } = this.latest;
+    return position ? { ...fix, position: position.toArray(), velocity: velocity.toArray() } : fix;
+  }
+}
+
+export default Gnss;
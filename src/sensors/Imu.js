@@ -0,0 +1,241 @@
+import * as THREE from 'three';
+import Sensor from './Sensor';
+
+const DEG_TO_RAD = Math.PI / 180;
+const GRAVITY = 9.81; // m/s²
+
+/**
+ * Default error model of one IMU sensor (gyro or accelerometer). Values are 1σ unless noted.
+ * @typedef {Object} ImuAxisSettings
+ * @property {number} noiseDensity - White noise density (units/√Hz); per-sample σ is `noiseDensity · √sampleRate`.
+ * @property {number} turnOnBias - Bias drawn at every reset (units).
+ * @property {number} biasRandomWalk - Bias random walk (units/√s).
+ * @property {number} scaleFactor - Scale factor error drawn at every reset (fraction).
+ * @property {number} misalignment - Axis misalignment angle drawn at every reset (rad).
+ * @property {number} range - Full-scale range; readings clip here (units).
+ * @property {number} vibration - Vibration amplitude per motor at `vibrationReferenceRPM` (units).
+ */
+
+/**
+ * @class Imu
+ * @description Gyro and accelerometer readings in body axes from the drone's rigid body state.
+ *
+ * Each reading is `M · S · truth + bias + noise + vibration`, clipped to the sensor's range, where `S` is
+ * a per-axis scale factor and `M` a small-angle axis misalignment, both drawn at every reset together with
+ * the turn-on bias. The bias then random-walks. Every motor shakes the frame in its rotor plane at its
+ * rotation frequency, with an amplitude growing with RPM², which aliases into the samples like on a real
+ * flight controller.
+ *
+ * Samples are taken at `sampleRate` (at most once per physics step) and become readable `latency` seconds later.
+ * Units: gyro in rad/s, accelerometer specific force in m/s² (+9.81 on body +Y when level and at rest).
+ */
+class Imu extends Sensor {
+  /**
+   * @constructor
+   * @param {Object} [settings] - Overrides for the default settings, see `this.settings`. `gyro` and `accel`
+   * are merged with their defaults.
+   */
+  constructor(settings = {}) {
+    // === Setting Variables === //
+    super({
+      sampleRate: 1000, // Hz
+      latency: 0.001, // s, from sampling to the reading being available
+      vibrationReferenceRPM: 20000, // RPM at which each motor shakes the frame with the `vibration` amplitudes
+      seed: 0,
+      ...settings,
+      gyro: {
+        noiseDensity: 0.003 * DEG_TO_RAD, // rad/s/√Hz (ICM-42688 class)
+        turnOnBias: 0.5 * DEG_TO_RAD, // rad/s
+        biasRandomWalk: 0.002 * DEG_TO_RAD, // rad/s/√s
+        scaleFactor: 0.005,
+        misalignment: 0.3 * DEG_TO_RAD, // rad
+        range: 2000 * DEG_TO_RAD, // rad/s
+        vibration: 1 * DEG_TO_RAD, // rad/s
+        ...settings.gyro,
+      },
+      accel: {
+        noiseDensity: 0.0007, // m/s²/√Hz (70 µg/√Hz)
+        turnOnBias: 0.1, // m/s²
+        biasRandomWalk: 0.0005, // m/s²/√s
+        scaleFactor: 0.005,
+        misalignment: 0.3 * DEG_TO_RAD, // rad
+        range: 16 * GRAVITY, // m/s²
+        vibration: 0.5, // m/s²
+        ...settings.accel,
+      },
+    });
+    // === End of Setting Variables === //
+
+    this.errors = { gyro: this.createErrors(), accel: this.createErrors() };
+    this.inverseQuaternion = new THREE.Quaternion();
+    this.trueRates = new THREE.Vector3();
+    this.trueSpecificForce = new THREE.Vector3();
+    this.gyroVibration = new THREE.Vector3();
+    this.accelVibration = new THREE.Vector3();
+    this.reset();
+  }
+
+  /**
+   * @method createErrors
+   * @private
+   * @returns {{scale: THREE.Vector3, misalignment: THREE.Matrix3, bias: THREE.Vector3}} Storage for one sensor's errors.
+   */
+  createErrors() {
+    return { scale: new THREE.Vector3(1, 1, 1), misalignment: new THREE.Matrix3(), bias: new THREE.Vector3() };
+  }
+
+  /**
+   * @method resetErrors
+   * @protected
+   * @description Draws new turn-on biases, scale factors and misalignments, and stops the vibration.
+   */
+  resetErrors() {
+    this.drawErrors(this.errors.gyro, this.settings.gyro);
+    this.drawErrors(this.errors.accel, this.settings.accel);
+
+    this.vibrationPhases = [];
+    this.gyroVibration.set(0, 0, 0);
+    this.accelVibration.set(0, 0, 0);
+  }
+
+  /**
+   * @method drawErrors
+   * @private
+   * @param {Object} errors - Storage from `createErrors()`.
+   * @param {ImuAxisSettings} settings - The sensor's error model.
+   */
+  drawErrors(errors, settings) {
+    const gaussianVector = (target, stdDev) => target.set(
+      this.random.gaussian(0, stdDev),
+      this.random.gaussian(0, stdDev),
+      this.random.gaussian(0, stdDev)
+    );
+
+    gaussianVector(errors.bias, settings.turnOnBias);
+    gaussianVector(errors.scale, settings.scaleFactor).addScalar(1);
+
+    // Small-angle misalignment: each sensing axis leans towards the other two
+    const m = () => this.random.gaussian(0, settings.misalignment);
+    errors.misalignment.set(
+      1, m(), m(),
+      m(), 1, m(),
+      m(), m(), 1
+    );
+  }
+
+  /**
+   * @method calibrateGyro
+   * @public
+   * @param {THREE.Quaternion} quaternion - Orientation of the resting drone.
+   * @param {number} samples - Number of readings to average.
+   * @returns {THREE.Vector3} The mean gyro reading of the drone at rest with its motors off, i.e. the gyro
+   * offset a flight controller measures when it powers up.
+   */
+  calibrateGyro(quaternion, samples) {
+    const atRest = {
+      quaternion,
+      angularVelocity: new THREE.Vector3(),
+      acceleration: new THREE.Vector3(),
+    };
+    const period = 1 / this.settings.sampleRate;
+    const sum = new THREE.Vector3();
+    for (let i = 0; i < samples; i++) {
+      sum.add(this.sample(atRest, period).gyro);
+    }
+    return sum.divideScalar(Math.max(samples, 1));
+  }
+
+  /**
+   * @method advance
+   * @protected
+   * @param {number} dt - Physics step (s).
+   * @param {Object} truth - Drone state after the step, see `sample()`.
+   * @description Sums every rotor's imbalance into body-frame gyro and accelerometer vibration. An imbalanced
+   * rotor pushes the frame around in its plane (body X/Z) and rocks it about the same axes.
+   */
+  advance(dt, { motorRPMs }) {
+    const { vibrationReferenceRPM, gyro, accel } = this.settings;
+    this.gyroVibration.set(0, 0, 0);
+    this.accelVibration.set(0, 0, 0);
+
+    for (let i = 0; i < motorRPMs.length; i++) {
+      const phase = ((this.vibrationPhases[i] || 0) + (2 * Math.PI * motorRPMs[i] * dt) / 60) % (2 * Math.PI);
+      this.vibrationPhases[i] = phase;
+
+      const level = (motorRPMs[i] / vibrationReferenceRPM) ** 2;
+      const cos = Math.cos(phase + i); // Rotors are not phase-locked
+      const sin = Math.sin(phase + i);
+      this.accelVibration.x += accel.vibration * level * cos;
+      this.accelVibration.z += accel.vibration * level * sin;
+      this.gyroVibration.x += gyro.vibration * level * sin;
+      this.gyroVibration.z += gyro.vibration * level * cos;
+    }
+  }
+
+  /**
+   * @method sample
+   * @protected
+   * @param {Object} truth - Rigid body state after the step.
+   * @param {THREE.Quaternion} truth.quaternion - Orientation (world from body).
+   * @param {THREE.Vector3} truth.angularVelocity - Angular velocity (world, rad/s).
+   * @param {THREE.Vector3} truth.acceleration - Linear acceleration (world, m/s²).
+   * @param {number[]} truth.motorRPMs - Rotor speeds, for vibration.
+   * @param {number} period - Time since the previous sample (s), for the bias random walk.
+   * @returns {{gyro: THREE.Vector3, accel: THREE.Vector3}} A reading.
+   */
+  sample(truth, period) {
+    this.inverseQuaternion.copy(truth.quaternion).invert();
+    this.trueRates.copy(truth.angularVelocity).applyQuaternion(this.inverseQuaternion).add(this.gyroVibration);
+    // Specific force: what the proof mass feels, acceleration minus gravity
+    this.trueSpecificForce.copy(truth.acceleration);
+    this.trueSpecificForce.y += GRAVITY;
+    this.trueSpecificForce.applyQuaternion(this.inverseQuaternion).add(this.accelVibration);
+
+    return {
+      gyro: this.measure(this.trueRates, this.errors.gyro, this.settings.gyro, period),
+      accel: this.measure(this.trueSpecificForce, this.errors.accel, this.settings.accel, period),
+    };
+  }
+
+  /**
+   * @method measure
+   * @private
+   * @param {THREE.Vector3} truth - True value in body axes.
+   * @param {Object} errors - The sensor's errors; the bias is advanced by its random walk.
+   * @param {ImuAxisSettings} settings - The sensor's error model.
+   * @param {number} period - Time since the previous sample (s).
+   * @returns {THREE.Vector3} The reading.
+   */
+  measure(truth, errors, settings, period) {
+    const walk = settings.biasRandomWalk * Math.sqrt(period);
+    errors.bias.x += this.random.gaussian(0, walk);
+    errors.bias.y += this.random.gaussian(0, walk);
+    errors.bias.z += this.random.gaussian(0, walk);
+
+    const noise = settings.noiseDensity * Math.sqrt(this.settings.sampleRate);
+    const reading = truth.clone().multiply(errors.scale).applyMatrix3(errors.misalignment).add(errors.bias);
+    reading.x += this.random.gaussian(0, noise);
+    reading.y += this.random.gaussian(0, noise);
+    reading.z += this.random.gaussian(0, noise);
+    return reading.clampScalar(-settings.range, settings.range);
+  }
+
+  /**
+   * @method getTelemetry
+   * @public
+   * @returns {{time: number, gyro: number[], accel: number[], gyroBias: number[], accelBias: number[]}|null}
+   * The latest available reading and the current true biases, or null before the first reading.
+   */
+  getTelemetry() {
+    if (!this.latest) return null;
+    return {
+      time: this.latest.time,
+      gyro: this.latest.gyro.toArray(),
+      accel: this.latest.accel.toArray(),
+      gyroBias: this.errors.gyro.bias.toArray(),
+      accelBias: this.errors.accel.bias.toArray(),
+    };
+  }
+}
+
+export default Imu;
@@ -0,0 +1,110 @@
+import * as THREE from 'three';
+import Sensor from './Sensor';
+
+/**
+ * @class Magnetometer
+ * @description Three-axis compass. The earth's field is a constant vector in the world frame (see
+ * `geodesy.js` for the axes), set by its strength, the declination of magnetic north east of true north and
+ * the inclination below the horizon. The reading in body axes is `softIron · field + hardIron + noise`: the
+ * hard-iron offset is the field of magnetised parts on the frame, the soft-iron matrix the distortion by
+ * ferrous parts. Both are configured per airframe rather than drawn, like a calibration would find them.
+ *
+ * `getHeading()` turns the latest reading into a tilt-compensated true heading, as a flight controller does.
+ */
+class Magnetometer extends Sensor {
+  /**
+   * @constructor
+   * @param {Object} [settings] - Overrides for the default settings, see `this.settings`.
+   */
+  constructor(settings = {}) {
+    // === Setting Variables === //
+    super({
+      sampleRate: 100, // Hz
+      latency: 0.005, // s
+      fieldStrength: 48, // µT
+      declination: 3, // degrees, magnetic north east of true north
+      inclination: 63, // degrees, field below the horizon (northern hemisphere positive)
+      hardIron: [0, 0, 0], // µT, body axes
+      softIron: [1, 0, 0, 0, 1, 0, 0, 0, 1], // Row-major 3x3
+      noise: 0.3, // µT, 1σ per axis
+      seed: 0,
+      ...settings,
+    });
+    // === End of Setting Variables === //
+
+    this.field = new THREE.Vector3();
+    this.hardIron = new THREE.Vector3();
+    this.softIron = new THREE.Matrix3();
+    this.inverseQuaternion = new THREE.Quaternion();
+    this.configure();
+    this.reset();
+  }
+
+  /**
+   * @method configure
+   * @public
+   * @param {Object} [settings] - Settings to change, see `this.settings`.
+   * @description Recomputes the earth field and the distortion from the settings.
+   */
+  configure(settings = {}) {
+    Object.assign(this.settings, settings);
+    const { fieldStrength, declination, inclination, hardIron, softIron } = this.settings;
+
+    // North is +Z and east -X; declination turns the horizontal component towards east
+    const d = THREE.MathUtils.degToRad(declination);
+    const i = THREE.MathUtils.degToRad(inclination);
+    this.field.set(-Math.sin(d) * Math.cos(i), -Math.sin(i), Math.cos(d) * Math.cos(i)).multiplyScalar(fieldStrength);
+    this.hardIron.fromArray(hardIron);
+    this.softIron.set(...softIron);
+  }
+
+  /**
+   * @method sample
+   * @protected
+   * @param {Object} truth - Drone state after the step.
+   * @param {THREE.Quaternion} truth.quaternion - Orientation (world from body).
+   * @returns {{field: THREE.Vector3}} A reading in body axes (µT).
+   */
+  sample(truth) {
+    const { noise } = this.settings;
+    this.inverseQuaternion.copy(truth.quaternion).invert();
+    const field = this.field.clone().applyQuaternion(this.inverseQuaternion).applyMatrix3(this.softIron).add(this.hardIron);
+    field.x += this.random.gaussian(0, noise);
+    field.y += this.random.gaussian(0, noise);
+    field.z += this.random.gaussian(0, noise);
+    return { field };
+  }
+
+  /**
+   * @method getHeading
+   * @public
+   * @param {THREE.Quaternion} attitude - Estimated orientation; only its tilt is used.
+   * @returns {number|null} True heading of the body's forward axis from the latest reading, in degrees clockwise
+   * from north in [0, 360), or null before the first reading.
+   */
+  getHeading(attitude) {
+    if (!this.latest) return null;
+
+    // Project the field and the forward axis onto the horizontal plane, in body axes
+    const up = new THREE.Vector3(0, 1, 0).applyQuaternion(attitude.clone().invert());
+    const field = this.latest.field.clone().projectOnPlane(up);
+    const forward = new THREE.Vector3(0, 0, 1).projectOnPlane(up);
+
+    // Clockwise seen from above is a negative rotation about up
+    const angle = Math.atan2(up.dot(field.clone().cross(forward)), field.dot(forward));
+    return THREE.MathUtils.euclideanModulo(-THREE.MathUtils.radToDeg(angle) + this.settings.declination, 360);
+  }
+
+  /**
+   * @method getTelemetry
+   * @public
+   * @returns {{time: number, field: number[]}|null} The latest available reading (µT, body axes), or null before
+   * the first reading.
+   */
+  getTelemetry() {
+    if (!this.latest) return null;
+    return { time: this.latest.time, field: this.latest.field.toArray() };
+  }
+}
+
+export default Magnetometer;
@@ -0,0 +1,408 @@
+import * as THREE from 'three';
+import { Tensor } from 'onnxruntime-web';
+
+const FLO_TAG = 202021.25; // 'PIEH' as a float32, the Middlebury magic number
+const FLO_UNKNOWN = 1e10; // Middlebury readers treat components above 1e9 as unknown
+
+const ndcPoint = new THREE.Vector4();
+
+// Renders the previous frame's surfaces and writes how far each moved on screen by the current frame
+const FLOW_VERTEX_SHADER = /* glsl */ `
+  uniform mat4 previousModelViewMatrix;
+  uniform mat4 previousProjectionMatrix;
+  uniform mat4 currentModelViewMatrix;
+  uniform mat4 currentProjectionMatrix;
+  varying vec4 vPrevious;
+  varying vec4 vCurrent;
+
+  void main() {
+    vPrevious = previousProjectionMatrix * previousModelViewMatrix * vec4(position, 1.0);
+    vCurrent = currentProjectionMatrix * currentModelViewMatrix * vec4(position, 1.0);
+    gl_Position = vPrevious;
+  }
+`;
+
+// Flow in pixels with image y pointing down; alpha 1 marks valid flow, 0.5 surfaces behind the current camera
+const FLOW_FRAGMENT_SHADER = /* glsl */ `
+  uniform vec2 resolution;
+  varying vec4 vPrevious;
+  varying vec4 vCurrent;
+
+  void main() {
+    vec2 flow = (vCurrent.xy / vCurrent.w - vPrevious.xy / vPrevious.w) * 0.5 * resolution;
+    gl_FragColor = vec4(flow.x, -flow.y, 0.0, vCurrent.w > 0.0 ? 1.0 : 0.5);
+  }
+`;
+
+/**
+ * Flow of a point at infinity, as the flow pass fills in pixels that showed no surface.
+ * @param {number} ndcX - Pixel centre in the previous frame, normalized device coordinates.
+ * @param {number} ndcY - Pixel centre in the previous frame, normalized device coordinates, y up.
+ * @param {THREE.Matrix4} rotationFlow - Previous to current clip space under the camera's rotation alone.
+ * @param {number} width - Output width (px).
+ * @param {number} height - Output height (px).
+ * @returns {number[]|null} `[u, v]` in pixels with v down, or null if the point is behind the current camera.
+ */
+function skyFlow(ndcX, ndcY, rotationFlow, width, height) {
+  ndcPoint.set(ndcX, ndcY, 1, 1).applyMatrix4(rotationFlow);
+  if (ndcPoint.w <= 0) return null;
+  return [
+    (ndcPoint.x / ndcPoint.w - ndcX) * 0.5 * width,
+    -(ndcPoint.y / ndcPoint.w - ndcY) * 0.5 * height,
+  ];
+}
+
+/**
+ * @class OpticalFlow
+ * @description Dense ground-truth optical flow between consecutive frames of a camera. Call `capture()` once
+ * per frame; from the second frame on it returns the forward flow from the previous frame to the current one,
+ * like the NeuFlow model computes it from a pair of frames.
+ *
+ * The surfaces of the previous frame are rendered with the previous camera and object poses, and every
+ * fragment is projected with the current poses, so camera motion and the motion of every object in the scene
+ * are both accounted for. Where the previous frame showed no surface (sky), the flow is that of points at
+ * infinity under the camera's rotation. Surfaces that moved behind the camera have no flow and are marked
+ * invalid; surfaces that became occluded keep the flow of their motion, as in the Middlebury and Sintel sets.
+ *
+ * Flow is in pixels of the output size, u to the right and v down, with rows top to bottom.
+ */
+class OpticalFlow {
+  /**
+   * @constructor
+   * @param {THREE.WebGLRenderer} renderer - Renderer to draw with, e.g. the FPV renderer.
+   * @param {Object} [settings] - Overrides for the default settings, see `this.settings`.
+   */
+  constructor(renderer, settings = {}) {
+    // === Setting Variables === //
+    this.settings = {
+      width: 768, // px, NeuFlow's input width
+      height: 432, // px, NeuFlow's input height
+      ...settings,
+    };
+    // === End of Setting Variables === //
+
+    this.renderer = renderer;
+    this.target = new THREE.WebGLRenderTarget(this.settings.width, this.settings.height, {
+      type: THREE.FloatType,
+      format: THREE.RGBAFormat,
+      minFilter: THREE.NearestFilter,
+      magFilter: THREE.NearestFilter,
+    });
+    this.materials = new WeakMap(); // Flow material per mesh
+    this.previousMatrices = new WeakMap(); // World matrix per mesh at the previous capture
+    this.previousView = null; // Camera matrices at the previous capture
+    this.previousCamera = new THREE.PerspectiveCamera(); // Parentless stand-in the previous frame is rendered with
+    this.clearColor = new THREE.Color();
+  }
+
+  /**
+   * @method reset
+   * @public
+   * @description Forgets the previous frame, e.g. after the drone was reset; the next capture starts a new sequence.
+   */
+  reset() {
+    this.previousView = null;
+    this.previousMatrices = new WeakMap();
+  }
+
+  /**
+   * @method capture
+   * @public
+   * @param {THREE.Scene} scene - The scene at the current frame.
+   * @param {THREE.Camera} camera - The camera at the current frame.
+   * @returns {{width: number, height: number, flow: Float32Array, valid: Uint8Array}|null} Flow from the
+   * previous capture to this one, `(u, v)` per pixel, and whether each pixel has flow; null on the first capture.
+   */
+  capture(scene, camera) {
+    scene.updateMatrixWorld();
+    camera.updateMatrixWorld();
+
+    const result = this.previousView ? this.renderFlow(scene, camera) : null;
+    this.rememberFrame(scene, camera);
+    return result;
+  }
+
+  /**
+   * @method rememberFrame
+   * @private
+   * @param {THREE.Scene} scene - The scene at the current frame, with up-to-date world matrices.
+   * @param {THREE.Camera} camera - The camera at the current frame, with up-to-date world matrices.
+   * @description Stores the camera and mesh poses the next capture measures the flow from. The camera is kept as
+   * matrices rather than a clone: a clone of a camera mounted on the drone has no parent, and the renderer would
+   * recompute its world matrix from the mount offset alone. The render camera gets the world pose decomposed into
+   * its own transform instead, as `CameraEffects.updateSourceCamera()` does.
+   */
+  rememberFrame(scene, camera) {
+    if (!this.previousView) {
+      this.previousView = {
+        matrixWorld: new THREE.Matrix4(),
+        matrixWorldInverse: new THREE.Matrix4(),
+        projectionMatrix: new THREE.Matrix4(),
+        projectionMatrixInverse: new THREE.Matrix4(),
+      };
+    }
+    const view = this.previousView;
+    view.matrixWorld.copy(camera.matrixWorld);
+    view.matrixWorldInverse.copy(camera.matrixWorldInverse);
+    view.projectionMatrix.copy(camera.projectionMatrix);
+    view.projectionMatrixInverse.copy(camera.projectionMatrixInverse);
+
+    const { previousCamera } = this;
+    camera.matrixWorld.decompose(previousCamera.position, previousCamera.quaternion, previousCamera.scale);
+    previousCamera.projectionMatrix.copy(camera.projectionMatrix);
+    previousCamera.projectionMatrixInverse.copy(camera.projectionMatrixInverse);
+    previousCamera.layers.mask = camera.layers.mask;
+    previousCamera.updateMatrixWorld(true);
+
+    scene.traverse((object) => {
+      if (!object.isMesh) return;
+      const matrix = this.previousMatrices.get(object) || new THREE.Matrix4();
+      this.previousMatrices.set(object, matrix.copy(object.matrixWorld));
+    });
+  }
+
+  /**
+   * @method renderFlow
+   * @private
+   * @param {THREE.Scene} scene - The scene at the current frame.
+   * @param {THREE.Camera} camera - The camera at the current frame.
+   * @returns {{width: number, height: number, flow: Float32Array, valid: Uint8Array}} See `capture()`.
+   */
+  renderFlow(scene, camera) {
+    const { renderer, target, previousCamera } = this;
+    const { width, height } = this.settings;
+    const resolution = new THREE.Vector2(width, height);
+
+    // Swap in the flow materials and hide what has no surface
+    const swapped = [];
+    const hidden = [];
+    scene.traverse((object) => {
+      if (object.isMesh) {
+        swapped.push([object, object.material]);
+        object.material = this.getMaterial(object, camera, resolution);
+      } else if ((object.isPoints || object.isLine || object.isSprite) && object.visible) {
+        object.visible = false;
+        hidden.push(object);
+      }
+    });
+    const { background, overrideMaterial } = scene;
+    const previousTarget = renderer.getRenderTarget();
+    const previousClearAlpha = renderer.getClearAlpha();
+    renderer.getClearColor(this.clearColor);
+
+    const buffer = new Float32Array(width * height * 4);
+    try {
+      scene.background = null;
+      scene.overrideMaterial = null;
+      renderer.setRenderTarget(target);
+      renderer.setClearColor(0x000000, 0);
+      renderer.clear();
+      renderer.render(scene, previousCamera);
+      renderer.readRenderTargetPixels(target, 0, 0, width, height, buffer);
+    } finally {
+      swapped.forEach(([object, material]) => { object.material = material; });
+      hidden.forEach((object) => { object.visible = true; });
+      scene.background = background;
+      scene.overrideMaterial = overrideMaterial;
+      renderer.setClearColor(this.clearColor, previousClearAlpha);
+      renderer.setRenderTarget(previousTarget);
+    }
+
+    const rotationFlow = this.getRotationFlow(camera);
+    const flow = new Float32Array(width * height * 2);
+    const valid = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+      const row = height - 1 - y; // WebGL rows start at the bottom
+      for (let x = 0; x < width; x++) {
+        const source = (y * width + x) * 4;
+        const pixel = row * width + x;
+        const alpha = buffer[source + 3];
+
+        if (alpha > 0.75) {
+          flow[pixel * 2] = buffer[source];
+          flow[pixel * 2 + 1] = buffer[source + 1];
+          valid[pixel] = 1;
+        } else if (alpha === 0) {
+          const ndcX = ((x + 0.5) / width) * 2 - 1;
+          const ndcY = ((y + 0.5) / height) * 2 - 1;
+          const uv = skyFlow(ndcX, ndcY, rotationFlow, width, height);
+          if (uv) {
+            flow[pixel * 2] = uv[0];
+            flow[pixel * 2 + 1] = uv[1];
+            valid[pixel] = 1;
+          }
+        }
+      }
+    }
+    return { width, height, flow, valid };
+  }
+
+  /**
+   * @method getRotationFlow
+   * @private
+   * @param {THREE.Camera} camera - The camera at the current frame.
+   * @returns {THREE.Matrix4} Previous to current clip space for points at infinity, which only move with the
+   * camera's rotation.
+   */
+  getRotationFlow(camera) {
+    const view = this.previousView;
+    return new THREE.Matrix4()
+      .multiplyMatrices(camera.projectionMatrix, new THREE.Matrix4().extractRotation(camera.matrixWorldInverse))
+      .multiply(new THREE.Matrix4().extractRotation(view.matrixWorld))
+      .multiply(view.projectionMatrixInverse);
+  }
+
+  /**
+   * @method getPointFlow
+   * @public
+   * @param {THREE.Vector3} point - A static point in world space.
+   * @param {THREE.Camera} camera - The camera at the current frame, with up-to-date world matrices.
+   * @returns {{x: number, y: number, u: number, v: number}|null} Where the point was in the previous frame (px,
+   * rows top to bottom) and its flow since, as the flow pass computes it; null before the first capture or if the
+   * point is behind either camera.
+   */
+  getPointFlow(point, camera) {
+    if (!this.previousView) return null;
+    const { width, height } = this.settings;
+    const previous = new THREE.Vector4(point.x, point.y, point.z, 1)
+      .applyMatrix4(this.previousView.matrixWorldInverse)
+      .applyMatrix4(this.previousView.projectionMatrix);
+    const current = new THREE.Vector4(point.x, point.y, point.z, 1)
+      .applyMatrix4(camera.matrixWorldInverse)
+      .applyMatrix4(camera.projectionMatrix);
+    if (previous.w <= 0 || current.w <= 0) return null;
+
+    const ndcX = previous.x / previous.w;
+    const ndcY = previous.y / previous.w;
+    return {
+      x: (ndcX + 1) * 0.5 * width,
+      y: (1 - ndcY) * 0.5 * height,
+      u: (current.x / current.w - ndcX) * 0.5 * width,
+      v: -(current.y / current.w - ndcY) * 0.5 * height,
+    };
+  }
+
+  /**
+   * @method getSkyFlow
+   * @public
+   * @param {number} x - Position in the previous frame (px).
+   * @param {number} y - Position in the previous frame (px, rows top to bottom).
+   * @param {THREE.Camera} camera - The camera at the current frame, with up-to-date world matrices.
+   * @returns {{u: number, v: number}|null} Flow of a point at infinity seen there, as the flow pass fills in the
+   * sky; null before the first capture or if the point is behind the current camera.
+   */
+  getSkyFlow(x, y, camera) {
+    if (!this.previousView) return null;
+    const { width, height } = this.settings;
+    const uv = skyFlow((x / width) * 2 - 1, 1 - (y / height) * 2, this.getRotationFlow(camera), width, height);
+    return uv ? { u: uv[0], v: uv[1] } : null;
+  }
+
+  /**
+   * @method getMaterial
+   * @private
+   * @param {THREE.Mesh} mesh - A mesh in the scene.
+   * @param {THREE.Camera} camera - The camera at the current frame.
+   * @param {THREE.Vector2} resolution - Output size (px).
+   * @returns {THREE.ShaderMaterial} The mesh's flow material with its previous and current transforms.
+   */
+  getMaterial(mesh, camera, resolution) {
+    let material = this.materials.get(mesh);
+    if (!material) {
+      material = new THREE.ShaderMaterial({
+        vertexShader: FLOW_VERTEX_SHADER,
+        fragmentShader: FLOW_FRAGMENT_SHADER,
+        uniforms: {
+          previousModelViewMatrix: { value: new THREE.Matrix4() },
+          previousProjectionMatrix: { value: new THREE.Matrix4() },
+          currentModelViewMatrix: { value: new THREE.Matrix4() },
+          currentProjectionMatrix: { value: new THREE.Matrix4() },
+          resolution: { value: new THREE.Vector2() },
+        },
+        side: THREE.DoubleSide,
+      });
+      this.materials.set(mesh, material);
+    }
+
+    // Meshes that appeared since the previous frame are taken to have been where they are now
+    const previousMatrix = this.previousMatrices.get(mesh) || mesh.matrixWorld;
+    const { uniforms } = material;
+    uniforms.previousModelViewMatrix.value.multiplyMatrices(this.previousView.matrixWorldInverse, previousMatrix);
+    uniforms.previousProjectionMatrix.value.copy(this.previousView.projectionMatrix);
+    uniforms.currentModelViewMatrix.value.multiplyMatrices(camera.matrixWorldInverse, mesh.matrixWorld);
+    uniforms.currentProjectionMatrix.value.copy(camera.projectionMatrix);
+    uniforms.resolution.value.copy(resolution);
+    return material;
+  }
+
+  /**
+   * @method toTensor
+   * @public
+   * @param {Object} result - Output of `capture()`.
+   * @returns {Tensor} The flow as a `float32 [1, 2, H, W]` tensor, the shape NeuFlow emits; invalid pixels are 0.
+   */
+  toTensor({ width, height, flow }) {
+    const pixels = width * height;
+    const planar = new Float32Array(pixels * 2);
+    for (let i = 0; i < pixels; i++) {
+      planar[i] = flow[i * 2];
+      planar[pixels + i] = flow[i * 2 + 1];
+    }
+    return new Tensor('float32', planar, [1, 2, height, width]);
+  }
+
+  /**
+   * @method toFlo
+   * @public
+   * @param {Object} result - Output of `capture()`.
+   * @returns {ArrayBuffer} The flow as a Middlebury `.flo` file; invalid pixels are written as unknown.
+   */
+  toFlo({ width, height, flow, valid }) {
+    const buffer = new ArrayBuffer(12 + width * height * 8);
+    const view = new DataView(buffer);
+    view.setFloat32(0, FLO_TAG, true);
+    view.setInt32(4, width, true);
+    view.setInt32(8, height, true);
+    for (let i = 0; i < width * height; i++) {
+      view.setFloat32(12 + i * 8, valid[i] ? flow[i * 2] : FLO_UNKNOWN, true);
+      view.setFloat32(16 + i * 8, valid[i] ? flow[i * 2 + 1] : FLO_UNKNOWN, true);
+    }
+    return buffer;
+  }
+
+  /**
+   * @method endpointError
+   * @public
+   * @param {Object} result - Output of `capture()`.
+   * @param {Tensor|Float32Array} predicted - Predicted flow, `[1, 2, H, W]` like the NeuFlow output.
+   * @returns {{mean: number, validPixels: number}} Mean endpoint error (px) over the valid pixels.
+   */
+  endpointError({ width, height, flow, valid }, predicted) {
+    const data = predicted.data || predicted;
+    const pixels = width * height;
+    if (data.length !== pixels * 2) {
+      throw new Error(`Predicted flow has ${data.length} values, expected ${pixels * 2} for ${width}x${height}`);
+    }
+
+    let sum = 0;
+    let validPixels = 0;
+    for (let i = 0; i < pixels; i++) {
+      if (!valid[i]) continue;
+      sum += Math.hypot(data[i] - flow[i * 2], data[pixels + i] - flow[i * 2 + 1]);
+      validPixels++;
+    }
+    return { mean: validPixels > 0 ? sum / validPixels : 0, validPixels };
+  }
+
+  /**
+   * @method dispose
+   * @public
+   * @description Frees the render target. The per-mesh materials are released with their meshes.
+   */
+  dispose() {
+    this.target.dispose();
+    this.reset();
+  }
+}
+
+export default OpticalFlow;
@@ -0,0 +1,220 @@
+import * as THREE from 'three';
+import Sensor from './Sensor';
+
+/**
+ * Beam patterns of the range sensor types. Angles are in degrees; azimuth turns about the mount's +Y from its
+ * forward +Z axis, elevation tilts up from the mount's horizontal plane. Any of them can be overridden per sensor.
+ * - `single`: one beam, e.g. a downward ToF or lidar altimeter.
+ * - `multiZone`: a grid of zones over a square field of view (VL53L5CX style).
+ * - `scan2d`: a fan of beams in the mount's horizontal plane (RPLidar style).
+ * - `lidar3d`: a stack of scanning channels (Velodyne/Ouster style).
+ * @type {Object<string, Object>}
+ */
+export const RANGE_SENSOR_TYPES = {
+  single: {
+    horizontalFov: 0, horizontalSamples: 1, verticalFov: [0, 0], channels: 1,
+    minRange: 0.04, maxRange: 8, sampleRate: 50, rotation: [90, 0, 0], // Looking down
+  },
+  multiZone: {
+    horizontalFov: 45, horizontalSamples: 8, verticalFov: [-22.5, 22.5], channels: 8,
+    minRange: 0.02, maxRange: 4, sampleRate: 15, rotation: [0, 0, 0],
+  },
+  scan2d: {
+    horizontalFov: 360, horizontalSamples: 360, verticalFov: [0, 0], channels: 1,
+    minRange: 0.15, maxRange: 12, sampleRate: 10, rotation: [0, 0, 0],
+  },
+  lidar3d: {
+    horizontalFov: 360, horizontalSamples: 180, verticalFov: [-15, 15], channels: 16,
+    minRange: 0.3, maxRange: 100, sampleRate: 10, rotation: [0, 0, 0],
+  },
+};
+
+/**
+ * @param {number} fov - Field of view (degrees).
+ * @param {number} count - Number of beams across it.
+ * @returns {number[]} Beam angles (degrees), centred in equal slices; a full circle has no duplicate end beam.
+ */
+const spreadAngles = (fov, count) => Array.from({ length: count }, (_, i) => (
+  count === 1 ? 0 : -fov / 2 + ((i + 0.5) * fov) / count
+));
+
+/**
+ * @param {THREE.Object3D} root - Scene, or the part of it that reflects beams.
+ * @param {THREE.Object3D[]} [ignore] - Objects the beams pass through with all their children, e.g. the drone.
+ * @returns {Function} A raycast function for `RangeSensor` against the rendered meshes instead of the colliders.
+ */
+export const createSceneRaycast = (root, ignore = []) => {
+  const raycaster = new THREE.Raycaster();
+  const direction = new THREE.Vector3();
+  const isIgnored = (object) => {
+    for (let node = object; node; node = node.parent) {
+      if (ignore.includes(node)) return true;
+    }
+    return false;
+  };
+
+  return (from, to) => {
+    const far = direction.subVectors(to, from).length();
+    raycaster.set(from, direction.normalize());
+    raycaster.far = far;
+    const hit = raycaster.intersectObject(root, true).find((intersection) => !isIgnored(intersection.object));
+    if (!hit) return null;
+    const normal = hit.face ? hit.face.normal.clone().transformDirection(hit.object.matrixWorld) : null;
+    return { distance: hit.distance, point: hit.point, normal };
+  };
+};
+
+/**
+ * @class RangeSensor
+ * @description Rangefinder or lidar that casts its beams into the world from a mount pose on the drone. Each
+ * scan casts every beam at once at `sampleRate`, ignoring the drone's motion during a sweep. A beam returns
+ * the distance to the first surface within `[minRange, maxRange]` with Gaussian noise of `noise +
+ * noiseProportional · range`; it returns nothing when it misses, hits closer than `minRange`, or drops out
+ * with probability `dropout`.
+ */
+class RangeSensor extends Sensor {
+  /**
+   * @constructor
+   * @param {Function} raycast - `(from, to) => { distance, point } | null`, the closest hit between two world
+   * points, e.g. `PhysicsEngine.raycast()` or `createSceneRaycast()`.
+   * @param {Object} [settings] - `type` (see `RANGE_SENSOR_TYPES`) and overrides of its defaults and of
+   * `this.settings`.
+   */
+  constructor(raycast, settings = {}) {
+    const type = settings.type || 'single';
+    if (!RANGE_SENSOR_TYPES[type]) {
+      throw new Error(`Unknown range sensor type "${type}". Use one of: ${Object.keys(RANGE_SENSOR_TYPES).join(', ')}`);
+    }
+
+    // === Setting Variables === //
+    super({
+      name: type,
+      type,
+      latency: 0, // s
+      position: [0, 0, 0], // m, mount position in body axes relative to the centre of gravity
+      noise: 0.01, // m, 1σ
+      noiseProportional: 0.005, // 1σ per metre of range
+      dropout: 0.01, // Probability of a beam returning nothing
+      seed: 0,
+      ...RANGE_SENSOR_TYPES[type],
+      ...settings,
+    });
+    // === End of Setting Variables === //
+
+    this.raycast = raycast;
+    this.mountPosition = new THREE.Vector3().fromArray(this.settings.position);
+    this.mountQuaternion = new THREE.Quaternion().setFromEuler(new THREE.Euler(
+      ...this.settings.rotation.map((angle) => THREE.MathUtils.degToRad(angle))
+    ));
+    this.directions = this.createBeams();
+    this.rayTo = new THREE.Vector3();
+    this.rayDirection = new THREE.Vector3();
+    this.reset();
+  }
+
+  /**
+   * @method createBeams
+   * @private
+   * @returns {THREE.Vector3[]} Unit beam directions in the mount frame, channel by channel.
+   */
+  createBeams() {
+    const { horizontalFov, horizontalSamples, verticalFov, channels } = this.settings;
+    const [low, high] = verticalFov;
+    const elevations = spreadAngles(high - low, channels).map((angle) => angle + (low + high) / 2);
+    const azimuths = spreadAngles(horizontalFov, horizontalSamples);
+
+    const directions = [];
+    elevations.forEach((elevation) => {
+      const e = THREE.MathUtils.degToRad(elevation);
+      azimuths.forEach((azimuth) => {
+        const a = THREE.MathUtils.degToRad(azimuth);
+        directions.push(new THREE.Vector3(Math.cos(e) * Math.sin(a), Math.sin(e), Math.cos(e) * Math.cos(a)));
+      });
+    });
+    return directions;
+  }
+
+  /**
+   * @method sample
+   * @protected
+   * @param {Object} truth - Drone state after the step.
+   * @param {THREE.Vector3} truth.position - World position of the centre of gravity (m).
+   * @param {THREE.Quaternion} truth.quaternion - Orientation (world from body).
+   * @returns {{ranges: Float32Array, position: THREE.Vector3, quaternion: THREE.Quaternion}} A scan: one range
+   * per beam (m, NaN without a return) and the mount's world pose when it was taken.
+   */
+  sample(truth) {
+    const { minRange, maxRange, noise, noiseProportional, dropout } = this.settings;
+    const position = this.mountPosition.clone().applyQuaternion(truth.quaternion).add(truth.position);
+    const quaternion = truth.quaternion.clone().multiply(this.mountQuaternion);
+    const ranges = new Float32Array(this.directions.length);
+
+    for (let i = 0; i < this.directions.length; i++) {
+      this.rayDirection.copy(this.directions[i]).applyQuaternion(quaternion);
+      this.rayTo.copy(position).addScaledVector(this.rayDirection, maxRange);
+      const hit = this.raycast(position, this.rayTo);
+
+      if (!hit || hit.distance < minRange || this.random.next() < dropout) {
+        ranges[i] = NaN;
+      } else {
+        const range = hit.distance + this.random.gaussian(0, noise + noiseProportional * hit.distance);
+        ranges[i] = THREE.MathUtils.clamp(range, minRange, maxRange);
+      }
+    }
+    return { ranges, position, quaternion };
+  }
+
+  /**
+   * @method getPointCloud
+   * @public
+   * @param {string} [frame='sensor'] - `'sensor'` for points in the mount frame, `'world'` for world coordinates.
+   * @returns {{points: Float32Array, ranges: Float32Array}} xyz of every return of the latest scan and their
+   * ranges; empty before the first scan.
+   */
+  getPointCloud(frame = 'sensor') {
+    if (!this.latest) return { points: new Float32Array(0), ranges: new Float32Array(0) };
+    const { ranges, position, quaternion } = this.latest;
+
+    const count = ranges.reduce((sum, range) => (Number.isNaN(range) ? sum : sum + 1), 0);
+    const points = new Float32Array(count * 3);
+    const returned = new Float32Array(count);
+    const point = new THREE.Vector3();
+    let j = 0;
+    for (let i = 0; i < ranges.length; i++) {
+      if (Number.isNaN(ranges[i])) continue;
+      point.copy(this.directions[i]).multiplyScalar(ranges[i]);
+      if (frame === 'world') point.applyQuaternion(quaternion).add(position);
+      point.toArray(points, j * 3);
+      returned[j++] = ranges[i];
+    }
+    return { points, ranges: returned };
+  }
+
+  /**
+   * @method getTelemetry
+   * @public
+   * @returns {{name: string, type: string, time: number, beams: number, returns: number, nearest: number|null}|null}
+   * Summary of the latest scan: beam and return counts and the nearest range (m), or null before the first
+   * scan. Read the full scan with `latest.ranges` or `getPointCloud()`.
+   */
+  getTelemetry() {
+    if (!this.latest) return null;
+    let returns = 0;
+    let nearest = Infinity;
+    this.latest.ranges.forEach((range) => {
+      if (Number.isNaN(range)) return;
+      returns++;
+      nearest = Math.min(nearest, range);
+    });
+    return {
+      name: this.settings.name,
+      type: this.settings.type,
+      time: this.latest.time,
+      beams: this.directions.length,
+      returns,
+      nearest: returns > 0 ? nearest : null,
+    };
+  }
+}
+
+export default RangeSensor;
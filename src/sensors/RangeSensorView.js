@@ -0,0 +1,76 @@
+import * as THREE from 'three';
+
+/**
+ * @class RangeSensorView
+ * @description Draws the latest scan of a `RangeSensor` as world-space points in the scene, coloured from
+ * red (near) to blue (at `maxRange`). Add `object` to the scene and call `update()` every frame.
+ */
+class RangeSensorView {
+  /**
+   * @constructor
+   * @param {RangeSensor} sensor - The sensor to draw.
+   * @param {Object} [settings] - Overrides for the default settings, see `this.settings`.
+   */
+  constructor(sensor, settings = {}) {
+    // === Setting Variables === //
+    this.settings = {
+      pointSize: 4, // px
+      ...settings,
+    };
+    // === End of Setting Variables === //
+
+    this.sensor = sensor;
+    const beams = sensor.directions.length;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(beams * 3), 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(beams * 3), 3));
+    geometry.setDrawRange(0, 0);
+
+    this.object = new THREE.Points(geometry, new THREE.PointsMaterial({
+      size: this.settings.pointSize,
+      sizeAttenuation: false,
+      vertexColors: true,
+    }));
+    this.object.name = `${sensor.settings.name} scan`;
+    this.object.frustumCulled = false; // The bounding sphere would go stale as the scan moves
+    this.lastScanTime = null;
+    this.color = new THREE.Color();
+  }
+
+  /**
+   * @method update
+   * @public
+   * @description Copies in the sensor's latest scan when there is a new one.
+   */
+  update() {
+    const { latest } = this.sensor;
+    if (!latest || latest.time === this.lastScanTime) return;
+    this.lastScanTime = latest.time;
+
+    const { points, ranges } = this.sensor.getPointCloud('world');
+    const { geometry } = this.object;
+    const positions = geometry.getAttribute('position');
+    const colors = geometry.getAttribute('color');
+    positions.array.set(points);
+    for (let i = 0; i < ranges.length; i++) {
+      this.color.setHSL((0.66 * ranges[i]) / this.sensor.settings.maxRange, 1, 0.5);
+      this.color.toArray(colors.array, i * 3);
+    }
+    positions.needsUpdate = true;
+    colors.needsUpdate = true;
+    geometry.setDrawRange(0, ranges.length);
+  }
+
+  /**
+   * @method dispose
+   * @public
+   * @description Removes the points from the scene and frees their GPU resources.
+   */
+  dispose() {
+    if (this.object.parent) this.object.parent.remove(this.object);
+    this.object.geometry.dispose();
+    this.object.material.dispose();
+  }
+}
+
+export default RangeSensorView;
@@ -0,0 +1,301 @@
+import * as THREE from 'three';
+import { Tensor } from 'onnxruntime-web';
+import { SEGMENTATION_CLASSES, findLabelledObject } from './semanticLabels';
+
+const GEOMETRY_VERTEX_SHADER = /* glsl */ `
+  varying vec3 vViewPosition;
+  varying vec3 vNormal;
+
+  void main() {
+    vec4 viewPosition = modelViewMatrix * vec4(position, 1.0);
+    vViewPosition = viewPosition.xyz;
+    vNormal = normalMatrix * normal;
+    gl_Position = projectionMatrix * viewPosition;
+  }
+`;
+
+// Metric depth along the optical axis in red, the camera-frame normal facing the camera in green/blue/alpha
+const GEOMETRY_FRAGMENT_SHADER = /* glsl */ `
+  varying vec3 vViewPosition;
+  varying vec3 vNormal;
+
+  void main() {
+    vec3 normal = normalize(vNormal) * (gl_FrontFacing ? 1.0 : -1.0);
+    gl_FragColor = vec4(-vViewPosition.z, normal);
+  }
+`;
+
+const ID_VERTEX_SHADER = /* glsl */ `
+  void main() {
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+// Instance ID in red, class ID in green
+const ID_FRAGMENT_SHADER = /* glsl */ `
+  uniform vec2 ids;
+
+  void main() {
+    gl_FragColor = vec4(ids, 0.0, 1.0);
+  }
+`;
+
+/**
+ * @class RenderPasses
+ * @description Ground truth render passes from a camera pose, for evaluating vision models:
+ * - `depth`: metric depth along the optical axis (m, float32), 0 where nothing was rendered.
+ * - `normals`: unit surface normals in the camera frame (x right, y up, z towards the camera), facing the camera.
+ * - `instanceIds` and `classIds`: segmentation masks from the objects' semantic labels (see `semanticLabels.js`).
+ *   Instance 0 and class 0 are the background.
+ *
+ * The passes render offscreen into float render targets through the given renderer, so they line up pixel
+ * for pixel with an RGB frame of the same camera and size. Rows are in WebGL order (bottom row first), like
+ * `captureFPVSnapshot()`, unless `flipY` is set. Every mesh renders as a solid surface, so alpha-tested
+ * textures such as lattice fences show up filled.
+ */
+class RenderPasses {
+  /**
+   * @constructor
+   * @param {THREE.WebGLRenderer} renderer - Renderer to draw with, e.g. the FPV renderer.
+   * @param {Object} [settings] - Overrides for the default settings, see `this.settings`.
+   */
+  constructor(renderer, settings = {}) {
+    // === Setting Variables === //
+    this.settings = {
+      width: null, // px; the renderer's drawing buffer width when null
+      height: null, // px; the renderer's drawing buffer height when null
+      flipY: false, // Return rows top to bottom instead of in WebGL order
+      classes: SEGMENTATION_CLASSES, // Class names by ID
+      ...settings,
+    };
+    // === End of Setting Variables === //
+
+    this.renderer = renderer;
+    this.classes = [...this.settings.classes];
+    this.instances = [null]; // Labelled object per instance ID; 0 is the background
+    this.instanceIds = new WeakMap();
+    this.idMaterials = new Map();
+    this.geometryMaterial = new THREE.ShaderMaterial({
+      vertexShader: GEOMETRY_VERTEX_SHADER,
+      fragmentShader: GEOMETRY_FRAGMENT_SHADER,
+      side: THREE.DoubleSide,
+    });
+    this.target = new THREE.WebGLRenderTarget(1, 1, {
+      type: THREE.FloatType,
+      format: THREE.RGBAFormat,
+      minFilter: THREE.NearestFilter,
+      magFilter: THREE.NearestFilter,
+    });
+    this.clearColor = new THREE.Color();
+  }
+
+  /**
+   * @method render
+   * @public
+   * @param {THREE.Scene} scene - The scene to render.
+   * @param {THREE.Camera} camera - The camera, e.g. the FPV camera.
+   * @param {string[]} [passes] - Passes to render: any of `'depth'`, `'normals'` and `'segmentation'`.
+   * @returns {{width: number, height: number, depth?: Float32Array, normals?: Float32Array,
+   * instanceIds?: Int32Array, classIds?: Int32Array}} One value per pixel (three per pixel for `normals`).
+   */
+  render(scene, camera, passes = ['depth', 'normals', 'segmentation']) {
+    const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+    const width = this.settings.width || size.x;
+    const height = this.settings.height || size.y;
+    this.target.setSize(width, height);
+
+    const result = { width, height };
+    const pixels = width * height;
+
+    if (passes.includes('depth') || passes.includes('normals')) {
+      const buffer = this.renderPass(scene, camera, () => { scene.overrideMaterial = this.geometryMaterial; });
+      if (passes.includes('depth')) result.depth = new Float32Array(pixels);
+      if (passes.includes('normals')) result.normals = new Float32Array(pixels * 3);
+      this.forEachPixel(width, height, (source, target) => {
+        if (result.depth) result.depth[target] = buffer[source];
+        if (result.normals) {
+          result.normals[target * 3] = buffer[source + 1];
+          result.normals[target * 3 + 1] = buffer[source + 2];
+          result.normals[target * 3 + 2] = buffer[source + 3];
+        }
+      });
+    }
+
+    if (passes.includes('segmentation')) {
+      const swapped = [];
+      const buffer = this.renderPass(scene, camera, () => {
+        scene.traverse((object) => {
+          if (!object.isMesh) return;
+          swapped.push([object, object.material]);
+          object.material = this.getIdMaterial(object);
+        });
+      }, () => swapped.forEach(([object, material]) => { object.material = material; }));
+
+      result.instanceIds = new Int32Array(pixels);
+      result.classIds = new Int32Array(pixels);
+      this.forEachPixel(width, height, (source, target) => {
+        result.instanceIds[target] = Math.round(buffer[source]);
+        result.classIds[target] = Math.round(buffer[source + 1]);
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * @method renderPass
+   * @private
+   * @param {THREE.Scene} scene - The scene to render.
+   * @param {THREE.Camera} camera - The camera.
+   * @param {Function} setup - Switches the scene to the pass's materials.
+   * @param {Function} [restore] - Undoes `setup`, besides `overrideMaterial`.
+   * @returns {Float32Array} RGBA per pixel, in WebGL row order.
+   * @description Renders one pass into the float target with a transparent black clear, hiding points, lines
+   * and sprites, which have no surfaces, then restores the renderer and scene state.
+   */
+  renderPass(scene, camera, setup, restore = () => {}) {
+    const { renderer, target } = this;
+    const previousTarget = renderer.getRenderTarget();
+    const previousClearAlpha = renderer.getClearAlpha();
+    renderer.getClearColor(this.clearColor);
+    const { background, overrideMaterial } = scene;
+
+    const hidden = [];
+    scene.traverse((object) => {
+      if ((object.isPoints || object.isLine || object.isSprite) && object.visible) {
+        object.visible = false;
+        hidden.push(object);
+      }
+    });
+    scene.background = null;
+    scene.overrideMaterial = null;
+    setup();
+
+    try {
+      renderer.setRenderTarget(target);
+      renderer.setClearColor(0x000000, 0);
+      renderer.clear();
+      renderer.render(scene, camera);
+      const buffer = new Float32Array(target.width * target.height * 4);
+      renderer.readRenderTargetPixels(target, 0, 0, target.width, target.height, buffer);
+      return buffer;
+    } finally {
+      restore();
+      scene.overrideMaterial = overrideMaterial;
+      scene.background = background;
+      hidden.forEach((object) => { object.visible = true; });
+      renderer.setClearColor(this.clearColor, previousClearAlpha);
+      renderer.setRenderTarget(previousTarget);
+    }
+  }
+
+  /**
+   * @method forEachPixel
+   * @private
+   * @param {number} width - Image width (px).
+   * @param {number} height - Image height (px).
+   * @param {Function} callback - `(sourceOffset, targetIndex)`: the RGBA offset in the read buffer and the pixel
+   * index in the output, with rows flipped when `flipY` is set.
+   */
+  forEachPixel(width, height, callback) {
+    for (let y = 0; y < height; y++) {
+      const row = this.settings.flipY ? height - 1 - y : y;
+      for (let x = 0; x < width; x++) {
+        callback((y * width + x) * 4, row * width + x);
+      }
+    }
+  }
+
+  /**
+   * @method getIdMaterial
+   * @private
+   * @param {THREE.Mesh} mesh - A mesh in the scene.
+   * @returns {THREE.ShaderMaterial} The flat ID material of the mesh's instance, created on first use.
+   */
+  getIdMaterial(mesh) {
+    const labelled = findLabelledObject(mesh) || mesh;
+    let instanceId = this.instanceIds.get(labelled);
+    if (instanceId === undefined) {
+      instanceId = this.instances.length;
+      this.instances.push(labelled);
+      this.instanceIds.set(labelled, instanceId);
+    }
+
+    if (!this.idMaterials.has(instanceId)) {
+      const label = labelled.userData.label || 'unlabeled';
+      this.idMaterials.set(instanceId, new THREE.ShaderMaterial({
+        vertexShader: ID_VERTEX_SHADER,
+        fragmentShader: ID_FRAGMENT_SHADER,
+        uniforms: { ids: { value: new THREE.Vector2(instanceId, this.getClassId(label)) } },
+        side: THREE.DoubleSide,
+      }));
+    }
+    return this.idMaterials.get(instanceId);
+  }
+
+  /**
+   * @method getClassId
+   * @public
+   * @param {string} label - A semantic label.
+   * @returns {number} Its class ID in `classes`, which is extended with labels it does not list yet.
+   */
+  getClassId(label) {
+    let classId = this.classes.indexOf(label);
+    if (classId < 0) {
+      classId = this.classes.length;
+      this.classes.push(label);
+    }
+    return classId;
+  }
+
+  /**
+   * @method getInstanceInfo
+   * @public
+   * @param {number} instanceId - A value from `instanceIds`.
+   * @returns {{name: string, label: string}|null} The instance's object name and label, or null for the background.
+   */
+  getInstanceInfo(instanceId) {
+    const object = this.instances[instanceId];
+    return object ? { name: object.name, label: object.userData.label || 'unlabeled' } : null;
+  }
+
+  /**
+   * @method toTensors
+   * @public
+   * @param {Object} result - Output of `render()`.
+   * @returns {{depth?: Tensor, normals?: Tensor, instanceIds?: Tensor, classIds?: Tensor}} ONNX Runtime tensors,
+   * channel-first: depth `float32 [1, 1, H, W]`, normals `float32 [1, 3, H, W]`, IDs `int32 [1, 1, H, W]`.
+   */
+  toTensors(result) {
+    const { width, height } = result;
+    const tensors = {};
+    if (result.depth) tensors.depth = new Tensor('float32', result.depth, [1, 1, height, width]);
+    if (result.normals) {
+      const pixels = width * height;
+      const planar = new Float32Array(pixels * 3);
+      for (let i = 0; i < pixels; i++) {
+        planar[i] = result.normals[i * 3];
+        planar[pixels + i] = result.normals[i * 3 + 1];
+        planar[2 * pixels + i] = result.normals[i * 3 + 2];
+      }
+      tensors.normals = new Tensor('float32', planar, [1, 3, height, width]);
+    }
+    if (result.instanceIds) tensors.instanceIds = new Tensor('int32', result.instanceIds, [1, 1, height, width]);
+    if (result.classIds) tensors.classIds = new Tensor('int32', result.classIds, [1, 1, height, width]);
+    return tensors;
+  }
+
+  /**
+   * @method dispose
+   * @public
+   * @description Frees the render target and materials.
+   */
+  dispose() {
+    this.target.dispose();
+    this.geometryMaterial.dispose();
+    this.idMaterials.forEach((material) => material.dispose());
+    this.idMaterials.clear();
+  }
+}
+
+export default RenderPasses;
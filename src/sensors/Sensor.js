@@ -0,0 +1,90 @@
+import SeededRandom from '../utils/seededRandom';
+
+/**
+ * @class Sensor
+ * @description Base class for sampled sensors. It owns the sensor's seeded random source and its timing:
+ * `update()` is called after every physics step, takes a reading at `settings.sampleRate` (at most once per
+ * step) and delivers it `settings.latency` seconds later. Subclasses implement `sample()` and may override
+ * `advance()` for state that evolves every step, and `resetErrors()` for errors drawn at power-up.
+ */
+class Sensor {
+  /**
+   * @constructor
+   * @param {Object} settings - The subclass's settings, with `sampleRate` (Hz), `latency` (s) and `seed`.
+   */
+  constructor(settings) {
+    this.settings = settings;
+    this.random = new SeededRandom(this.settings.seed);
+  }
+
+  /**
+   * @method reset
+   * @public
+   * @param {number} [seed] - Noise seed. Keeps the configured seed when omitted.
+   * @description Powers the sensor back on: draws new errors and drops pending readings.
+   */
+  reset(seed = this.settings.seed) {
+    this.random.setSeed(seed);
+    this.time = 0;
+    this.timeSinceSample = Infinity; // Sample on the first update
+    this.pending = []; // Readings waiting out the latency
+    this.latest = null;
+    this.resetErrors();
+  }
+
+  /**
+   * @method resetErrors
+   * @protected
+   * @description Draws the errors a sensor gets at power-up. No-op by default.
+   */
+  resetErrors() {}
+
+  /**
+   * @method update
+   * @public
+   * @param {number} dt - Physics step (s).
+   * @param {Object} truth - Drone state after the step; the fields each sensor reads are listed on its `sample()`.
+   * @returns {Object|null} The reading that became available during this step, see `latest`, or null.
+   */
+  update(dt, truth) {
+    this.time += dt;
+    this.advance(dt, truth);
+
+    this.timeSinceSample += dt;
+    const period = 1 / this.settings.sampleRate;
+    if (this.timeSinceSample + 1e-9 >= period) {
+      const reading = this.sample(truth, Math.min(this.timeSinceSample, period));
+      if (reading) this.pending.push({ time: this.time, ...reading });
+      this.timeSinceSample = isFinite(this.timeSinceSample) ? this.timeSinceSample - period : 0;
+    }
+
+    let delivered = null;
+    while (this.pending.length > 0 && this.pending[0].time <= this.time - this.settings.latency + 1e-9) {
+      delivered = this.pending.shift();
+    }
+    if (delivered) this.latest = delivered;
+    return delivered;
+  }
+
+  /**
+   * @method advance
+   * @protected
+   * @param {number} dt - Physics step (s).
+   * @param {Object} truth - Drone state after the step.
+   * @description Evolves per-step state such as bias drift. No-op by default.
+   */
+  advance() {}
+
+  /**
+   * @method sample
+   * @protected
+   * @param {Object} truth - Drone state after the step.
+   * @param {number} period - Time since the previous reading (s).
+   * @returns {Object|null} The reading's fields, or null when the sensor has no output.
+   */
+  sample() {
+    throw new Error(`${this.constructor.name} must implement sample()`);
+  }
+}
+
+export default Sensor;
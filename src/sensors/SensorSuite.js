@@ -0,0 +1,138 @@
+import * as THREE from 'three';
+import Imu from './Imu';
+import Barometer from './Barometer';
+import Magnetometer from './Magnetometer';
+import Gnss from './Gnss';
+import RangeSensor from './RangeSensor';
+import AttitudeEstimator from './AttitudeEstimator';
+import { DEFAULT_ORIGIN } from './geodesy';
+
+/**
+ * @class SensorSuite
+ * @description The drone's onboard sensors and the estimators that run on them. The physics engine feeds it
+ * the true rigid body state after every step; the flight controller reads the estimates, never the truth.
+ */
+class SensorSuite {
+  /**
+   * @constructor
+   * @param {Object} [settings] - Per-sensor overrides: `imu` (see `Imu`), `barometer` (see `Barometer`),
+   * `magnetometer` (see `Magnetometer`), `gnss` (see `Gnss`) and `attitudeEstimator` (see `AttitudeEstimator`),
+   * plus `seed`, which seeds every sensor's noise, the geodetic `origin` of the world frame and the
+   * `rangeSensors` to mount (see `RangeSensor`).
+   * @param {Function} [raycast] - `(from, to) => hit | null` into the world, for the range sensors.
+   */
+  constructor(settings = {}, raycast = null) {
+    // === Setting Variables === //
+    this.settings = {
+      seed: 0,
+      origin: DEFAULT_ORIGIN, // Geodetic origin of the world frame, see `geodesy.js`
+      gyroCalibrationSamples: 500, // Gyro readings averaged at power-up, with the drone at rest
+      imu: {},
+      barometer: {},
+      magnetometer: {},
+      gnss: {},
+      attitudeEstimator: {},
+      rangeSensors: [], // Range sensor settings, each with a `type` from RANGE_SENSOR_TYPES and a `name`
+      ...settings,
+    };
+    // === End of Setting Variables === //
+
+    const { seed, origin } = this.settings;
+    this.imu = new Imu({ seed, ...this.settings.imu });
+    this.barometer = new Barometer({ seed: seed + 1, ...this.settings.barometer });
+    this.magnetometer = new Magnetometer({ seed: seed + 2, ...this.settings.magnetometer });
+    this.gnss = new Gnss({ seed: seed + 3, origin, ...this.settings.gnss });
+    this.rangeSensors = this.settings.rangeSensors.map((rangeSensor, i) => (
+      new RangeSensor(raycast, { seed: seed + 4 + i, ...rangeSensor })
+    ));
+    this.attitudeEstimator = new AttitudeEstimator(this.settings.attitudeEstimator);
+    this.lastSampleTime = 0;
+    this.truth = { altitude: 0 };
+  }
+
+  /**
+   * @method reset
+   * @public
+   * @param {THREE.Quaternion} [quaternion] - The drone's orientation, to which the attitude estimate is aligned.
+   * @param {number} [seed] - Noise seed. Keeps the configured seed when omitted.
+   * @description Powers the sensors back on with fresh turn-on errors, and calibrates the gyro like a flight
+   * controller does at power-up. Only the gyro offset the calibration measured is removed; the residual and
+   * the later bias drift are left to the estimator.
+   */
+  reset(quaternion = new THREE.Quaternion(), seed = this.settings.seed) {
+    this.imu.reset(seed);
+    this.barometer.reset(seed + 1);
+    this.magnetometer.reset(seed + 2);
+    this.gnss.reset(seed + 3);
+    this.rangeSensors.forEach((rangeSensor, i) => rangeSensor.reset(seed + 4 + i));
+
+    const gyroOffset = this.imu.calibrateGyro(quaternion, this.settings.gyroCalibrationSamples);
+    this.attitudeEstimator.reset(quaternion, gyroOffset);
+    this.lastSampleTime = 0;
+  }
+
+  /**
+   * @method update
+   * @public
+   * @param {number} dt - Physics step (s).
+   * @param {Object} truth - Rigid body state after the step: what `Imu.sample()` reads, plus the world
+   * `position` and `velocity` and the rotors' mean `thrustFraction`. Range sensors cast their rays now.
+   * @description Samples the sensors and runs the estimators on every reading that became available.
+   */
+  update(dt, truth) {
+    const sample = this.imu.update(dt, truth);
+    if (sample) {
+      this.attitudeEstimator.update(sample.gyro, sample.accel, Math.max(sample.time - this.lastSampleTime, dt));
+      this.lastSampleTime = sample.time;
+    }
+
+    this.truth.altitude = this.settings.origin.altitude + truth.position.y;
+    this.truth.thrustFraction = truth.thrustFraction;
+    this.barometer.update(dt, this.truth);
+    this.magnetometer.update(dt, truth);
+    this.gnss.update(dt, truth);
+    this.rangeSensors.forEach((rangeSensor) => rangeSensor.update(dt, truth));
+  }
+
+  /**
+   * @method getRangeSensor
+   * @public
+   * @param {string} name - The sensor's `name`; defaults to its type.
+   * @returns {RangeSensor|undefined} The first range sensor with that name.
+   */
+  getRangeSensor(name) {
+    return this.rangeSensors.find((rangeSensor) => rangeSensor.settings.name === name);
+  }
+
+  /**
+   * @method getHeading
+   * @public
+   * @returns {number|null} True heading in degrees from the compass, tilt-compensated with the attitude
+   * estimate, or null before the first reading. See `Magnetometer.getHeading()`.
+   */
+  getHeading() {
+    return this.magnetometer.getHeading(this.attitudeEstimator.quaternion);
+  }
+
+  /**
+   * @method getTelemetry
+   * @public
+   * @returns {{imu: Object|null, attitude: Object, barometer: Object|null, magnetometer: Object|null,
+   * gnss: Object|null, rangeSensors: Array<Object|null>}} Latest readings of each sensor (see their
+   * `getTelemetry()`), the attitude estimate (see `AttitudeEstimator.getTelemetry()`), and the compass
+   * `heading` with the magnetometer reading.
+   */
+  getTelemetry() {
+    const magnetometer = this.magnetometer.getTelemetry();
+    return {
+      imu: this.imu.getTelemetry(),
+      attitude: this.attitudeEstimator.getTelemetry(),
+      barometer: this.barometer.getTelemetry(),
+      magnetometer: magnetometer && { ...magnetometer, heading: this.getHeading() },
+      gnss: this.gnss.getTelemetry(),
+      rangeSensors: this.rangeSensors.map((rangeSensor) => rangeSensor.getTelemetry()),
+    };
+  }
+}
+
+export default SensorSuite;
@@ -0,0 +1,70 @@
+import * as THREE from 'three';
+
+/**
+ * Conversions between the simulation's world frame and geodetic coordinates.
+ *
+ * The world frame is a local tangent plane at a geodetic origin: +Y is up, +Z is true north and -X is east,
+ * so a drone spawned with the identity orientation faces north. Positions are converted on the WGS84
+ * ellipsoid with the flat-earth approximation, which is accurate to centimetres over a few kilometres.
+ */
+
+const WGS84_SEMI_MAJOR_AXIS = 6378137; // m
+const WGS84_ECCENTRICITY_SQUARED = 6.69437999014e-3;
+
+/**
+ * Default geodetic origin of the world frame.
+ * @type {{latitude: number, longitude: number, altitude: number}} Degrees, degrees, m above mean sea level.
+ */
+export const DEFAULT_ORIGIN = { latitude: 47.3977, longitude: 8.5456, altitude: 488 };
+
+/**
+ * @param {number} latitude - Degrees.
+ * @returns {{north: number, east: number}} Metres per radian of latitude and of longitude.
+ */
+const radiiOfCurvature = (latitude) => {
+  const sinLatitude = Math.sin(THREE.MathUtils.degToRad(latitude));
+  const w = 1 - WGS84_ECCENTRICITY_SQUARED * sinLatitude * sinLatitude;
+  const primeVertical = WGS84_SEMI_MAJOR_AXIS / Math.sqrt(w);
+  return {
+    north: (WGS84_SEMI_MAJOR_AXIS * (1 - WGS84_ECCENTRICITY_SQUARED)) / (w * Math.sqrt(w)),
+    east: primeVertical * Math.cos(THREE.MathUtils.degToRad(latitude)),
+  };
+};
+
+/**
+ * @param {THREE.Vector3} position - World position (m).
+ * @param {Object} [origin] - Geodetic origin of the world frame, see `DEFAULT_ORIGIN`.
+ * @returns {{latitude: number, longitude: number, altitude: number}} Degrees, degrees, m above mean sea level.
+ */
+export const worldToGeodetic = (position, origin = DEFAULT_ORIGIN) => {
+  const radii = radiiOfCurvature(origin.latitude);
+  return {
+    latitude: origin.latitude + THREE.MathUtils.radToDeg(position.z / radii.north),
+    longitude: origin.longitude + THREE.MathUtils.radToDeg(-position.x / radii.east),
+    altitude: origin.altitude + position.y,
+  };
+};
+
+/**
+ * @param {{latitude: number, longitude: number, altitude: number}} geodetic - Degrees, degrees, m above mean sea level.
+ * @param {Object} [origin] - Geodetic origin of the world frame, see `DEFAULT_ORIGIN`.
+ * @param {THREE.Vector3} [target] - Vector to write into.
+ * @returns {THREE.Vector3} World position (m).
+ */
+export const geodeticToWorld = (geodetic, origin = DEFAULT_ORIGIN, target = new THREE.Vector3()) => {
+  const radii = radiiOfCurvature(origin.latitude);
+  return target.set(
+    -THREE.MathUtils.degToRad(geodetic.longitude - origin.longitude) * radii.east,
+    geodetic.altitude - origin.altitude,
+    THREE.MathUtils.degToRad(geodetic.latitude - origin.latitude) * radii.north
+  );
+};
+
+/**
+ * @param {THREE.Quaternion} quaternion - Orientation (world from body).
+ * @returns {number} True heading of the body's forward (+Z) axis in degrees, clockwise from north in [0, 360).
+ */
+export const headingFromQuaternion = (quaternion) => {
+  const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(quaternion);
+  return THREE.MathUtils.euclideanModulo(THREE.MathUtils.radToDeg(Math.atan2(-forward.x, forward.z)), 360);
+};
@@ -0,0 +1,63 @@
+/**
+ * Point cloud export for range sensor scans (see `RangeSensor.getPointCloud()`), as ASCII files that PCL,
+ * Open3D, CloudCompare and MeshLab read.
+ */
+
+/**
+ * @param {Float32Array|number[]} points - Packed xyz coordinates.
+ * @returns {string[]} One `"x y z"` line per point.
+ */
+const pointLines = (points) => {
+  const lines = [];
+  for (let i = 0; i + 2 < points.length; i += 3) {
+    lines.push(`${points[i]} ${points[i + 1]} ${points[i + 2]}`);
+  }
+  return lines;
+};
+
+/**
+ * @param {Float32Array|number[]} points - Packed xyz coordinates (m).
+ * @param {Object} [pose] - Sensor pose to record as the cloud's viewpoint.
+ * @param {number[]} [pose.position] - xyz (m).
+ * @param {number[]} [pose.quaternion] - xyzw, as `THREE.Quaternion.toArray()`.
+ * @returns {string} The cloud as a PCD v0.7 file.
+ */
+export const toPCD = (points, { position = [0, 0, 0], quaternion = [0, 0, 0, 1] } = {}) => {
+  const lines = pointLines(points);
+  const [qx, qy, qz, qw] = quaternion;
+  return [
+    '# .PCD v0.7 - Point Cloud Data file format',
+    'VERSION 0.7',
+    'FIELDS x y z',
+    'SIZE 4 4 4',
+    'TYPE F F F',
+    'COUNT 1 1 1',
+    `WIDTH ${lines.length}`,
+    'HEIGHT 1',
+    `VIEWPOINT ${position.join(' ')} ${qw} ${qx} ${qy} ${qz}`,
+    `POINTS ${lines.length}`,
+    'DATA ascii',
+    ...lines,
+    '',
+  ].join('\n');
+};
+
+/**
+ * @param {Float32Array|number[]} points - Packed xyz coordinates (m).
+ * @returns {string} The cloud as an ASCII PLY file of vertices.
+ */
+export const toPLY = (points) => {
+  const lines = pointLines(points);
+  return [
+    'ply',
+    'format ascii 1.0',
+    'comment DroneForge range sensor scan',
+    `element vertex ${lines.length}`,
+    'property float x',
+    'property float y',
+    'property float z',
+    'end_header',
+    ...lines,
+    '',
+  ].join('\n');
+};
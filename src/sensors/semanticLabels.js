@@ -0,0 +1,75 @@
+/**
+ * Semantic labels for segmentation ground truth. A label is a class name in an object's `userData.label`
+ * (GLTF `extras.label`, in Blender a custom property `label`); it applies to the object's children too, and
+ * the labelled object is one instance.
+ *
+ * The environment assets are named `<Class>_v<variant>...` (`Barrel_v3_quadro`, `Hangar_v1_full (1)`,
+ * `Cargo_container_v1`), so `labelEnvironment()` derives the missing labels from node names, falling back to the
+ * material name for meshes with generic names.
+ */
+
+/**
+ * Class IDs of the segmentation masks. ID 0 is the background (sky, nothing rendered); labels not listed
+ * here get the next free IDs in the order they are first rendered.
+ * @type {string[]}
+ */
+export const SEGMENTATION_CLASSES = [
+  'background',
+  'unlabeled',
+  'drone',
+  'Road_set',
+  'Concrete_fence',
+  'UNIConcrete_wall',
+  'Hangar',
+  'Barrel',
+  'Cargo_container',
+  'Oil_tank',
+  'Wooden_box',
+  'Palet',
+  'Pipes_set',
+  'Industrial_pipe',
+  'Conditioner',
+  'Road_block',
+  'Electric_box',
+  'Dumpsters',
+  'Generator',
+  'Dust',
+];
+
+const ASSET_NAME_PATTERN = /^(.+?)_v\d+/;
+
+/**
+ * @param {THREE.Object3D} object - Any object.
+ * @returns {THREE.Object3D|null} The object itself or its closest ancestor with a `userData.label`.
+ */
+export const findLabelledObject = (object) => {
+  for (let node = object; node; node = node.parent) {
+    if (node.userData && node.userData.label) return node;
+  }
+  return null;
+};
+
+/**
+ * Labels every mesh that has no label yet: the closest node below `root`, starting at the mesh, whose name
+ * follows the asset naming gets the label, so its meshes form one instance. Meshes without such a node are
+ * labelled from their material's name, or stay unlabeled.
+ * @param {THREE.Object3D} root - The loaded environment.
+ */
+export const labelEnvironment = (root) => {
+  root.traverse((mesh) => {
+    if (!mesh.isMesh || findLabelledObject(mesh)) return;
+
+    for (let node = mesh; node && node !== root; node = node.parent) {
+      const match = node.name.match(ASSET_NAME_PATTERN);
+      // The map's own root node (`Map_v1`) follows the naming too but is not an asset
+      if (match && node.parent !== root) {
+        node.userData.label = match[1];
+        return;
+      }
+    }
+
+    const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+    const match = material && material.name.match(ASSET_NAME_PATTERN);
+    if (match) mesh.userData.label = match[1];
+  });
+};
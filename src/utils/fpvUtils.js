@@ -6,7 +6,9 @@ import { pixelDataToTensor } from './imageHelper';
  * @function createFPVDisplay
  * @description Creates the First Person View display and returns the FPV renderer.
  * @param {HTMLElement} mountElement - The element to mount the FPV display to.
- * @returns {THREE.WebGLRenderer} The FPV renderer.
+ * @returns {{fpvRenderer: THREE.WebGLRenderer, updateRendererSize: Function, setAspectRatio: Function}} The FPV
+ * renderer, a function to resize it to its container, and a function `(aspect) => void` that reshapes the display to
+ * a camera's width / height ratio.
  */
 export function createFPVDisplay(mountElement) {
     console.log('Creating FPV display...');
@@ -49,7 +51,13 @@ export function createFPVDisplay(mountElement) {
     // Add resize listener
     window.addEventListener('resize', updateRendererSize);
 
-    return { fpvRenderer, updateRendererSize };
+    // Match the display to the shown camera, so cameras that are not 16:9 are not stretched
+    const setAspectRatio = (aspect) => {
+        fpvContainer.style.aspectRatio = `${aspect}`;
+        updateRendererSize();
+    };
+
+    return { fpvRenderer, updateRendererSize, setAspectRatio };
 }
 
 /**
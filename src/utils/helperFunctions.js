@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { headingFromQuaternion } from '../sensors/geodesy';
 
 /**
  * Creates a position display element.
@@ -14,6 +15,7 @@ export const createPositionDisplay = () => {
   positionDiv.style.color = 'white';
   positionDiv.style.borderRadius = '5px';
   positionDiv.style.fontFamily = 'Arial, sans-serif';
+  positionDiv.style.whiteSpace = 'pre';
   positionDiv.innerText = 'Position: (0, 0, 0)';
   return positionDiv;
 };
@@ -22,10 +24,22 @@ export const createPositionDisplay = () => {
  * Updates the position display with the current drone position.
  * @param {HTMLElement} positionDiv - The position display element.
  * @param {THREE.Vector3} position - The drone's current position.
+ * @param {Object} [sensors] - Sensor telemetry (see `SensorSuite.getTelemetry()`). When given, the GNSS fix and
+ * the barometric altitude are shown below the true position.
  */
-export const updatePositionDisplay = (positionDiv, position) => {
+export const updatePositionDisplay = (positionDiv, position, sensors) => {
   if (positionDiv && position) {
-    positionDiv.innerText = `Position: (${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)})`;
+    const lines = [`Position: (${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)})`];
+    if (sensors && sensors.gnss) {
+      const { fix, satellites, position: sensed, latitude, longitude } = sensors.gnss;
+      lines.push(fix === 'none'
+        ? `GNSS: no fix (${satellites} sats)`
+        : `GNSS: (${sensed.map((value) => value.toFixed(2)).join(', ')}) ${latitude.toFixed(6)}, ${longitude.toFixed(6)} (${satellites} sats)`);
+    }
+    if (sensors && sensors.barometer) {
+      lines.push(`Baro: ${sensors.barometer.altitude.toFixed(2)} m MSL`);
+    }
+    positionDiv.innerText = lines.join('\n');
   }
 };
 
@@ -108,12 +122,18 @@ export const createCompass = () => {
  * Updates the compass based on drone's orientation.
  * @param {HTMLElement} compass - The compass element.
  * @param {THREE.Quaternion} quaternion - The drone's current orientation.
+ * @param {number|null} [sensedHeading] - Heading from the magnetometer in degrees (see `SensorSuite.getHeading()`),
+ * shown with the true heading when given.
  */
-export const updateCompass = (compass, quaternion) => {
+export const updateCompass = (compass, quaternion, sensedHeading) => {
   if (compass && quaternion) {
     const euler = new THREE.Euler().setFromQuaternion(quaternion);
     const yaw = THREE.MathUtils.radToDeg(euler.y);
-    compass.innerText = `Yaw: ${yaw.toFixed(2)}°`;
+    if (sensedHeading === undefined || sensedHeading === null) {
+      compass.innerText = `Yaw: ${yaw.toFixed(2)}°`;
+    } else {
+      compass.innerText = `Hdg: ${headingFromQuaternion(quaternion).toFixed(1)}°\nMag: ${sensedHeading.toFixed(1)}°`;
+    }
   }
 };
 
@@ -0,0 +1,85 @@
+/**
+ * @class SeededRandom
+ * @description Small deterministic pseudo-random generator (mulberry32) for reproducible
+ * simulation runs. Unlike `Math.random()`, two instances built from the same seed yield
+ * the same sequence.
+ */
+class SeededRandom {
+  /**
+   * @constructor
+   * @param {number} [seed=0] - 32-bit integer seed.
+   */
+  constructor(seed = 0) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * @method setSeed
+   * @public
+   * @param {number} seed - 32-bit integer seed.
+   * Restarts the sequence from the given seed.
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+    this.spareGaussian = null;
+  }
+
+  /**
+   * @method next
+   * @public
+   * @returns {number} A uniform value in [0, 1).
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * @method uniform
+   * @public
+   * @param {number} [min=0] - Lower bound (inclusive).
+   * @param {number} [max=1] - Upper bound (exclusive).
+   * @returns {number} A uniform value in [min, max).
+   */
+  uniform(min = 0, max = 1) {
+    return min + (max - min) * this.next();
+  }
+
+  /**
+   * @method gaussian
+   * @public
+   * @param {number} [mean=0] - Mean of the distribution.
+   * @param {number} [stdDev=1] - Standard deviation of the distribution.
+   * @returns {number} A normally distributed value (Box-Muller).
+   */
+  gaussian(mean = 0, stdDev = 1) {
+    if (this.spareGaussian !== null) {
+      const spare = this.spareGaussian;
+      this.spareGaussian = null;
+      return mean + stdDev * spare;
+    }
+
+    let u = 0;
+    while (u === 0) u = this.next(); // Avoid log(0)
+    const v = this.next();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    const angle = 2 * Math.PI * v;
+    this.spareGaussian = radius * Math.sin(angle);
+    return mean + stdDev * radius * Math.cos(angle);
+  }
+
+  /**
+   * @method fork
+   * @public
+   * @returns {SeededRandom} A new generator seeded from this one, for independent sub-streams.
+   */
+  fork() {
+    return new SeededRandom(Math.floor(this.next() * 4294967296));
+  }
+}
+
+export default SeededRandom;